@@ -1,9 +1,35 @@
 const mailgun = require('mailgun-js');
 const mailcomposer = require('mailcomposer');
-const Mustache = require('mustache');
 const co = require('co');
 const fs = require('fs');
+const crypto = require('crypto');
+const nodePath = require('path');
 const MailAdapter = require('./MailAdapter');
+const errors = require('./errors');
+const { createRetryPolicy, withRetry } = require('./retry');
+const outbox = require('./outbox');
+const batch = require('./batch');
+const loaders = require('./loaders');
+const locales = require('./locales');
+const templateVariables = require('./variables');
+const engines = require('./engines');
+const attachments = require('./attachments');
+const messageOptions = require('./messageOptions');
+const suppressions = require('./suppressions');
+const history = require('./history');
+const webhooks = require('./webhooks');
+const { htmlToText } = require('./htmlToText');
+const { inlineCss, minifyHtml } = require('./postProcess');
+
+const {
+  MailgunAdapterError,
+  ConfigurationError,
+  TemplateError,
+  RenderingError,
+  AttachmentError,
+  TransportError,
+  RecipientError
+} = errors;
 
 const ERRORS = {
   missing_configuration: 'MailgunAdapter requires configuration.',
@@ -11,9 +37,62 @@ const ERRORS = {
     'MailgunAdapter requires valid API Key, domain and fromAddress.',
   bad_template_config: 'MailgunAdapter templates are not properly configured.',
   invalid_callback: 'MailgunAdapter template callback is not a function.',
-  invalid_template_name: 'Invalid options object: missing templateName'
+  invalid_loader: 'MailgunAdapter template loader is not a function.',
+  invalid_variables: 'MailgunAdapter template variables must be an object.',
+  bad_partials_config: 'MailgunAdapter partials are not properly configured.',
+  bad_layout_config: 'MailgunAdapter layout is not properly configured.',
+  invalid_generate_text: 'MailgunAdapter generateText must be a boolean or a function.',
+  bad_post_process_config: 'MailgunAdapter postProcess is not properly configured.',
+  invalid_required_variables: 'MailgunAdapter requiredVariables must be true or an array of variable names.',
+  invalid_missing_variables: 'MailgunAdapter missingVariables must be \'error\' or \'warn\'.',
+  invalid_strict_variables: 'MailgunAdapter strictVariables must be a boolean.',
+  invalid_engine: 'MailgunAdapter engine must be an object with compile and render functions.',
+  bad_attachments_config: 'MailgunAdapter attachments or inlineImages are not properly configured.',
+  invalid_mailgun_options: 'MailgunAdapter mailgunOptions are invalid:',
+  invalid_locale_resolver: 'MailgunAdapter localeResolver is not a function.',
+  invalid_on_error: 'MailgunAdapter onError option is not a function.',
+  invalid_cache_ttl: 'MailgunAdapter templateCacheTTL must be a non-negative number.',
+  invalid_default_locale: 'MailgunAdapter defaultLocale must be a language tag such as en or en-US.',
+  invalid_template_cache_ttl: 'MailgunAdapter template cacheTTL must be a non-negative number.',
+  invalid_outbox_store: 'MailgunAdapter outbox store does not implement the OutboxStore interface.',
+  invalid_suppression_store: 'MailgunAdapter suppressions store does not implement the SuppressionStore interface.',
+  invalid_suppression_reasons: 'MailgunAdapter suppression reasons must be an array of \'bounce\', \'complaint\' or \'unsubscribe\'.',
+  invalid_history: 'MailgunAdapter history must be a function or implement the HistorySink interface.',
+  invalid_template_name: 'Invalid options object: missing templateName',
+  missing_recipient: 'Cannot send email without a recipient',
+  invalid_recipients: 'Invalid options object: recipients must be a non-empty array of { address, variables } objects',
+  invalid_attachments: 'Invalid options object: attachments must be an array of attachments and inlineImages an object of attachments',
+  invalid_send_at: 'Invalid options object: sendAt must be a Date, a timestamp or a date string',
+  missing_scheduler: 'Emails can only be sent more than 3 days ahead with the scheduler option',
+  invalid_configuration: 'MailgunAdapter configuration is invalid:'
 };
 
+// Templates that Parse Server sends through the adapter
+const REQUIRED_TEMPLATES = ['passwordResetEmail', 'verificationEmail'];
+
+// Scheduled messages are handed to Mailgun when their delivery time is this much
+// less than 3 days ahead, the longest time Mailgun keeps a scheduled message
+const SCHEDULE_MARGIN = 60 * 60 * 1000;
+
+// Interval in milliseconds at which the scheduler store is polled by default
+const SCHEDULER_POLL_INTERVAL = 60 * 1000;
+
+// Maximum number of compiled templates that are cached per engine, for escaped and unescaped
+// templates each. Subjects of calls, partials and the template bodies of layouts are cached as well.
+const MAX_COMPILED_TEMPLATES = 500;
+
+// Matches 'user@example.com' and 'Name <user@example.com>'
+const ADDRESS_PATTERN = /^(?:[^<>]*<[^<>\s@]+@[^<>\s@]+\.[^<>\s@]+>|[^<>\s@]+@[^<>\s@]+\.[^<>\s@]+)$/;
+
+/**
+ * Creates a unique ID for an outbox or history entry
+ * @param {Number} now timestamp (ms)
+ * @returns {String}
+ */
+function createId(now) {
+  return `${now.toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
 /**
  * MailAdapter implementation used by the Parse Server to send
  * password reset and email verification emails though Mailgun
@@ -22,163 +101,1610 @@ const ERRORS = {
 class MailgunAdapter extends MailAdapter {
   constructor(options) {
     if (!options) {
-      throw new Error(ERRORS.missing_configuration);
+      throw new ConfigurationError(ERRORS.missing_configuration);
     }
 
     super(options);
 
     const { apiKey, domain, fromAddress, host } = options;
     if (!apiKey || !domain || !fromAddress) {
-      throw new Error(ERRORS.missing_mailgun_settings);
+      throw new ConfigurationError(ERRORS.missing_mailgun_settings);
     }
 
     const { templates } = options;
     if (!templates || Object.keys(templates).length === 0) {
-      throw new Error(ERRORS.bad_template_config);
+      throw new ConfigurationError(ERRORS.bad_template_config);
+    }
+
+    const { loader } = options;
+    if (loader && typeof loader !== 'function') {
+      throw new ConfigurationError(ERRORS.invalid_loader);
+    }
+
+    const { generateText } = options;
+    if (!this._isTextGeneratorSetting(generateText)) {
+      throw new ConfigurationError(ERRORS.invalid_generate_text);
+    }
+    this.generateText = generateText;
+
+    const { requiredVariables, missingVariables, strictVariables } = options;
+    if (requiredVariables !== undefined && typeof requiredVariables !== 'boolean') {
+      throw new ConfigurationError(ERRORS.invalid_required_variables);
+    }
+    this._validateVariableSettings(options);
+    this.requiredVariables = requiredVariables;
+    this.missingVariables = missingVariables;
+    this.strictVariables = strictVariables;
+
+    const { engine } = options;
+    if (engine !== undefined && !engines.isEngine(engine)) {
+      throw new ConfigurationError(ERRORS.invalid_engine);
+    }
+    this.engine = engine || engines.mustache;
+    this.compiledTemplates = new Map();
+
+    if (!attachments.isAttachmentsSetting(options.attachments) || !attachments.isInlineImagesSetting(options.inlineImages)) {
+      throw new ConfigurationError(ERRORS.bad_attachments_config);
     }
+    this.attachments = options.attachments || [];
+    this.inlineImages = options.inlineImages || {};
+    this.attachmentLimits = attachments.createAttachmentLimits(options.attachmentLimits);
+    this.attachmentCache = {};
+
+    this._checkMailgunOptions(options.mailgunOptions);
+    this.mailgunOptions = options.mailgunOptions || {};
 
     for (let name in templates) {
-      const { subject, pathPlainText, callback } = templates[name];
+      const template = templates[name];
+      const { subject, callback } = template;
+
+      if (template.loader && typeof template.loader !== 'function') {
+        throw new ConfigurationError(ERRORS.invalid_loader, { templateName: name });
+      }
+
+      if (!this._isTextGeneratorSetting(template.generateText)) {
+        throw new ConfigurationError(ERRORS.invalid_generate_text, { templateName: name });
+      }
+
+      if (template.postProcess !== false && !this._isPostProcessConfig(template.postProcess)) {
+        throw new ConfigurationError(ERRORS.bad_post_process_config, { templateName: name });
+      }
+
+      const required = template.requiredVariables;
+      const validRequired = required === undefined || typeof required === 'boolean' ||
+        (Array.isArray(required) && required.every(variable => typeof variable === 'string'));
+      if (!validRequired) {
+        throw new ConfigurationError(ERRORS.invalid_required_variables, { templateName: name });
+      }
+      this._validateVariableSettings(template, name);
+
+      if (template.engine !== undefined && !engines.isEngine(template.engine)) {
+        throw new ConfigurationError(ERRORS.invalid_engine, { templateName: name });
+      }
+
+      if (!attachments.isAttachmentsSetting(template.attachments) || !attachments.isInlineImagesSetting(template.inlineImages)) {
+        throw new ConfigurationError(ERRORS.bad_attachments_config, { templateName: name });
+      }
+      this._checkMailgunOptions(template.mailgunOptions, name);
+
+      if (template.suppressionReasons !== undefined && !this._isSuppressionReasons(template.suppressionReasons)) {
+        throw new ConfigurationError(ERRORS.invalid_suppression_reasons, { templateName: name });
+      }
+
+      if (template.cacheTTL !== undefined && !this._isCacheTTL(template.cacheTTL)) {
+        throw new ConfigurationError(ERRORS.invalid_template_cache_ttl, { templateName: name });
+      }
 
-      if (typeof subject !== 'string' || typeof pathPlainText !== 'string') {
-        throw new Error(ERRORS.bad_template_config);
+      const validSubject = typeof subject === 'string' || (locales.isLocalizedMap(subject) &&
+        locales.values(subject).every(value => typeof value === 'string'));
+      if (!validSubject || !this._getTemplateSource(template, loader)) {
+        throw new ConfigurationError(ERRORS.bad_template_config, { templateName: name });
       }
 
       if (callback && typeof callback !== 'function') {
-        throw new Error(ERRORS.invalid_callback);
+        throw new ConfigurationError(ERRORS.invalid_callback, { templateName: name });
       }
+
+      if (template.variables !== undefined && (!template.variables || template.variables.constructor !== Object)) {
+        throw new ConfigurationError(ERRORS.invalid_variables, { templateName: name });
+      }
+
+      if (template.layout !== undefined && template.layout !== false && !this._isPartialConfig(template.layout)) {
+        throw new ConfigurationError(ERRORS.bad_layout_config, { templateName: name });
+      }
+    }
+
+    const { partials, layout } = options;
+    if (partials !== undefined) {
+      const validPartials = partials && partials.constructor === Object &&
+        Object.keys(partials).every(key => key !== 'body' && this._isPartialConfig(partials[key]));
+      if (!validPartials) {
+        throw new ConfigurationError(ERRORS.bad_partials_config);
+      }
+    }
+    if (layout !== undefined && !this._isPartialConfig(layout)) {
+      throw new ConfigurationError(ERRORS.bad_layout_config);
+    }
+    this.partials = partials || {};
+    this.layout = layout;
+    this.partialCache = {};
+
+    const { postProcess } = options;
+    if (!this._isPostProcessConfig(postProcess)) {
+      throw new ConfigurationError(ERRORS.bad_post_process_config);
+    }
+    this.postProcess = postProcess;
+
+    const { onError } = options;
+    if (onError && typeof onError !== 'function') {
+      throw new ConfigurationError(ERRORS.invalid_on_error);
     }
 
     this.mailcomposer = mailcomposer;
     this.mailgun = mailgun({ apiKey, domain, host });
     this.fromAddress = fromAddress;
     this.templates = templates;
+    this.loader = loader;
+
+    const { defaultLocale, localeResolver } = options;
+    if (localeResolver && typeof localeResolver !== 'function') {
+      throw new ConfigurationError(ERRORS.invalid_locale_resolver);
+    }
+    if (defaultLocale !== undefined && !locales.isLocale(defaultLocale)) {
+      throw new ConfigurationError(ERRORS.invalid_default_locale);
+    }
+    this.defaultLocale = defaultLocale;
+    this.localeResolver = localeResolver || (user => {
+      return user && typeof user.get === 'function' ? user.get('locale') : undefined;
+    });
+    this.onError = onError;
+    this.dryRun = !!options.dryRun;
+    this.retryPolicy = createRetryPolicy(options.retry);
+    this.history = options.history ? this._createHistory(options.history) : null;
+    this.outbox = options.outbox ? this._createOutbox(options.outbox) : null;
+    this.scheduler = options.scheduler ? this._createScheduler(options.scheduler) : null;
+    this.suppressions = options.suppressions ? this._createSuppressions(options.suppressions) : null;
     this.cache = {};
+
+    const { templateCacheTTL } = options;
+    if (templateCacheTTL !== undefined && !this._isCacheTTL(templateCacheTTL)) {
+      throw new ConfigurationError(ERRORS.invalid_cache_ttl);
+    }
+    this.templateCacheTTL = templateCacheTTL;
+
+    if (options.validateOnStartup) {
+      const { errors, warnings } = this.validateConfiguration();
+      warnings.forEach(warning => console.warn(`MailgunAdapter: ${warning}`));
+      if (errors.length > 0) {
+        const message = [ERRORS.invalid_configuration].concat(errors.map(error => `- ${error}`)).join('\n');
+        throw new ConfigurationError(message, { problems: errors, warnings });
+      }
+    }
+
+    this.watchers = [];
+    this.watching = false;
+    if (options.watchTemplates) {
+      this.watchTemplates();
+    }
+
+    // The workers start once the configuration is known to be valid, so that an adapter
+    // that fails to be constructed leaves no worker polling its store
+    if (this.outbox && options.outbox.autoStart !== false) {
+      this.outbox.start();
+    }
+    if (this.scheduler && options.scheduler.autoStart !== false) {
+      this.scheduler.start();
+    }
+
+    // Templates that fail to preload are loaded again when they are first sent
+    this.preloading = options.preload ? this.preload().catch(error => this._reportPreloadError(error)) : null;
+  }
+
+  /**
+   * Loads and compiles all templates with their partials, layouts and subjects, so that
+   * the first emails are sent without loading any files. Templates are loaded without a locale,
+   * i.e. in the default locale, and templates of loaders are requested from their loader.
+   * @returns {Promise} resolves when all templates are cached
+   */
+  preload() {
+    return Object.keys(this.templates).reduce((previous, templateName) => {
+      return previous.then(() => {
+        return co(this._preloadGenerator.bind(this, templateName)).catch(error => {
+          throw this._wrapError(error, templateName);
+        });
+      });
+    }, Promise.resolve());
+  }
+
+  /**
+   * Generator function that loads and compiles a template
+   * @param {String} templateName
+   */
+  *_preloadGenerator(templateName) {
+    const template = this.templates[templateName];
+    const engine = this._getEngine(template);
+    const cachedTemplate = yield* this._loadTemplates(templateName, template);
+    const partials = yield* this._loadPartials(templateName, template);
+
+    const sources = [cachedTemplate.text, cachedTemplate.html];
+    ['text', 'html'].forEach(key => {
+      Object.keys(partials[key]).forEach(name => sources.push(partials[key][name]));
+    });
+    sources.filter(source => typeof source === 'string').forEach(source => this._compile(engine, source, true));
+    locales.values(template.subject).forEach(subject => this._compile(engine, subject, false));
+  }
+
+  /**
+   * Passes an error of the `preload` option to onError, or logs it
+   * @param {MailgunAdapterError} error
+   */
+  _reportPreloadError(error) {
+    if (this.onError) {
+      this.onError(error);
+    } else {
+      console.warn(`MailgunAdapter: Could not preload template ${error.templateName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks the configuration beyond what the constructor requires: that fromAddress is a valid
+   * address, and that all template, partial and layout files exist and compile, as do the subjects
+   * and inline templates. Templates of loaders are not checked, because they are only loaded
+   * when sending. Files with a {locale} placeholder are checked for the default locale.
+   * A missing passwordResetEmail or verificationEmail template is reported as a warning.
+   * @returns {Object} { errors, warnings } with a description of every problem found
+   */
+  validateConfiguration() {
+    const errors = [];
+    const warnings = [];
+
+    if (typeof this.fromAddress !== 'string' || !ADDRESS_PATTERN.test(this.fromAddress.trim())) {
+      errors.push(`fromAddress ${this.fromAddress} is not a valid email address`);
+    }
+
+    REQUIRED_TEMPLATES.forEach(name => {
+      if (!this.templates[name]) {
+        warnings.push(`Missing the ${name} template, which Parse Server needs to send its emails`);
+      }
+    });
+
+    for (let name in this.templates) {
+      const template = this.templates[name];
+      const source = this._getTemplateSource(template, this.loader);
+      const engine = this._getEngine(template);
+
+      locales.values(template.subject).forEach(subject => {
+        this._validateTemplate(engine, subject, `subject of template ${name}`, errors, false);
+      });
+      if (source === 'inline') {
+        ['text', 'html'].filter(key => typeof template[key] === 'string').forEach(key => {
+          this._validateTemplate(engine, template[key], `${key} of template ${name}`, errors);
+        });
+      } else if (source === 'file') {
+        ['pathPlainText', 'pathHtml'].forEach(key => {
+          this._validateFiles(template[key], `${key} of template ${name}`, errors, engine);
+        });
+      }
+      if (template.layout) {
+        this._validateFiles(template.layout, `layout of template ${name}`, errors, engine);
+      }
+      if (template.postProcess && template.postProcess.stylesheet) {
+        this._validateFiles(template.postProcess.stylesheet, `stylesheet of template ${name}`, errors, null);
+      }
+      this._validateAttachments(template, this._getTemplateDir(template), `template ${name}`, errors);
+    }
+
+    for (let name in this.partials) {
+      this._validateFiles(this.partials[name], `partial ${name}`, errors, this.engine);
+    }
+    if (this.layout) {
+      this._validateFiles(this.layout, 'layout', errors, this.engine);
+    }
+    if (this.postProcess && this.postProcess.stylesheet) {
+      this._validateFiles(this.postProcess.stylesheet, 'stylesheet', errors, null);
+    }
+    this._validateAttachments(this, undefined, 'adapter', errors);
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Checks that the attachment and inline image files of the adapter or a template exist
+   * and are not larger than the size limit
+   * @param {Object} settings the adapter or a template
+   * @param {String} [baseDir]
+   * @param {String} label describes the settings in error messages
+   * @param {Array} errors
+   */
+  _validateAttachments(settings, baseDir, label, errors) {
+    const images = settings.inlineImages || {};
+    const declared = (settings.attachments || []).map(setting => attachments.normalizeAttachment(setting, baseDir))
+      .concat(Object.keys(images).map(cid => attachments.normalizeAttachment(images[cid], baseDir, cid)));
+
+    declared.filter(attachment => attachment.path).forEach(attachment => {
+      let stats;
+      try {
+        stats = fs.statSync(attachment.path);
+      } catch (error) {
+        errors.push(`Could not read the attachment ${attachment.path} (${label}): ${error.code || error.message}`);
+        return;
+      }
+      if (stats.size > this.attachmentLimits.maxSize) {
+        errors.push(`The attachment ${attachment.path} (${label}) is larger than ${this.attachmentLimits.maxSize} bytes`);
+      }
+    });
+  }
+
+  /**
+   * Checks that the files of a path setting exist and, if an engine is given, compile
+   * @param {String|Object} setting a path, a localized map of paths or a partial config
+   * @param {String} label describes the setting in error messages
+   * @param {Array} errors
+   * @param {Object} engine null for files that are not templates
+   */
+  _validateFiles(setting, label, errors, engine) {
+    const settings = this._isPartialConfig(setting) && typeof setting !== 'string'
+      ? [setting.pathPlainText, setting.pathHtml]
+      : locales.values(setting);
+
+    settings.filter(path => typeof path === 'string').forEach(path => {
+      if (locales.hasLocalePattern(path)) {
+        if (!this.defaultLocale) {
+          return;
+        }
+        path = locales.fillLocalePattern(path, this.defaultLocale);
+      }
+
+      let content;
+      try {
+        content = fs.readFileSync(path, 'utf8');
+      } catch (error) {
+        errors.push(`Could not read the file ${path} (${label}): ${error.code || error.message}`);
+        return;
+      }
+      if (engine) {
+        this._validateTemplate(engine, content, `${label} in ${path}`, errors);
+      }
+    });
+  }
+
+  /**
+   * Checks that a template compiles
+   * @param {Object} engine
+   * @param {String} template
+   * @param {String} label describes the template in error messages
+   * @param {Array} errors
+   * @param {Boolean} [escape] false for subjects
+   */
+  _validateTemplate(engine, template, label, errors, escape) {
+    try {
+      this._compile(engine, template, escape !== false);
+    } catch (error) {
+      errors.push(`Could not compile the ${label}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes a template, or all templates when called without a name, from the cache,
+   * so that they are loaded again on the next send.
+   * @param {String} [templateName]
+   */
+  clearTemplateCache(templateName) {
+    if (templateName) {
+      // Localized versions are cached as templateName:locale
+      for (let key in this.cache) {
+        if (key === templateName || key.indexOf(`${templateName}:`) === 0) {
+          this._forgetCompiled([this.cache[key].text, this.cache[key].html]);
+          delete this.cache[key];
+        }
+      }
+    } else {
+      this.cache = {};
+      this.partialCache = {};
+      this.attachmentCache = {};
+      this.compiledTemplates.clear();
+    }
+  }
+
+  /**
+   * Watches the files of all configured templates and clears a template
+   * from the cache as soon as one of its files changes.
+   */
+  watchTemplates() {
+    this.unwatchTemplates();
+    this.watching = true;
+    for (let name in this.templates) {
+      const { pathPlainText, pathHtml } = this.templates[name];
+      locales.values(pathPlainText).concat(locales.values(pathHtml))
+        // Paths with a {locale} placeholder do not refer to a single file
+        .filter(path => typeof path === 'string' && !locales.hasLocalePattern(path))
+        .forEach(path => this._watchFile(path, () => this.clearTemplateCache(name), { templateName: name }));
+    }
+
+    // Partials and layouts are shared between templates
+    this._getPartialPaths().forEach(path => {
+      this._watchFile(path, () => {
+        this._forgetCompiled([this.partialCache[path]]);
+        delete this.partialCache[path];
+      }, {});
+    });
+  }
+
+  /**
+   * Stops watching the template files
+   */
+  unwatchTemplates() {
+    this.watching = false;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+
+  /**
+   * Watches a single template file. Editors often save a file by replacing it,
+   * which ends the watch, so the file is watched again after a rename event.
+   * @param {String} path
+   * @param {Function} onChange
+   * @param {Object} details added to the error if the file can not be watched
+   */
+  _watchFile(path, onChange, details) {
+    let watcher;
+    try {
+      watcher = fs.watch(path, { persistent: false }, eventType => {
+        onChange();
+        if (eventType === 'rename') {
+          this._closeWatcher(watcher);
+          setTimeout(() => {
+            // The file may be gone for good, in which case loading the template reports the error
+            if (this.watching && fs.existsSync(path)) {
+              this._watchFile(path, onChange, details);
+            }
+          }, 50);
+        }
+      });
+    } catch (error) {
+      throw new ConfigurationError(`Could not watch template file ${path}`, Object.assign({}, details, {
+        path, code: error.code, cause: error
+      }));
+    }
+    watcher.on('error', () => this._closeWatcher(watcher));
+    this.watchers.push(watcher);
+  }
+
+  _closeWatcher(watcher) {
+    watcher.close();
+    this.watchers = this.watchers.filter(item => item !== watcher);
+  }
+
+  /**
+   * Creates the worker that delivers the messages queued in outbox mode, or by the scheduler.
+   * The constructor starts it unless `autoStart` is false.
+   * @param {Boolean|Object} options
+   * @returns {OutboxWorker}
+   */
+  _createOutbox(options) {
+    options = options === true ? {} : options;
+    const store = options.store || new outbox.MemoryStore();
+
+    const methods = ['enqueue', 'fetchDue', 'update', 'remove', 'moveToDeadLetter'];
+    if (methods.some(method => typeof store[method] !== 'function')) {
+      throw new ConfigurationError(ERRORS.invalid_outbox_store);
+    }
+
+    const { onDeadLetter } = options;
+    const worker = new outbox.OutboxWorker(Object.assign({}, options, {
+      store,
+      send: entry => {
+        return this._sendPayload(Object.assign({}, entry.params, { to: entry.to, message: entry.message }))
+          .then(body => this._updateHistory({ id: entry.id }, this._sentChanges(body)).then(() => body));
+      },
+      onDeadLetter: (entry, error) => {
+        return this._updateHistory({ id: entry.id }, { status: 'failed', error: error.message, updatedAt: Date.now() })
+          .then(() => onDeadLetter && onDeadLetter(entry, error));
+      },
+      onError: options.onError || this.onError
+    }));
+    return worker;
+  }
+
+  /**
+   * Validates the suppressions option
+   * @param {Boolean|Object} options true, or { store, reasons }
+   * @returns {Object} { store, reasons }
+   */
+  _createSuppressions(options) {
+    options = options === true ? {} : options;
+    const store = options.store || new suppressions.MemorySuppressionStore();
+    if (['find', 'add', 'remove'].some(method => typeof store[method] !== 'function')) {
+      throw new ConfigurationError(ERRORS.invalid_suppression_store);
+    }
+    const reasons = options.reasons === undefined ? suppressions.REASONS : options.reasons;
+    if (!this._isSuppressionReasons(reasons)) {
+      throw new ConfigurationError(ERRORS.invalid_suppression_reasons);
+    }
+    return { store, reasons };
+  }
+
+  /**
+   * Whether a template cache TTL is a number of milliseconds. NaN would never expire a template.
+   * @param {*} ttl
+   * @returns {Boolean}
+   */
+  _isCacheTTL(ttl) {
+    return typeof ttl === 'number' && ttl >= 0;
+  }
+
+  _isSuppressionReasons(reasons) {
+    return Array.isArray(reasons) && reasons.every(reason => suppressions.REASONS.indexOf(reason) !== -1);
+  }
+
+  /**
+   * Validates the history option
+   * @param {Function|HistorySink} sink
+   * @returns {HistorySink}
+   */
+  _createHistory(sink) {
+    if (typeof sink === 'function') {
+      return new history.CallbackHistorySink(sink);
+    }
+    if (typeof sink.record !== 'function' || typeof sink.update !== 'function') {
+      throw new ConfigurationError(ERRORS.invalid_history);
+    }
+    return sink;
+  }
+
+  /**
+   * Creates the worker that hands the messages that are sent more than 3 days ahead to Mailgun.
+   * It takes the same options as the outbox.
+   * @param {Boolean|Object} options
+   * @returns {OutboxWorker}
+   */
+  _createScheduler(options) {
+    return this._createOutbox(Object.assign({ pollInterval: SCHEDULER_POLL_INTERVAL }, options === true ? {} : options));
+  }
+
+  /**
+   * Method to send MIME emails via Mailgun. Invalid options reject the promise as well.
+   * @param {Object} options
+   * @returns {Promise}
+   */
+  _sendMail(options) {
+    return Promise.resolve()
+      .then(() => {
+        const args = this._prepareMessage(options);
+        const details = { templateName: args.selectedTemplate.name, recipient: args.message.to, user: args.user };
+        return co(this._mailGenerator.bind(this, args))
+          .then(result => this._recordHistory(details, result).then(() => result), error => {
+            return this._recordHistory(details, null, error).then(() => {
+              throw error;
+            });
+          });
+      })
+      .catch(error => this._handleError(error, options.templateName));
+  }
+
+  /**
+   * Looks up a configured template by name
+   * @param {String} templateName
+   * @returns {Object}
+   */
+  _getTemplate(templateName) {
+    if (!templateName) {
+      throw new TemplateError(ERRORS.invalid_template_name);
+    }
+
+    const template = this.templates[templateName];
+    if (!template) {
+      throw new TemplateError(`Could not find template with name ${templateName}`, { templateName });
+    }
+    return template;
+  }
+
+  /**
+   * Validates the options of #_sendMail() and assembles the arguments for #_mailGenerator()
+   * @param {Object} options
+   * @returns {Object}
+   */
+  _prepareMessage(options) {
+    let templateVars,
+      message,
+      selectedTemplate = {};
+
+    let templateName = (selectedTemplate.name = options.templateName);
+    let template = (selectedTemplate.config = this._getTemplate(templateName));
+
+    let user, locale, sendAt;
+    // Subjects of the configuration are templates, subjects passed by the caller are sent as they are
+    let renderSubject = true;
+    // The adapter is used directly by the user's code instead via Parse Server
+    if (options.direct) {
+      const { subject, fromAddress, recipient, variables, extra } = options;
+      locale = options.locale;
+      this._checkLocale(locale, templateName);
+      if (!recipient && !options.preview) {
+        throw new RecipientError(`Cannot send email with template ${templateName} without a recipient`, { templateName });
+      }
+      if (!attachments.isAttachmentsSetting(options.attachments) || !attachments.isInlineImagesSetting(options.inlineImages)) {
+        throw new AttachmentError(ERRORS.invalid_attachments, { templateName });
+      }
+      this._checkMailgunOptions(options.mailgunOptions, templateName);
+      if (options.sendAt !== undefined) {
+        sendAt = this._getSendAt(options.sendAt, templateName);
+      }
+
+      // The template's variables serve as defaults
+      templateVars = Object.assign({}, template.variables, variables);
+      renderSubject = !subject;
+      message = Object.assign(
+        {
+          from: fromAddress || this.fromAddress,
+          to: recipient,
+          subject: subject || this._localizeSubject(templateName, template, locale)
+        },
+        extra || {}
+      );
+    } else {
+      const { link, appName } = options;
+      user = options.user;
+      locale = this.localeResolver(user);
+      this._checkLocale(locale, templateName);
+
+      templateVars = Object.assign({}, template.variables, {
+        link,
+        appName,
+        username: user.get('username'),
+        email: user.get('email')
+      });
+
+      message = {
+        from: this.fromAddress,
+        to: user.get('email'),
+        subject: this._localizeSubject(templateName, template, locale)
+      };
+    }
+
+    const files = { attachments: options.attachments, inlineImages: options.inlineImages };
+    return {
+      templateVars,
+      message,
+      renderSubject,
+      selectedTemplate,
+      user,
+      locale,
+      files,
+      mailgunOptions: options.mailgunOptions,
+      sendAt
+    };
+  }
+
+  /**
+   * Validates the sendAt option of #send()
+   * @param {Date|Number|String} value
+   * @param {String} templateName
+   * @returns {Number} timestamp (ms)
+   */
+  _getSendAt(value, templateName) {
+    const sendAt = messageOptions.toDate(value).getTime();
+    if (isNaN(sendAt)) {
+      throw new ConfigurationError(ERRORS.invalid_send_at, { templateName });
+    }
+    if (sendAt - Date.now() > messageOptions.MAX_DELIVERY_DELAY && !this.scheduler && !this.dryRun) {
+      throw new ConfigurationError(ERRORS.missing_scheduler, { templateName });
+    }
+    return sendAt;
+  }
+
+  /**
+   * Checks the locale of a message, which comes from the caller or the user and is put into file paths
+   * @param {*} locale
+   * @param {String} templateName
+   */
+  _checkLocale(locale, templateName) {
+    if (locale !== undefined && locale !== null && locale !== '' && !locales.isLocale(locale)) {
+      throw new TemplateError(`Invalid locale ${locale} for template ${templateName}`, { templateName, locale });
+    }
+  }
+
+  /**
+   * Picks the subject of a template for a locale
+   * @param {String} templateName
+   * @param {Object} template
+   * @param {String} [locale]
+   * @returns {String}
+   */
+  _localizeSubject(templateName, template, locale) {
+    const subject = locales.localize(template.subject, locales.getLocaleChain(locale, this.defaultLocale));
+    if (typeof subject !== 'string') {
+      throw new TemplateError(`Could not find a subject for locale ${locale} in template ${templateName}`, { templateName, locale });
+    }
+    return subject;
+  }
+
+  /**
+   * Generator function that handles that handles all the async operations:
+   * template loading, MIME string building and email sending.
+   * If all recipients are suppressed, nothing is sent and the result is { status: 'suppressed', suppressed }.
+   */
+  *_mailGenerator(args) {
+    const { config: template, name: templateName } = args.selectedTemplate;
+    const params = this._getMailgunParams(template, args.mailgunOptions, templateName);
+
+    // Suppressed recipients are removed before the message is rendered
+    if (this.suppressions) {
+      const suppressed = yield this._findSuppressed(template, suppressions.parseAddresses(args.message.to));
+      if (suppressed.length > 0) {
+        const to = this._withoutSuppressed(args.message.to, suppressed);
+        if (!to) {
+          return { status: 'suppressed', suppressed };
+        }
+        args.message.to = to;
+      }
+    }
+
+    const { message, mimeString } = yield* this._renderGenerator(args);
+    if (args.sendAt !== undefined) {
+      return this._deliverAt(message, mimeString, templateName, params, args.sendAt);
+    }
+    return this._deliver(message, mimeString, templateName, params);
+  }
+
+  /**
+   * Generator function that renders a message: it runs the callback, loads and renders
+   * the templates and builds the MIME string.
+   * @param {Object} args
+   * @returns {Object} { message, mimeString }
+   */
+  *_renderGenerator(args) {
+    let { config: template, name: templateName } = args.selectedTemplate;
+    let { message, templateVars } = args;
+    const { callback } = template;
+
+    if (callback && typeof callback === 'function') {
+      let userVars = yield Promise.resolve(callback(args.user));
+      userVars = this._validateUserVars(userVars);
+      templateVars = Object.assign(templateVars, userVars);
+    }
+
+    let extra = template.extra || {};
+    let cachedTemplate = yield* this._loadTemplates(templateName, template, args.locale);
+
+    let partials = yield* this._loadPartials(templateName, template);
+
+    const subject = args.renderSubject ? message.subject : undefined;
+    const required = this._getRequiredVariables(template, cachedTemplate, partials, subject);
+    this._checkRequiredVariables(templateName, template, required, templateVars);
+
+    // Render the configured subject with the same variables as the template
+    if (args.renderSubject) {
+      message.subject = this._renderSubject(subject, templateVars, templateName);
+    }
+
+    // Add processed HTML to the message object
+    if (cachedTemplate['html']) {
+      const html = this._renderWithLayout(cachedTemplate['html'], partials.html, templateVars, templateName);
+      message.html = yield* this._postProcessHtml(templateName, template, html, templateVars);
+    }
+
+    // Compile plain-text template, or derive it from the HTML if the template has none
+    if (typeof cachedTemplate['text'] === 'string') {
+      message.text = this._renderWithLayout(cachedTemplate['text'], partials.text, templateVars, templateName);
+    } else {
+      message.text = this._generateText(template, message.html, templateName);
+    }
+
+    // Append any `extra` properties from config
+    message = Object.assign(message, extra || {});
+
+    yield* this._addAttachments(template, message, args.files);
+
+    // Create MIME string
+    const mimeString = yield this._buildMime(message);
+
+    return { message, mimeString };
+  }
+
+  /**
+   * Looks up the addresses in the suppression store
+   * @param {Object} template
+   * @param {Array} addresses in lower case
+   * @returns {Promise} resolves with the entries of the addresses that are suppressed
+   * for one of the template's suppression reasons
+   */
+  _findSuppressed(template, addresses) {
+    const reasons = template.suppressionReasons || this.suppressions.reasons;
+    if (reasons.length === 0 || addresses.length === 0) {
+      return Promise.resolve([]);
+    }
+    return Promise.all(addresses.map(address => this.suppressions.store.find(address)))
+      .then(entries => entries.filter(entry => entry && reasons.indexOf(entry.reason) !== -1));
+  }
+
+  /**
+   * Removes the suppressed addresses from a recipient field
+   * @param {String} to
+   * @param {Array} suppressed entries
+   * @returns {String} the remaining recipients, or an empty string
+   */
+  _withoutSuppressed(to, suppressed) {
+    const addresses = suppressed.map(entry => entry.address);
+    return String(to).split(',')
+      .filter(recipient => addresses.indexOf(suppressions.parseAddresses(recipient)[0]) === -1)
+      .map(recipient => recipient.trim())
+      .join(', ');
+  }
+
+  /**
+   * Sends the MIME string right away or, in outbox mode, adds it to the outbox store
+   * so that the outbox worker delivers it. In dry-run mode, nothing is sent.
+   * @param {Object} message
+   * @param {Buffer|String} mimeString
+   * @param {String} [templateName]
+   * @param {Object} [params] additional Mailgun parameters
+   * @returns {Promise} resolves with Mailgun's response, the queued entry in outbox mode,
+   * or the rendered message in dry-run mode
+   */
+  _deliver(message, mimeString, templateName, params) {
+    const { to } = message;
+    if (this.dryRun) {
+      return Promise.resolve(this._renderedMessage(message, mimeString));
+    }
+    if (!this.outbox) {
+      return this._sendMime(to, mimeString, params);
+    }
+    return this._enqueue(this.outbox.store, to, mimeString, templateName, params, Date.now());
+  }
+
+  /**
+   * Delivers the MIME string with Mailgun's scheduled delivery. Messages that are sent more than
+   * 3 days ahead are added to the scheduler store instead, and handed to Mailgun once their
+   * delivery time is within Mailgun's window.
+   * @param {Object} message
+   * @param {Buffer|String} mimeString
+   * @param {String} [templateName]
+   * @param {Object} [params] additional Mailgun parameters
+   * @param {Number} sendAt timestamp (ms) of the delivery
+   * @returns {Promise} as #_deliver(), or resolves with the scheduled entry
+   */
+  _deliverAt(message, mimeString, templateName, params, sendAt) {
+    const now = Date.now();
+    params = Object.assign({}, params);
+    if (sendAt > now) {
+      params['o:deliverytime'] = new Date(sendAt).toUTCString();
+    }
+    if (this.dryRun || sendAt - now <= messageOptions.MAX_DELIVERY_DELAY) {
+      return this._deliver(message, mimeString, templateName, params);
+    }
+    const availableAt = (sendAt - messageOptions.MAX_DELIVERY_DELAY) + SCHEDULE_MARGIN;
+    return this._enqueue(this.scheduler.store, message.to, mimeString, templateName, params, availableAt);
+  }
+
+  /**
+   * Adds a message to the store of the outbox or the scheduler
+   * @param {OutboxStore} store
+   * @param {String} to
+   * @param {Buffer|String} mimeString
+   * @param {String} [templateName]
+   * @param {Object} [params]
+   * @param {Number} availableAt timestamp (ms) before which the message must not be delivered
+   * @returns {Promise} resolves with the entry
+   */
+  _enqueue(store, to, mimeString, templateName, params, availableAt) {
+    const now = Date.now();
+    return store.enqueue({
+      id: createId(now),
+      to,
+      message: mimeString.toString('utf8'),
+      templateName,
+      attempts: 0,
+      params,
+      createdAt: now,
+      availableAt
+    });
+  }
+
+  /**
+   * Generator function that loads the plain-text and html version of a template,
+   * unless they are already cached.
+   * @param {String} templateName
+   * @param {Object} template
+   * @param {String} [locale]
+   * @returns {Object} the cache entry with the `text` and `html` template strings
+   */
+  *_loadTemplates(templateName, template, locale) {
+    let pathPlainText = template.pathPlainText;
+    let pathHtml = template.pathHtml;
+    const source = this._getTemplateSource(template, this.loader);
+    const chain = locales.getLocaleChain(locale, this.defaultLocale);
+
+    let cacheKey = templateName;
+    if (locale && this._isLocalized(template, source) && source === 'file') {
+      // Localized files are cached by the files that the locale resolves to, e.g. de-AT, de_AT and de
+      // share the entry of the de files, so the cache does not grow with every locale that users have
+      pathPlainText = pathPlainText && (yield* this._resolveTemplatePath(templateName, pathPlainText, chain, locale));
+      pathHtml = pathHtml && (yield* this._resolveTemplatePath(templateName, pathHtml, chain, locale));
+      cacheKey = [templateName, pathPlainText, pathHtml].filter(part => part).join(':');
+    } else if (locale && this._isLocalized(template, source)) {
+      cacheKey = `${templateName}:${chain[0]}`;
+    }
+
+    const ttl = template.cacheTTL !== undefined ? template.cacheTTL : this.templateCacheTTL;
+    if (ttl !== undefined && this.cache[cacheKey] && Date.now() - this.cache[cacheKey].loadedAt > ttl) {
+      this._forgetCompiled([this.cache[cacheKey].text, this.cache[cacheKey].html]);
+      delete this.cache[cacheKey];
+    }
+
+    let cachedTemplate = (this.cache[cacheKey] =
+      this.cache[cacheKey] || { loadedAt: Date.now() });
+
+    // Templates from a loader or inline strings provide both versions at once
+    if (source !== 'file') {
+      if (!cachedTemplate['text'] && !cachedTemplate['html']) {
+        const loaded = source === 'inline' ? template : yield this._loadFromLoader(templateName, template, chain);
+        cachedTemplate['text'] = loaded.text;
+        cachedTemplate['html'] = loaded.html;
+      }
+      return cachedTemplate;
+    }
+
+    // Load plain-text version, unless it is generated from the html version
+    if (pathPlainText && !cachedTemplate['text']) {
+      const path = yield* this._resolveTemplatePath(templateName, pathPlainText, chain, locale);
+      let plainTextEmail = yield this._loadEmailTemplate(path, templateName);
+      plainTextEmail = plainTextEmail.toString('utf8');
+      cachedTemplate['text'] = plainTextEmail;
+    }
+
+    // Load html version if available
+    if (pathHtml && !cachedTemplate['html']) {
+      const path = yield* this._resolveTemplatePath(templateName, pathHtml, chain, locale);
+      let htmlEmail = yield this._loadEmailTemplate(path, templateName);
+      cachedTemplate['html'] = htmlEmail.toString('utf8');
+    }
+
+    return cachedTemplate;
+  }
+
+  /**
+   * Whether a partial or layout setting is a path, or an object with the paths
+   * of the plain-text and/or html version
+   * @param {*} config
+   * @returns {Boolean}
+   */
+  _isPartialConfig(config) {
+    if (typeof config === 'string') {
+      return true;
+    }
+    return !!config && config.constructor === Object &&
+      (typeof config.pathPlainText === 'string' || typeof config.pathHtml === 'string') &&
+      ['pathPlainText', 'pathHtml'].every(key => config[key] === undefined || typeof config[key] === 'string');
+  }
+
+  /**
+   * Lists the paths of all partials and layouts
+   * @returns {Array}
+   */
+  _getPartialPaths() {
+    const configs = Object.keys(this.partials).map(name => this.partials[name]);
+    configs.push(this.layout);
+    configs.push(this.postProcess && this.postProcess.stylesheet);
+    for (let name in this.templates) {
+      const { layout, postProcess } = this.templates[name];
+      configs.push(layout);
+      configs.push(postProcess && postProcess.stylesheet);
+    }
+
+    const paths = [];
+    configs.filter(config => config).forEach(config => {
+      const candidates = typeof config === 'string' ? [config] : [config.pathPlainText, config.pathHtml];
+      candidates.forEach(path => {
+        if (typeof path === 'string' && paths.indexOf(path) === -1) {
+          paths.push(path);
+        }
+      });
+    });
+    return paths;
+  }
+
+  /**
+   * Generator function that loads the partials and the layout used by a template.
+   * The template's own layout setting takes precedence over the adapter's; `false` disables the layout.
+   * The layout is returned as the `layout` entry, which is rendered with the template as the `body` partial.
+   * @param {String} templateName
+   * @param {Object} template
+   * @returns {Object} { text, html } partials for each version of the template
+   */
+  *_loadPartials(templateName, template) {
+    const result = { text: {}, html: {} };
+    const layout = template.layout !== undefined ? template.layout : this.layout;
+    const configs = Object.assign({}, this.partials);
+    if (layout) {
+      configs.layout = layout;
+    }
+
+    for (let name in configs) {
+      const config = configs[name];
+      const pathPlainText = typeof config === 'string' ? config : config.pathPlainText;
+      const pathHtml = typeof config === 'string' ? config : config.pathHtml;
+
+      if (pathPlainText) {
+        result.text[name] = yield* this._loadPartialFile(templateName, pathPlainText);
+      }
+      if (pathHtml) {
+        result.html[name] = yield* this._loadPartialFile(templateName, pathHtml);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Generator function that loads a partial or layout file, unless it is already cached
+   * @param {String} templateName
+   * @param {String} path
+   * @returns {String}
+   */
+  *_loadPartialFile(templateName, path) {
+    if (this.partialCache[path] === undefined) {
+      const data = yield this._loadEmailTemplate(path, templateName);
+      this.partialCache[path] = data.toString('utf8');
+    }
+    return this.partialCache[path];
+  }
+
+  /**
+   * Whether a postProcess setting is valid: an object with any of the
+   * inlineCss, stylesheet, minify and transforms settings, or not set
+   * @param {*} config
+   * @returns {Boolean}
+   */
+  _isPostProcessConfig(config) {
+    if (config === undefined) {
+      return true;
+    }
+    if (!config || config.constructor !== Object) {
+      return false;
+    }
+    const { inlineCss, stylesheet, minify, transforms } = config;
+    return Object.keys(config).every(key => ['inlineCss', 'stylesheet', 'minify', 'transforms'].indexOf(key) !== -1) &&
+      (inlineCss === undefined || typeof inlineCss === 'boolean') &&
+      (stylesheet === undefined || typeof stylesheet === 'string') &&
+      (minify === undefined || typeof minify === 'boolean') &&
+      (transforms === undefined || (Array.isArray(transforms) && transforms.every(fn => typeof fn === 'function')));
+  }
+
+  /**
+   * Generator function that runs the rendered html through the post-processing steps:
+   * CSS inlining (from the style elements and the stylesheet), the transform functions, and minification.
+   * The template's postProcess setting takes precedence over the adapter's; `false` disables post-processing.
+   * @param {String} templateName
+   * @param {Object} template
+   * @param {String} html
+   * @param {Object} templateVars
+   * @returns {String}
+   */
+  *_postProcessHtml(templateName, template, html, templateVars) {
+    const config = template.postProcess !== undefined ? template.postProcess : this.postProcess;
+    if (!config || typeof html !== 'string') {
+      return html;
+    }
+
+    const { stylesheet, transforms } = config;
+    if (config.inlineCss || stylesheet) {
+      const css = stylesheet ? yield* this._loadPartialFile(templateName, stylesheet) : undefined;
+      html = inlineCss(html, css);
+    }
+
+    for (let transform of transforms || []) {
+      try {
+        html = yield Promise.resolve(transform(html, { templateName, variables: templateVars }));
+      } catch (error) {
+        throw new RenderingError(`HTML transform failed for ${templateName}: ${error.message}`, { templateName, cause: error });
+      }
+      if (typeof html !== 'string') {
+        throw new RenderingError(`HTML transform for ${templateName} did not return a string`, { templateName });
+      }
+    }
+
+    return config.minify ? minifyHtml(html) : html;
+  }
+
+  /**
+   * Whether a template has different versions per locale
+   * @param {Object} template
+   * @param {String} source
+   * @returns {Boolean}
+   */
+  _isLocalized(template, source) {
+    if (source === 'loader') {
+      return true;
+    }
+    return [template.pathPlainText, template.pathHtml].some(path => {
+      return locales.isLocalizedMap(path) || locales.hasLocalePattern(path);
+    });
+  }
+
+  /**
+   * Generator function that picks the template file for a locale.
+   * Paths per locale ({ en: ..., de: ... }) use the first locale of the chain that is configured,
+   * paths with a {locale} placeholder use the first locale of the chain for which the file exists.
+   * @param {String} templateName
+   * @param {String|Object} path
+   * @param {Array} chain
+   * @param {String} [locale] the requested locale, for error reporting
+   * @returns {String}
+   */
+  *_resolveTemplatePath(templateName, path, chain, locale) {
+    if (locales.isLocalizedMap(path)) {
+      path = locales.localize(path, chain);
+    } else if (locales.hasLocalePattern(path)) {
+      for (let candidate of chain) {
+        const localizedPath = locales.fillLocalePattern(path, candidate);
+        const exists = yield this._fileExists(localizedPath);
+        if (exists) {
+          return localizedPath;
+        }
+      }
+      path = undefined;
+    }
+
+    if (typeof path !== 'string') {
+      throw new TemplateError(`Could not find a template file for locale ${locale} in template ${templateName}`, { templateName, locale });
+    }
+    return path;
+  }
+
+  /**
+   * @param {String} path
+   * @returns {Promise} resolves with true if the file exists
+   */
+  _fileExists(path) {
+    return new Promise(resolve => {
+      fs.stat(path, error => resolve(!error));
+    });
+  }
+
+  /**
+   * Determines where a template is loaded from: its own loader, inline strings,
+   * files, or the adapter-level loader, in that order.
+   * When the plain-text version is generated, the html version alone is a source.
+   * @param {Object} template
+   * @param {Function} [adapterLoader]
+   * @returns {String|null} 'loader', 'inline', 'file' or null if the template has no source
+   */
+  _getTemplateSource(template, adapterLoader) {
+    const isPath = path => typeof path === 'string' || locales.isLocalizedMap(path);
+    const generatesText = !!this._getTextGenerator(template);
+
+    if (typeof template.loader === 'function') {
+      return 'loader';
+    }
+    if (typeof template.text === 'string' || (generatesText && typeof template.html === 'string')) {
+      return 'inline';
+    }
+    if (isPath(template.pathPlainText) || (generatesText && isPath(template.pathHtml))) {
+      return 'file';
+    }
+    return typeof adapterLoader === 'function' ? 'loader' : null;
+  }
+
+  /**
+   * Loads a template through the template's or the adapter's loader function.
+   * The loader is asked for each locale of the chain in turn, and finally without a locale,
+   * until it returns a template.
+   * @param {String} templateName
+   * @param {Object} template
+   * @param {Array} [chain]
+   * @returns {Promise} resolves with { text, html }
+   */
+  _loadFromLoader(templateName, template, chain) {
+    const loader = template.loader || this.loader;
+    const candidates = (chain || []).concat([undefined]);
+    const locale = candidates[0];
+
+    const load = (index) => {
+      return Promise.resolve()
+        .then(() => loader(templateName, candidates[index]))
+        .then(loaded => {
+          const generatesText = !!this._getTextGenerator(template);
+          if (loaded && (typeof loaded.text === 'string' || (generatesText && typeof loaded.html === 'string'))) {
+            return loaded;
+          }
+          if (index + 1 < candidates.length) {
+            return load(index + 1);
+          }
+          throw new TemplateError(`Template loader did not return a text template for ${templateName}`, { templateName, locale });
+        }, error => {
+          throw new TemplateError(`Template loader failed for ${templateName}: ${error.message}`, { templateName, locale, cause: error });
+        });
+    };
+    return load(0);
+  }
+
+  /**
+   * Generator function that sends a template to many recipients. Recipients are sent in chunks,
+   * with their variables passed to Mailgun as recipient-variables. If the template can not be
+   * expressed with Mailgun placeholders, it is rendered and sent for every recipient instead.
+   * @param {Object} args
+   * @returns {Array} result for every recipient
+   */
+  *_batchGenerator(args) {
+    const { templateName, template, recipients, variables, message, chunkSize, locale } = args;
+    const mailgunParams = this._getMailgunParams(template, args.mailgunOptions, templateName);
+    const cachedTemplate = yield* this._loadTemplates(templateName, template, locale);
+    const partials = yield* this._loadPartials(templateName, template);
+
+    // Only Mustache templates can be converted to use Mailgun's placeholders
+    const keys = batch.getRecipientKeys(recipients);
+    const convert = this._getEngine(template) === engines.mustache;
+    const text = typeof cachedTemplate['text'] === 'string'
+      ? this._toBatchTemplate(cachedTemplate['text'], partials.text, keys)
+      : undefined;
+    const html = cachedTemplate['html'] ? this._toBatchTemplate(cachedTemplate['html'], partials.html, keys) : undefined;
+    // Subjects are plain text, so they use the unescaped values. A subject passed by the caller is sent as it is.
+    const subject = args.subject ? message.subject : batch.toBatchTemplate(message.subject, keys, false);
+    const canBatch = convert && text !== null && html !== null && subject !== null;
+
+    // Suppressed recipients are skipped
+    let results = [];
+    let unsuppressed = recipients;
+    if (this.suppressions) {
+      const addresses = recipients.map(recipient => suppressions.parseAddresses(recipient.address)[0]);
+      const suppressed = yield this._findSuppressed(template, addresses);
+      unsuppressed = recipients.filter((recipient, i) => {
+        const entry = suppressed.find(item => item.address === addresses[i]);
+        if (entry) {
+          results.push({ address: recipient.address, status: 'suppressed', reason: entry.reason });
+        }
+        return !entry;
+      });
+    }
+
+    // Recipients that lack required variables fail without being sent to
+    const required = this._getRequiredVariables(template, cachedTemplate, partials, args.subject ? undefined : message.subject);
+    const accepted = unsuppressed.filter(recipient => {
+      try {
+        this._checkRequiredVariables(templateName, template, required, Object.assign({}, variables, recipient.variables));
+        return true;
+      } catch (error) {
+        results.push({ address: recipient.address, status: 'failed', error });
+        return false;
+      }
+    });
+
+    for (let recipientChunk of batch.chunk(accepted, chunkSize)) {
+      const recipientVariables = canBatch ? batch.toRecipientVariables(recipientChunk, keys) : null;
+      let chunkResults;
+      if (recipientVariables) {
+        const batchMessage = Object.assign({}, message, {
+          subject: args.subject ? subject : this._renderSubject(subject, variables, templateName)
+        });
+        if (html) {
+          batchMessage.html = yield* this._postProcessHtml(templateName, template, this._render(html, variables, templateName), variables);
+        }
+        yield* this._addAttachments(template, batchMessage);
+        // A generated plain-text version contains the placeholders of the html version,
+        // which have to be replaced by the unescaped values
+        batchMessage.text = text !== undefined
+          ? this._render(text, variables, templateName)
+          : batch.toRawPlaceholders(this._generateText(template, batchMessage.html, templateName));
+        chunkResults = yield this._sendBatchChunk(recipientChunk, recipientVariables, batchMessage, templateName, mailgunParams);
+      } else {
+        chunkResults = yield this._sendIndividually(recipientChunk, args);
+      }
+      results = results.concat(chunkResults);
+    }
+    return results;
+  }
+
+  /**
+   * Converts a template, wrapped in its layout, for batch sending.
+   * Partials are inlined, so that their per-recipient variables are converted as well.
+   * @param {String} template
+   * @param {Object} partials
+   * @param {Array} keys
+   * @returns {String|null}
+   */
+  _toBatchTemplate(template, partials, keys) {
+    const { layout } = partials;
+    if (layout === undefined) {
+      return batch.toBatchTemplate(template, keys, true, partials);
+    }
+    return batch.toBatchTemplate(layout, keys, true, Object.assign({}, partials, { body: template }));
+  }
+
+  /**
+   * Whether a generateText setting is valid: a boolean, a function, or not set
+   * @param {*} setting
+   * @returns {Boolean}
+   */
+  _isTextGeneratorSetting(setting) {
+    return setting === undefined || typeof setting === 'boolean' || typeof setting === 'function';
+  }
+
+  /**
+   * Picks the function that generates the plain-text version of a template from its html version.
+   * The template's generateText setting takes precedence over the adapter's.
+   * @param {Object} template
+   * @returns {Function|null}
+   */
+  _getTextGenerator(template) {
+    const setting = template.generateText !== undefined ? template.generateText : this.generateText;
+    if (typeof setting === 'function') {
+      return setting;
+    }
+    return setting ? htmlToText : null;
+  }
+
+  /**
+   * Generates the plain-text version of a message from its rendered html version
+   * @param {Object} template
+   * @param {String} html
+   * @param {String} [templateName]
+   * @returns {String}
+   */
+  _generateText(template, html, templateName) {
+    const generator = this._getTextGenerator(template);
+    if (!generator || typeof html !== 'string') {
+      return undefined;
+    }
+    try {
+      return String(generator(html));
+    } catch (error) {
+      throw new RenderingError(`Could not generate the plain-text version of ${templateName}: ${error.message}`, {
+        templateName, cause: error
+      });
+    }
+  }
+
+  /**
+   * Sends a single message with Mailgun recipient-variables to a chunk of recipients
+   * @param {Array} recipients
+   * @param {Object} recipientVariables
+   * @param {Object} message
+   * @param {String} templateName
+   * @param {Object} [mailgunParams] Mailgun parameters of the message
+   * @returns {Promise} resolves with the result for every recipient
+   */
+  _sendBatchChunk(recipients, recipientVariables, message, templateName, mailgunParams) {
+    const addresses = recipients.map(recipient => recipient.address);
+    const params = Object.assign({}, mailgunParams, { 'recipient-variables': JSON.stringify(recipientVariables) });
+
+    return this._buildMime(message)
+      .then(mimeString => {
+        // Every recipient only sees their own address
+        mimeString = `To: %recipient%\r\n${mimeString.toString('utf8')}`;
+        return this._deliver(Object.assign({}, message, { to: addresses.join(', ') }), mimeString, templateName, params);
+      })
+      .then(body => {
+        return addresses.map(address => this._batchResult(address, body));
+      }, error => {
+        return addresses.map(address => ({ address, status: 'failed', error }));
+      });
+  }
+
+  /**
+   * Renders and sends the template for each recipient separately, one after the other
+   * @param {Array} recipients
+   * @param {Object} args
+   * @returns {Promise} resolves with the result for every recipient
+   */
+  _sendIndividually(recipients, args) {
+    const { templateName, variables, message } = args;
+    const results = [];
+
+    return recipients.reduce((previous, recipient) => {
+      return previous.then(() => {
+        const options = {
+          templateName,
+          direct: true,
+          recipient: recipient.address,
+          variables: Object.assign({}, variables, recipient.variables),
+          subject: args.subject,
+          fromAddress: message.from,
+          extra: args.extra,
+          locale: args.locale,
+          mailgunOptions: args.mailgunOptions
+        };
+        return co(this._mailGenerator.bind(this, this._prepareMessage(options)))
+          .then(body => {
+            results.push(this._batchResult(recipient.address, body));
+          }, error => {
+            results.push({ address: recipient.address, status: 'failed', error });
+          });
+      });
+    }, Promise.resolve()).then(() => results);
   }
 
   /**
-   * Method to send MIME emails via Mailgun
-   * @param {Object} options
-   * @returns {Promise}
+   * Result of a successful send for a single recipient of a batch
+   * @param {String} address
+   * @param {Object} body Mailgun's response, or the queued entry in outbox mode
+   * @returns {Object}
    */
-  _sendMail(options) {
-    let templateVars,
-      message,
-      selectedTemplate = {};
-
-    let templateName = (selectedTemplate.name = options.templateName);
-    if (!templateName) {
-      throw new Error(ERRORS.invalid_template_name);
+  _batchResult(address, body) {
+    if (body && body.status === 'suppressed') {
+      return { address, status: 'suppressed', reason: body.suppressed[0].reason };
     }
-
-    let template = (selectedTemplate.config = this.templates[templateName]);
-    if (!template) {
-      throw new Error(`Could not find template with name ${templateName}`);
+    if (this.dryRun) {
+      return { address, status: 'rendered', message: body };
+    }
+    if (this.outbox) {
+      return { address, status: 'queued', id: body.id };
     }
+    return { address, status: 'sent', id: body && body.id };
+  }
 
-    let user;
-    // The adapter is used directly by the user's code instead via Parse Server
-    if (options.direct) {
-      const { subject, fromAddress, recipient, variables, extra } = options;
-      if (!recipient) {
-        throw new Error(`Cannot send email with template ${templateName} without a recipient`);
-      }
+  /**
+   * The parts of a rendered message that are returned by #render() and in dry-run mode
+   * @param {Object} message
+   * @param {Buffer|String} mimeString
+   * @returns {Object} { subject, text, html, mime }
+   */
+  _renderedMessage(message, mimeString) {
+    return {
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      mime: mimeString.toString('utf8')
+    };
+  }
 
-      templateVars = variables || {};
-      message = Object.assign(
-        {
-          from: fromAddress || this.fromAddress,
-          to: recipient,
-          subject: subject || template.subject
-        },
-        extra || {}
-      );
-    } else {
-      const { link, appName } = options;
-      user = options.user;
+  /**
+   * Lists the attachments and inline images that are declared for a template, by the adapter,
+   * the template and the options of the call, in that order. Inline images are only included
+   * if the html uses them, and a template's image replaces the adapter's image with the same content ID.
+   * @param {Object} template
+   * @param {String} [html]
+   * @param {Object} [files] { attachments, inlineImages } of the call
+   * @returns {Array} normalized attachments, where `cache` marks those from the configuration
+   */
+  _getAttachments(template, html, files) {
+    files = files || {};
+    const templateDir = this._getTemplateDir(template);
+    const sources = [
+      { baseDir: undefined, cache: true, settings: this.attachments, images: this.inlineImages },
+      { baseDir: templateDir, cache: true, settings: template.attachments, images: template.inlineImages },
+      { baseDir: undefined, cache: false, settings: files.attachments, images: files.inlineImages }
+    ];
 
-      templateVars = Object.assign({
-        link,
-        appName,
-        username: user.get('username'),
-        email: user.get('email')
+    const list = [];
+    const images = {};
+    sources.forEach(source => {
+      (source.settings || []).forEach(setting => {
+        list.push(Object.assign(attachments.normalizeAttachment(setting, source.baseDir), { cache: source.cache }));
       });
+      const sourceImages = source.images || {};
+      Object.keys(sourceImages)
+        .filter(cid => typeof html === 'string' && html.indexOf(`cid:${cid}`) !== -1)
+        .forEach(cid => {
+          images[cid] = Object.assign(attachments.normalizeAttachment(sourceImages[cid], source.baseDir, cid), { cache: source.cache });
+        });
+    });
+    return list.concat(Object.keys(images).map(cid => images[cid]));
+  }
 
-      message = {
-        from: this.fromAddress,
-        to: user.get('email'),
-        subject: template.subject
-      };
+  /**
+   * The directory that relative attachment paths of a template are resolved against:
+   * the directory of its html or plain-text file, without the locale directory
+   * @param {Object} template
+   * @returns {String} undefined for templates without files
+   */
+  _getTemplateDir(template) {
+    const file = locales.values(template.pathHtml).concat(locales.values(template.pathPlainText))
+      .find(path => typeof path === 'string');
+    if (!file) {
+      return undefined;
     }
-
-    const args = { templateVars, message, selectedTemplate, user };
-    return co(this._mailGenerator.bind(this, args)).catch(e => console.error(e));
+    let dir = nodePath.dirname(file);
+    while (locales.hasLocalePattern(dir)) {
+      dir = nodePath.dirname(dir);
+    }
+    return dir;
   }
 
   /**
-   * Generator function that handles that handles all the async operations:
-   * template loading, MIME string building and email sending.
+   * Generator function that loads the declared attachments into the message and
+   * checks the size limits before the MIME string is built
+   * @param {Object} template
+   * @param {Object} message
+   * @param {Object} [files] { attachments, inlineImages } of the call
    */
-  *_mailGenerator(args) {
-    let { config: template, name: templateName } = args.selectedTemplate;
-    let { message, templateVars } = args;
-    const { callback } = template;
-
-    if (callback && typeof callback === 'function') {
-      let userVars = yield Promise.resolve(callback(args.user));
-      userVars = this._validateUserVars(userVars);
-      templateVars = Object.assign(templateVars, userVars);
+  *_addAttachments(template, message, files) {
+    const declared = this._getAttachments(template, message.html, files);
+    if (declared.length > 0) {
+      const loaded = yield Promise.all(declared.map(attachment => this._loadAttachment(attachment)));
+      message.attachments = (message.attachments || []).concat(loaded);
     }
+    attachments.checkTotalSize(message.attachments || [], this.attachmentLimits.maxTotalSize);
+  }
 
-    let pathPlainText = template.pathPlainText;
-    let pathHtml = template.pathHtml;
-    let extra = template.extra || {};
-    let cachedTemplate = (this.cache[templateName] =
-      this.cache[templateName] || {});
-
-    // Load plain-text version
-    if (!cachedTemplate['text']) {
-      let plainTextEmail = yield this._loadEmailTemplate(pathPlainText);
-      plainTextEmail = plainTextEmail.toString('utf8');
-      cachedTemplate['text'] = plainTextEmail;
+  /**
+   * Loads an attachment. Files of the configuration are cached like the templates.
+   * @param {Object} attachment a normalized attachment
+   * @returns {Promise}
+   */
+  _loadAttachment(attachment) {
+    const { maxSize, downloadTimeout, maxRedirects } = this.attachmentLimits;
+    const cacheable = attachment.cache && !!attachment.path;
+    if (cacheable && this.attachmentCache[attachment.path]) {
+      attachment = Object.assign({}, attachment, { content: this.attachmentCache[attachment.path] });
     }
-
-    // Compile plain-text template
-    message.text = Mustache.render(cachedTemplate['text'], templateVars);
-
-    // Load html version if available
-    if (pathHtml) {
-      if (!cachedTemplate['html']) {
-        let htmlEmail = yield this._loadEmailTemplate(pathHtml);
-        cachedTemplate['html'] = htmlEmail.toString('utf8');
+    return attachments.loadAttachment(attachment, maxSize, { downloadTimeout, maxRedirects }).then(loaded => {
+      if (cacheable) {
+        this.attachmentCache[attachment.path] = loaded.content;
       }
-      // Add processed HTML to the message object
-      message.html = Mustache.render(cachedTemplate['html'], templateVars);
+      return loaded;
+    });
+  }
+
+  /**
+   * Checks a `mailgunOptions` setting of the adapter, a template or a call
+   * @param {*} options
+   * @param {String} [templateName]
+   */
+  _checkMailgunOptions(options, templateName) {
+    const problem = messageOptions.findProblem(options);
+    if (problem) {
+      throw new ConfigurationError(`${ERRORS.invalid_mailgun_options} ${problem}`, { templateName });
     }
+  }
 
-    // Append any `extra` properties from config
-    message = Object.assign(message, extra || {});
+  /**
+   * The Mailgun parameters of a message, from the `mailgunOptions` of the adapter, the template and the call
+   * @param {Object} template
+   * @param {Object} [callOptions]
+   * @param {String} [templateName]
+   * @returns {Object}
+   */
+  _getMailgunParams(template, callOptions, templateName) {
+    const merged = messageOptions.mergeMessageOptions(this.mailgunOptions, template.mailgunOptions, callOptions);
+    // Combined, the settings may exceed Mailgun's limits, e.g. the number of tags
+    this._checkMailgunOptions(merged, templateName);
+    return messageOptions.toMailgunParams(merged);
+  }
 
+  /**
+   * Builds the MIME string for a message object with mailcomposer
+   * @param {Object} message
+   * @returns {Promise}
+   */
+  _buildMime(message) {
     // Initialize mailcomposer with message
     const composer = this.mailcomposer(message);
 
-    // Create MIME string
-    const mimeString = yield new Promise((resolve, reject) => {
+    return new Promise((resolve, reject) => {
       composer.build((error, message) => {
-        if (error) reject(error);
+        if (error) reject(new RenderingError(error.message, { cause: error }));
         resolve(message);
       });
     });
+  }
 
+  /**
+   * Sends a MIME string to the recipient(s) via Mailgun.
+   * Transient failures are retried according to the adapter's retry policy.
+   * @param {String} to
+   * @param {Buffer|String} mimeString
+   * @param {Object} [params] additional Mailgun parameters
+   * @returns {Promise}
+   */
+  _sendMime(to, mimeString, params) {
     // Assemble payload object for Mailgun
-    const payload = {
-      to: message.to,
+    const payload = Object.assign({}, params, {
+      to,
       message: mimeString.toString('utf8')
-    };
+    });
 
+    return withRetry(() => this._sendPayload(payload), this.retryPolicy);
+  }
+
+  /**
+   * Single attempt at posting a payload to Mailgun's sendMime endpoint
+   * @param {Object} payload
+   * @returns {Promise}
+   */
+  _sendPayload(payload) {
     return new Promise((resolve, reject) => {
       this.mailgun.messages().sendMime(payload, (error, body) => {
-        if (error) reject(error);
+        if (error) reject(this._transportError(error, payload.to));
         resolve(body);
       });
     });
@@ -223,10 +1749,15 @@ class MailgunAdapter extends MailAdapter {
    * - recipient: email's recipient
    * - variables: An object whose property names represent template variables,
    *              and whose values will replace the template variable placeholders
+   * - locale: locale of the template version to use
+   * - attachments: additional attachments, e.g. created with the `attachments` helpers
+   * - inlineImages: additional inline images, as an object that maps content IDs to attachments
+   * - mailgunOptions: Mailgun options such as tags and tracking, merged with those of the adapter and the template
+   * - sendAt: Date, timestamp or date string of the delivery. More than 3 days ahead requires the scheduler option.
    * @param {Object} options
    * @returns {Promise}
    */
-  send({ templateName, subject, fromAddress, recipient, variables, extra }) {
+  send({ templateName, subject, fromAddress, recipient, variables, extra, locale, attachments, inlineImages, mailgunOptions, sendAt }) {
     return this._sendMail({
       templateName,
       subject,
@@ -234,24 +1765,528 @@ class MailgunAdapter extends MailAdapter {
       recipient,
       variables,
       extra,
+      locale,
+      attachments,
+      inlineImages,
+      mailgunOptions,
+      sendAt,
       direct: true
     });
   }
 
+  /**
+   * Implementation of MailAdapter.sendMail, used by the Parse Server and cloud code
+   * to send an email that is not based on one of the adapter's own use cases.
+   * The options object would have the parameters:
+   * - to: email's recipient
+   * - subject: the subject of the email
+   * - text: the raw text of the message
+   * - html: optional html version of the message
+   * - fromAddress: overrides the default from address
+   * - templateName: optional name of a configured template to render the message with.
+   *                 Falls back to the `sendMail` template when it is configured.
+   * When a template is used, {{text}}, {{html}} and {{subject}} are available as template variables.
+   * @param {Object} options
+   * @returns {Promise}
+   */
+  sendMail({ to, subject, text, html, fromAddress, templateName }) {
+    if (!to) {
+      return Promise.reject(new RecipientError(ERRORS.missing_recipient)).catch(error => this._handleError(error));
+    }
+
+    templateName = templateName || (this.templates.sendMail ? 'sendMail' : null);
+    if (templateName) {
+      return this._sendMail({
+        templateName,
+        subject,
+        fromAddress,
+        recipient: to,
+        variables: { text, html, subject },
+        direct: true
+      });
+    }
+
+    const message = {
+      from: fromAddress || this.fromAddress,
+      to,
+      subject,
+      text
+    };
+    if (html) {
+      message.html = html;
+    }
+
+    const details = { recipient: to };
+    return Promise.resolve()
+      .then(() => {
+        return this.suppressions ? this._findSuppressed({}, suppressions.parseAddresses(to)) : [];
+      })
+      .then(suppressed => {
+        if (suppressed.length > 0) {
+          message.to = this._withoutSuppressed(to, suppressed);
+          if (!message.to) {
+            return { status: 'suppressed', suppressed };
+          }
+        }
+        return this._sendRawMail(message, html, text);
+      })
+      .then(result => this._recordHistory(details, result).then(() => result), error => {
+        return this._recordHistory(details, null, error).then(() => this._handleError(error));
+      });
+  }
+
+  /**
+   * Sends a message of #sendMail() that does not use a template
+   * @param {Object} message
+   * @param {String} [html]
+   * @param {String} [text]
+   * @returns {Promise}
+   */
+  _sendRawMail(message, html, text) {
+    return co(this._postProcessHtml(undefined, {}, html, {}))
+      .then(processedHtml => {
+        if (processedHtml) {
+          message.html = processedHtml;
+        }
+        if (typeof text !== 'string') {
+          message.text = this._generateText({}, processedHtml);
+        }
+        return co(this._addAttachments({}, message));
+      })
+      .then(() => this._buildMime(message))
+      .then(mimeString => this._deliver(message, mimeString, undefined, this._getMailgunParams({})));
+  }
+
+  /**
+   * Creates a request handler for Mailgun's webhooks, see webhooks.js. Permanent failures, complaints and
+   * unsubscribes are added to the suppression store of the adapter, and the events update the adapter's
+   * send history, unless the options name another store or sink.
+   * @param {Object} options
+   * @returns {Function} function(req, res)
+   */
+  createWebhookHandler(options) {
+    const store = this.suppressions ? this.suppressions.store : undefined;
+    return webhooks.createWebhookHandler(Object.assign({ suppressions: store, history: this.history || undefined }, options));
+  }
+
+  /**
+   * Renders a template without sending it, e.g. to preview an email.
+   * The options object would have the parameters:
+   * - templateName: name of template to be used
+   * - variables: template variables
+   * - user: Parse.User to render the template like Parse Server's emails, in which case
+   *         the link and appName variables are taken from `variables`
+   * - subject, fromAddress, recipient, extra, locale, attachments, inlineImages: as for #send()
+   * The promise resolves with { subject, text, html, mime }. Invalid options reject the promise as well.
+   * @param {Object} options
+   * @returns {Promise}
+   */
+  render(options) {
+    options = options || {};
+    const { templateName, user } = options;
+    return Promise.resolve()
+      .then(() => {
+        const variables = options.variables || {};
+        let args;
+        if (user) {
+          args = this._prepareMessage({ templateName, user, link: variables.link, appName: variables.appName });
+          Object.assign(args.templateVars, variables);
+        } else {
+          args = this._prepareMessage(Object.assign({}, options, { direct: true, preview: true }));
+        }
+        return co(this._renderGenerator.bind(this, args));
+      })
+      .then(rendered => this._renderedMessage(rendered.message, rendered.mimeString))
+      .catch(error => {
+        throw this._wrapError(error, templateName);
+      });
+  }
+
+  /**
+   * Sends a template to many recipients, each with their own template variables.
+   * Recipients are sent in chunks of up to 1000, using Mailgun's batch sending.
+   * The options object would have the parameters:
+   * - templateName: name of template to be used
+   * - recipients: array of { address, variables } objects
+   * - variables: template variables shared by all recipients
+   * - subject: overrides the default value
+   * - fromAddress: overrides the default from address
+   * - extra: additional message fields
+   * - chunkSize: maximum number of recipients per request (default and maximum: 1000)
+   * - locale: locale of the template version to use
+   * - mailgunOptions: as for #send()
+   * The promise resolves with an array of { address, status, id, error } results,
+   * where status is one of 'sent', 'queued' (outbox mode), 'suppressed' or 'failed'.
+   * Batches are not recorded in the send history: Mailgun sends a chunk as one message,
+   * so its recipients would share a message ID, and webhook events could not update them one by one.
+   * @param {Object} options
+   * @returns {Promise}
+   */
+  sendBatch({ templateName, recipients, variables, subject, fromAddress, extra, chunkSize, locale, mailgunOptions }) {
+    return Promise.resolve()
+      .then(() => {
+        const template = this._getTemplate(templateName);
+
+        // Every recipient has a single address, which keys its recipient-variables
+        const validRecipients = Array.isArray(recipients) && recipients.length > 0 &&
+          recipients.every(recipient => {
+            return recipient && typeof recipient.address === 'string' && ADDRESS_PATTERN.test(recipient.address.trim());
+          });
+        if (!validRecipients) {
+          throw new RecipientError(ERRORS.invalid_recipients, { templateName });
+        }
+        this._checkLocale(locale, templateName);
+
+        const message = Object.assign({
+          from: fromAddress || this.fromAddress,
+          subject: subject || this._localizeSubject(templateName, template, locale)
+        }, extra, template.extra);
+
+        const args = {
+          templateName,
+          template,
+          recipients,
+          variables: Object.assign({}, template.variables, variables),
+          subject,
+          message,
+          extra,
+          locale,
+          mailgunOptions,
+          chunkSize: Math.min(chunkSize || batch.MAX_BATCH_SIZE, batch.MAX_BATCH_SIZE)
+        };
+        return co(this._batchGenerator.bind(this, args));
+      })
+      .catch(error => this._handleError(error, templateName));
+  }
+
   /**
    * Simple Promise wrapper to asynchronously fetch the contents of a template.
    * @param {String} path
+   * @param {String} [templateName]
    * @returns {Promise}
    */
-  _loadEmailTemplate(path) {
+  _loadEmailTemplate(path, templateName) {
     return new Promise((resolve, reject) => {
       fs.readFile(path, (err, data) => {
-        if (err) reject(err);
+        if (err) {
+          reject(new TemplateError(`Could not load template file ${path}`, {
+            templateName, path, code: err.code, cause: err
+          }));
+        }
         resolve(data);
       });
     });
   }
 
+  /**
+   * Renders a template string with the template's engine, which is Mustache by default
+   * @param {String} template
+   * @param {Object} templateVars
+   * @param {String} templateName
+   * @param {Object} [partials]
+   * @param {Boolean} [escape] false to not HTML-escape the values
+   * @returns {String}
+   */
+  _render(template, templateVars, templateName, partials, escape) {
+    const config = this.templates[templateName] || {};
+    const engine = this._getEngine(config);
+    const options = {
+      partials: partials || {},
+      escape: escape !== false,
+      strict: !!this._getVariableSetting(config, 'strictVariables')
+    };
+    // Partials, and the template that a layout renders as its body, are compiled once as well
+    options.compile = source => this._compile(engine, source, options.escape);
+
+    try {
+      return engine.render(this._compile(engine, template, options.escape), templateVars, options);
+    } catch (error) {
+      if (Array.isArray(error.variables)) {
+        throw new RenderingError(`Unresolved variables in template ${templateName}: ${error.variables.join(', ')}`, {
+          templateName,
+          variables: error.variables,
+          cause: error
+        });
+      }
+      throw new RenderingError(error.message, { templateName, cause: error });
+    }
+  }
+
+  /**
+   * The engine of a template, which defaults to the adapter's engine
+   * @param {Object} template
+   * @returns {Object}
+   */
+  _getEngine(template) {
+    return template.engine || this.engine;
+  }
+
+  /**
+   * Compiles a template, or takes it from the cache of compiled templates.
+   * The least recently used templates are dropped once the cache is full.
+   * @param {Object} engine
+   * @param {String} template
+   * @param {Boolean} escape
+   * @returns {*} the compiled template
+   */
+  _compile(engine, template, escape) {
+    if (!this.compiledTemplates.has(engine)) {
+      this.compiledTemplates.set(engine, { escaped: new Map(), raw: new Map() });
+    }
+    const cache = this.compiledTemplates.get(engine)[escape ? 'escaped' : 'raw'];
+    let compiled = cache.get(template);
+    if (cache.has(template)) {
+      // Maps keep their insertion order, so re-inserting marks the template as recently used
+      cache.delete(template);
+    } else {
+      compiled = engine.compile(template, { escape });
+      if (cache.size >= MAX_COMPILED_TEMPLATES) {
+        cache.delete(cache.keys().next().value);
+      }
+    }
+    cache.set(template, compiled);
+    return compiled;
+  }
+
+  /**
+   * Removes templates from the cache of compiled templates, e.g. when their file changed
+   * @param {Array} templates the template strings
+   */
+  _forgetCompiled(templates) {
+    this.compiledTemplates.forEach(cache => {
+      templates.forEach(template => {
+        cache.escaped.delete(template);
+        cache.raw.delete(template);
+      });
+    });
+  }
+
+  /**
+   * Checks the missingVariables and strictVariables settings of the adapter or a template
+   * @param {Object} settings
+   * @param {String} [templateName]
+   */
+  _validateVariableSettings(settings, templateName) {
+    const { missingVariables, strictVariables } = settings;
+    if (missingVariables !== undefined && missingVariables !== 'error' && missingVariables !== 'warn') {
+      throw new ConfigurationError(ERRORS.invalid_missing_variables, { templateName });
+    }
+    if (strictVariables !== undefined && typeof strictVariables !== 'boolean') {
+      throw new ConfigurationError(ERRORS.invalid_strict_variables, { templateName });
+    }
+  }
+
+  /**
+   * Reads a variable setting, where the template's setting takes precedence over the adapter's
+   * @param {Object} template
+   * @param {String} key requiredVariables, missingVariables or strictVariables
+   * @returns {*}
+   */
+  _getVariableSetting(template, key) {
+    return template[key] !== undefined ? template[key] : this[key];
+  }
+
+  /**
+   * Lists the required variables of a template: the declared ones, or, if requiredVariables is true,
+   * the variables that the subject and the templates, with their layout and partials, always render.
+   * @param {Object} template
+   * @param {Object} cachedTemplate the loaded `text` and `html` templates
+   * @param {Object} partials
+   * @param {String} subject
+   * @returns {Array}
+   */
+  _getRequiredVariables(template, cachedTemplate, partials, subject) {
+    const setting = this._getVariableSetting(template, 'requiredVariables');
+    if (Array.isArray(setting)) {
+      return setting;
+    }
+    if (setting !== true) {
+      return [];
+    }
+
+    // Engines without a variables function can only check declared variables
+    const engine = this._getEngine(template);
+    const infer = (source, sourcePartials) => {
+      return engine.variables ? engine.variables(source, sourcePartials) : [];
+    };
+
+    let names = typeof subject === 'string' ? infer(subject) : [];
+    ['text', 'html'].filter(key => typeof cachedTemplate[key] === 'string').forEach(key => {
+      const { layout } = partials[key];
+      names = names.concat(layout === undefined
+        ? infer(cachedTemplate[key], partials[key])
+        : infer(layout, Object.assign({}, partials[key], { body: cachedTemplate[key] })));
+    });
+    return names.filter((name, index) => names.indexOf(name) === index);
+  }
+
+  /**
+   * Makes sure that the required variables have a value. Depending on the missingVariables setting,
+   * a missing variable is an error (the default) or logged as a warning.
+   * @param {String} templateName
+   * @param {Object} template
+   * @param {Array} required
+   * @param {Object} templateVars
+   */
+  _checkRequiredVariables(templateName, template, required, templateVars) {
+    const missing = templateVariables.findMissingVariables(required, templateVars);
+    if (missing.length === 0) {
+      return;
+    }
+
+    const message = `Missing required variables for template ${templateName}: ${missing.join(', ')}`;
+    if (this._getVariableSetting(template, 'missingVariables') === 'warn') {
+      console.warn(`MailgunAdapter: ${message}`);
+      return;
+    }
+    throw new RenderingError(message, { templateName, variables: missing });
+  }
+
+  /**
+   * Renders a template with its partials. If there is a layout, the layout is rendered
+   * instead, with the template available as the `body` partial.
+   * @param {String} template
+   * @param {Object} partials
+   * @param {Object} templateVars
+   * @param {String} templateName
+   * @returns {String}
+   */
+  _renderWithLayout(template, partials, templateVars, templateName) {
+    const { layout } = partials;
+    if (layout === undefined) {
+      return this._render(template, templateVars, templateName, partials);
+    }
+    return this._render(layout, templateVars, templateName, Object.assign({}, partials, { body: template }));
+  }
+
+  /**
+   * Renders a subject with the template's engine. Subjects are plain text, so values are not HTML-escaped.
+   * @param {String} subject
+   * @param {Object} templateVars
+   * @param {String} templateName
+   * @returns {String}
+   */
+  _renderSubject(subject, templateVars, templateName) {
+    if (typeof subject !== 'string') {
+      return subject;
+    }
+    return this._render(subject, templateVars, templateName, undefined, false);
+  }
+
+  /**
+   * Converts an error returned by mailgun-js into a TransportError,
+   * or a RecipientError when Mailgun rejected the recipient's address.
+   * @param {Error} error
+   * @param {String} recipient
+   * @returns {MailgunAdapterError}
+   */
+  _transportError(error, recipient) {
+    const status = error.statusCode;
+    const details = { status, recipient, cause: error };
+    if (status === 400 && /'to' parameter|recipient/i.test(error.message)) {
+      return new RecipientError(error.message, details);
+    }
+    return new TransportError(error.message, details);
+  }
+
+  /**
+   * Wraps unexpected errors in a MailgunAdapterError and tags the error with the template name
+   * @param {Error} error
+   * @param {String} [templateName]
+   * @returns {MailgunAdapterError}
+   */
+  _wrapError(error, templateName) {
+    if (!(error instanceof MailgunAdapterError)) {
+      error = new MailgunAdapterError(error.message, { cause: error });
+    }
+    if (templateName && !error.templateName) {
+      error.templateName = templateName;
+    }
+    return error;
+  }
+
+  /**
+   * Records an email in the send history. Emails of dry runs are not recorded.
+   * A failure of the sink is logged, the email is sent regardless. Custom sinks may return anything
+   * or throw, so their result is wrapped in a promise.
+   * @param {Object} details { templateName, recipient, user }
+   * @param {Object} [result] the result of the send: Mailgun's response, the queued entry or the suppressed result
+   * @param {Error} [error] the error of a failed send
+   * @returns {Promise}
+   */
+  _recordHistory(details, result, error) {
+    if (!this.history || this.dryRun) {
+      return Promise.resolve();
+    }
+
+    const now = Date.now();
+    const { user } = details;
+    let entry = {
+      id: createId(now),
+      templateName: details.templateName,
+      recipient: details.recipient,
+      userId: user && user.id,
+      createdAt: now,
+      updatedAt: now
+    };
+    if (error) {
+      entry = Object.assign(entry, { status: 'failed', error: error.message });
+    } else if (result && result.status === 'suppressed') {
+      entry.status = 'suppressed';
+    } else if (result && result.availableAt !== undefined) {
+      // Outbox entries are available right away, scheduled entries once their delivery time is within Mailgun's window
+      entry = Object.assign(entry, { id: result.id, status: result.availableAt > result.createdAt ? 'scheduled' : 'queued' });
+    } else {
+      entry = Object.assign(entry, this._sentChanges(result));
+    }
+
+    return Promise.resolve()
+      .then(() => this.history.record(entry))
+      .catch(recordError => console.warn(`MailgunAdapter: Could not record the email to ${details.recipient}: ${recordError.message}`));
+  }
+
+  /**
+   * Updates an entry of the send history, logging a failure of the sink
+   * @param {Object} query { id } or { messageId }
+   * @param {Object} changes
+   * @returns {Promise}
+   */
+  _updateHistory(query, changes) {
+    if (!this.history) {
+      return Promise.resolve();
+    }
+    return Promise.resolve()
+      .then(() => this.history.update(query, changes))
+      .catch(error => console.warn(`MailgunAdapter: Could not update the email history: ${error.message}`));
+  }
+
+  /**
+   * The history changes of an email that Mailgun accepted
+   * @param {Object} body Mailgun's response, e.g. { id: '<message-id>', message: 'Queued. Thank you.' }
+   * @returns {Object}
+   */
+  _sentChanges(body) {
+    body = body || {};
+    return { status: 'sent', messageId: history.toMessageId(body.id), response: body.message, updatedAt: Date.now() };
+  }
+
+  /**
+   * Final error handler of every send operation.
+   * Unexpected errors are wrapped in a MailgunAdapterError and tagged with the template name.
+   * The error is passed to the onError hook when configured, otherwise it is rethrown.
+   * @param {Error} error
+   * @param {String} [templateName]
+   * @returns {Promise}
+   */
+  _handleError(error, templateName) {
+    error = this._wrapError(error, templateName);
+    if (this.onError) {
+      // Fire-and-forget: the error is reported to the hook and the promise resolves
+      return Promise.resolve(this.onError(error)).then(() => undefined);
+    }
+    throw error;
+  }
+
   /**
    * Validator for user provided template variables
    * @param {Object} userVars
@@ -265,3 +2300,22 @@ class MailgunAdapter extends MailAdapter {
 }
 
 module.exports = MailgunAdapter;
+Object.assign(module.exports, errors, outbox, loaders, {
+  htmlToText,
+  createWebhookHandler: webhooks.createWebhookHandler,
+  verifyWebhookSignature: webhooks.verifySignature,
+  SuppressionStore: suppressions.SuppressionStore,
+  MemorySuppressionStore: suppressions.MemorySuppressionStore,
+  ParseSuppressionStore: suppressions.ParseSuppressionStore,
+  MailgunSuppressionStore: suppressions.MailgunSuppressionStore,
+  HistorySink: history.HistorySink,
+  CallbackHistorySink: history.CallbackHistorySink,
+  FileHistorySink: history.FileHistorySink,
+  ParseHistorySink: history.ParseHistorySink,
+  mustacheEngine: engines.mustache,
+  attachments: {
+    fromBuffer: attachments.fromBuffer,
+    fromUrl: attachments.fromUrl,
+    fromParseFile: attachments.fromParseFile
+  }
+});
@@ -0,0 +1,33 @@
+/**
+ * Parses command line arguments. Options are given as `--name value` or `--name=value`,
+ * boolean options as `--name`. Names are camel-cased, e.g. --dry-run becomes dryRun.
+ * Other arguments are collected in `_`.
+ * @param {Array} argv
+ * @param {Array} [booleans] names of the boolean options
+ * @returns {Object}
+ */
+function parseArgs(argv, booleans) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z][a-z0-9-]*)(?:=([\s\S]*))?$/.exec(argv[i]);
+    if (!match) {
+      args._.push(argv[i]);
+    } else {
+      const name = match[1].replace(/-([a-z0-9])/g, (dash, char) => char.toUpperCase());
+      if ((booleans || []).indexOf(match[1]) !== -1) {
+        args[name] = match[2] === undefined ? true : match[2] !== 'false';
+      } else if (match[2] !== undefined) {
+        args[name] = match[2];
+      } else if (i + 1 < argv.length) {
+        args[name] = argv[++i];
+      } else {
+        throw new Error(`Missing value for --${match[1]}`);
+      }
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  parseArgs
+};
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const { ConfigurationError, AttachmentError } = require('./errors');
+
+const DEFAULT_LIMITS = {
+  // Maximum size of a single attachment in bytes
+  maxSize: Infinity,
+  // Maximum size of all attachments of a message in bytes. Mailgun rejects messages larger than 25 MB.
+  maxTotalSize: 25 * 1024 * 1024,
+  // Time in ms after which the download of an attachment is aborted, including its redirects
+  downloadTimeout: 30000,
+  // Maximum number of redirects that a download follows
+  maxRedirects: 5
+};
+
+/**
+ * Normalizes the adapter's `attachmentLimits` option
+ * @param {Object} [options] { maxSize, maxTotalSize } in bytes, { downloadTimeout } in ms and { maxRedirects }
+ * @returns {Object}
+ */
+function createAttachmentLimits(options) {
+  if (options !== undefined && (!options || options.constructor !== Object)) {
+    throw new ConfigurationError('MailgunAdapter attachmentLimits must be an object.');
+  }
+  const limits = Object.assign({}, DEFAULT_LIMITS, options);
+  ['maxSize', 'maxTotalSize'].forEach(key => {
+    if (typeof limits[key] !== 'number' || !(limits[key] > 0)) {
+      throw new ConfigurationError(`MailgunAdapter attachmentLimits.${key} must be a positive number.`);
+    }
+  });
+  if (typeof limits.downloadTimeout !== 'number' || !(limits.downloadTimeout > 0) || !isFinite(limits.downloadTimeout)) {
+    throw new ConfigurationError('MailgunAdapter attachmentLimits.downloadTimeout must be a positive number.');
+  }
+  if (typeof limits.maxRedirects !== 'number' || limits.maxRedirects < 0 || limits.maxRedirects % 1 !== 0) {
+    throw new ConfigurationError('MailgunAdapter attachmentLimits.maxRedirects must be a non-negative integer.');
+  }
+  return limits;
+}
+
+/**
+ * Whether an attachment setting is valid: a file path, or an object with exactly one
+ * of `path`, `url` or `content` (a Buffer or string) and, optionally, `filename` and `contentType`
+ * @param {*} setting
+ * @returns {Boolean}
+ */
+function isAttachmentSetting(setting) {
+  if (typeof setting === 'string') {
+    return true;
+  }
+  if (!setting || setting.constructor !== Object) {
+    return false;
+  }
+  const { content } = setting;
+  const sources = ['path', 'url', 'content'].filter(key => setting[key] !== undefined);
+  return sources.length === 1 &&
+    (content === undefined || typeof content === 'string' || Buffer.isBuffer(content)) &&
+    ['path', 'url', 'filename', 'contentType'].every(key => setting[key] === undefined || typeof setting[key] === 'string');
+}
+
+/**
+ * Whether an `attachments` setting is valid: an array of attachment settings, or not set
+ * @param {*} attachments
+ * @returns {Boolean}
+ */
+function isAttachmentsSetting(attachments) {
+  return attachments === undefined || (Array.isArray(attachments) && attachments.every(isAttachmentSetting));
+}
+
+/**
+ * Whether an `inlineImages` setting is valid: an object that maps content IDs to attachment settings, or not set
+ * @param {*} images
+ * @returns {Boolean}
+ */
+function isInlineImagesSetting(images) {
+  return images === undefined ||
+    (!!images && images.constructor === Object && Object.keys(images).every(cid => isAttachmentSetting(images[cid])));
+}
+
+/**
+ * Turns an attachment setting into an attachment description, resolving a relative path
+ * against the base directory
+ * @param {String|Object} setting
+ * @param {String} [baseDir] defaults to the working directory
+ * @param {String} [cid] content ID of an inline image
+ * @returns {Object} { filename, path, url, content, contentType, cid }
+ */
+function normalizeAttachment(setting, baseDir, cid) {
+  const attachment = Object.assign({}, typeof setting === 'string' ? { path: setting } : setting);
+  if (attachment.path) {
+    attachment.path = path.resolve(baseDir || '', attachment.path);
+  }
+  if (cid) {
+    attachment.cid = cid;
+  }
+  if (!attachment.filename) {
+    const source = attachment.path || (attachment.url || '').split(/[?#]/)[0];
+    attachment.filename = path.basename(source) || cid || 'attachment';
+  }
+  return attachment;
+}
+
+function sizeError(attachment, maxSize) {
+  return new AttachmentError(`The attachment ${attachment.filename} is larger than ${maxSize} bytes`, {
+    filename: attachment.filename,
+    maxSize
+  });
+}
+
+/**
+ * Reads a file, unless it is larger than the limit
+ * @param {Object} attachment
+ * @param {Number} maxSize
+ * @returns {Promise} resolves with a Buffer
+ */
+function readFile(attachment, maxSize) {
+  return new Promise((resolve, reject) => {
+    fs.stat(attachment.path, (error, stats) => {
+      if (error) {
+        return reject(error);
+      }
+      if (stats.size > maxSize) {
+        return reject(sizeError(attachment, maxSize));
+      }
+      fs.readFile(attachment.path, (error, content) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve(content);
+      });
+    });
+  });
+}
+
+/**
+ * Downloads a file, and stops as soon as it turns out to be larger than the limit
+ * or takes longer than the timeout. Redirects are followed up to the limit.
+ * @param {Object} attachment
+ * @param {Number} maxSize
+ * @param {Object} [options] { downloadTimeout, maxRedirects }
+ * @returns {Promise} resolves with a Buffer
+ */
+function download(attachment, maxSize, options) {
+  const { downloadTimeout, maxRedirects } = Object.assign({}, DEFAULT_LIMITS, options);
+  return new Promise((resolve, reject) => {
+    let request;
+    const timer = setTimeout(() => {
+      request.abort();
+      reject(new AttachmentError(`The download of the attachment ${attachment.filename} timed out after ${downloadTimeout} ms`, {
+        filename: attachment.filename,
+        timeout: downloadTimeout
+      }));
+    }, downloadTimeout);
+    const fail = error => {
+      clearTimeout(timer);
+      if (request) {
+        request.abort();
+      }
+      reject(error);
+    };
+
+    const get = (location, redirects) => {
+      const protocol = (/^(https?):/i.exec(location) || [])[1];
+      if (!protocol) {
+        return fail(new Error('Only http and https URLs are supported'));
+      }
+
+      const client = protocol.toLowerCase() === 'https' ? https : http;
+      request = client.get(location, response => {
+        if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+          response.resume();
+          if (redirects >= maxRedirects) {
+            return fail(new Error(`The server redirected more than ${maxRedirects} times`));
+          }
+          return get(url.resolve(location, response.headers.location), redirects + 1);
+        }
+        if (response.statusCode >= 300) {
+          response.resume();
+          return fail(new Error(`The server responded with status ${response.statusCode}`));
+        }
+        if (parseInt(response.headers['content-length'], 10) > maxSize) {
+          return fail(sizeError(attachment, maxSize));
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on('data', chunk => {
+          size += chunk.length;
+          if (size > maxSize) {
+            fail(sizeError(attachment, maxSize));
+          } else {
+            chunks.push(chunk);
+          }
+        });
+        response.on('end', () => {
+          clearTimeout(timer);
+          resolve(Buffer.concat(chunks));
+        });
+        response.on('error', fail);
+      });
+      request.on('error', fail);
+    };
+    get(attachment.url, 0);
+  });
+}
+
+/**
+ * Loads the content of an attachment into a Buffer, so that its size is known
+ * before the MIME message is built
+ * @param {Object} attachment a normalized attachment
+ * @param {Number} maxSize
+ * @param {Object} [options] { downloadTimeout, maxRedirects } for attachments with a URL
+ * @returns {Promise} resolves with a mailcomposer attachment { filename, content, contentType, cid }
+ */
+function loadAttachment(attachment, maxSize, options) {
+  let loading;
+  if (attachment.content !== undefined) {
+    loading = Promise.resolve(Buffer.isBuffer(attachment.content) ? attachment.content : Buffer.from(attachment.content));
+  } else if (attachment.url) {
+    loading = download(attachment, maxSize, options);
+  } else {
+    loading = readFile(attachment, maxSize);
+  }
+
+  return loading.then(content => {
+    if (content.length > maxSize) {
+      throw sizeError(attachment, maxSize);
+    }
+    const result = { filename: attachment.filename, content };
+    ['contentType', 'cid'].filter(key => attachment[key]).forEach(key => {
+      result[key] = attachment[key];
+    });
+    return result;
+  }, error => {
+    if (error instanceof AttachmentError) {
+      throw error;
+    }
+    throw new AttachmentError(`Could not load the attachment ${attachment.filename}: ${error.message}`, {
+      filename: attachment.filename,
+      cause: error
+    });
+  });
+}
+
+/**
+ * Makes sure that the attachments of a message are not larger than the limit in total.
+ * Only attachments with their content in memory are counted.
+ * @param {Array} attachments mailcomposer attachments
+ * @param {Number} maxTotalSize
+ */
+function checkTotalSize(attachments, maxTotalSize) {
+  const size = attachments.reduce((total, attachment) => {
+    const { content } = attachment;
+    if (Buffer.isBuffer(content)) {
+      return total + content.length;
+    }
+    return total + (typeof content === 'string' ? Buffer.byteLength(content) : 0);
+  }, 0);
+
+  if (size > maxTotalSize) {
+    throw new AttachmentError(`The attachments are larger than ${maxTotalSize} bytes in total`, { size, maxTotalSize });
+  }
+}
+
+/**
+ * Creates an attachment from a Buffer or string
+ * @param {Buffer|String} content
+ * @param {String} filename
+ * @param {String} [contentType]
+ * @returns {Object}
+ */
+function fromBuffer(content, filename, contentType) {
+  return { content, filename, contentType };
+}
+
+/**
+ * Creates an attachment that is downloaded when the email is sent
+ * @param {String} url an http or https URL
+ * @param {String} [filename] defaults to the last part of the URL's path
+ * @param {String} [contentType]
+ * @returns {Object}
+ */
+function fromUrl(url, filename, contentType) {
+  return { url, filename, contentType };
+}
+
+/**
+ * Creates an attachment from a saved Parse.File, which is downloaded when the email is sent
+ * @param {Parse.File} file
+ * @param {String} [filename] defaults to the name of the file
+ * @returns {Object}
+ */
+function fromParseFile(file, filename) {
+  if (!file || typeof file.url !== 'function' || !file.url()) {
+    throw new ConfigurationError('The attachment must be a saved Parse.File.');
+  }
+  return fromUrl(file.url(), filename || file.name());
+}
+
+module.exports = {
+  createAttachmentLimits,
+  isAttachmentsSetting,
+  isInlineImagesSetting,
+  normalizeAttachment,
+  loadAttachment,
+  checkTotalSize,
+  fromBuffer,
+  fromUrl,
+  fromParseFile
+};
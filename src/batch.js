@@ -0,0 +1,167 @@
+const Mustache = require('mustache');
+const { parseTemplate } = require('./variables');
+const { parseAddresses } = require('./suppressions');
+
+// Maximum number of recipients Mailgun accepts in a single batch request
+const MAX_BATCH_SIZE = 1000;
+
+// Maximum nesting depth of partials that are inlined in a batch template
+const MAX_PARTIAL_DEPTH = 10;
+
+// Suffix of the recipient variables that hold unescaped values
+const RAW_SUFFIX = '__raw';
+
+/**
+ * Splits an array into chunks of at most `size` items
+ * @param {Array} items
+ * @param {Number} size
+ * @returns {Array}
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Converts the Mustache tags of a template that refer to per-recipient variables
+ * into Mailgun %recipient.x% placeholders. Escaped tags ({{x}}) and unescaped tags
+ * ({{{x}}} or {{&x}}) get separate placeholders, because Mailgun does not escape values.
+ * Partials are inlined and converted as well.
+ * Returns null if the template can not be converted, which is the case when a
+ * per-recipient variable is used as a section, inside a section, or with a dotted name,
+ * or when a partial is used inside a section.
+ * @param {String} template
+ * @param {Array} keys names of the per-recipient variables
+ * @param {Boolean} [escape=true] false to use the unescaped values for all tags
+ * @param {Object} [partials]
+ * @param {Number} [depth] nesting depth of partials
+ * @returns {String|null}
+ */
+function toBatchTemplate(template, keys, escape, partials, depth) {
+  const isRecipientKey = name => keys.indexOf(name.split('.')[0]) !== -1;
+
+  // Checks whether any token nested inside a section refers to a per-recipient variable
+  const usesRecipientKey = tokens => tokens.some(token => {
+    const type = token[0];
+    if (type === 'text' || type === '!' || type === '=') {
+      return false;
+    }
+    if (type === '>') {
+      return true;
+    }
+    return isRecipientKey(token[1]) || (Array.isArray(token[4]) && usesRecipientKey(token[4]));
+  });
+
+  let tokens;
+  try {
+    tokens = parseTemplate(template);
+  } catch (e) {
+    return null;
+  }
+
+  let result = '';
+  let position = 0;
+  for (let token of tokens) {
+    const type = token[0];
+    const name = token[1];
+
+    if (type === '#' || type === '^') {
+      if (isRecipientKey(name) || usesRecipientKey(token[4])) {
+        return null;
+      }
+    } else if (type === 'name' || type === '&') {
+      if (isRecipientKey(name)) {
+        if (keys.indexOf(name) === -1) {
+          // Dotted name, e.g. {{profile.name}}
+          return null;
+        }
+        const placeholder = type === '&' || escape === false ? name + RAW_SUFFIX : name;
+        result += template.slice(position, token[2]) + `%recipient.${placeholder}%`;
+        position = token[3];
+      }
+    } else if (type === '>') {
+      if (!partials || (depth || 0) >= MAX_PARTIAL_DEPTH) {
+        return null;
+      }
+      // Missing partials are rendered as empty strings by Mustache
+      const partial = typeof partials[name] === 'string' ? partials[name] : '';
+      const converted = toBatchTemplate(partial, keys, escape, partials, (depth || 0) + 1);
+      if (converted === null) {
+        return null;
+      }
+      result += template.slice(position, token[2]) + converted;
+      position = token[3];
+    }
+  }
+  return result + template.slice(position);
+}
+
+/**
+ * Replaces the placeholders of escaped values with those of unescaped values,
+ * for text that is not html
+ * @param {String} text
+ * @returns {String}
+ */
+function toRawPlaceholders(text) {
+  return text.replace(/%recipient\.([^%\s]+)%/g, (match, name) => {
+    return name.slice(-RAW_SUFFIX.length) === RAW_SUFFIX ? match : `%recipient.${name}${RAW_SUFFIX}%`;
+  });
+}
+
+/**
+ * Assembles the Mailgun recipient-variables object for a chunk of recipients.
+ * Mailgun looks the variables up by the bare address, without the display name.
+ * Values that can not be represented as a string cause null to be returned.
+ * @param {Array} recipients [{ address, variables }]
+ * @param {Array} keys names of the per-recipient variables
+ * @returns {Object|null}
+ */
+function toRecipientVariables(recipients, keys) {
+  const recipientVariables = {};
+  for (let recipient of recipients) {
+    const variables = recipient.variables || {};
+    const values = {};
+    for (let key of keys) {
+      let value = variables[key];
+      if (value === undefined || value === null) {
+        value = '';
+      } else if (typeof value === 'object' || typeof value === 'function') {
+        return null;
+      }
+      value = String(value);
+      values[key] = Mustache.escape(value);
+      values[key + RAW_SUFFIX] = value;
+    }
+    recipientVariables[parseAddresses(recipient.address)[0]] = values;
+  }
+  return recipientVariables;
+}
+
+/**
+ * Collects the names of all per-recipient variables
+ * @param {Array} recipients [{ address, variables }]
+ * @returns {Array}
+ */
+function getRecipientKeys(recipients) {
+  const keys = [];
+  for (let recipient of recipients) {
+    for (let key in recipient.variables || {}) {
+      if (keys.indexOf(key) === -1) {
+        keys.push(key);
+      }
+    }
+  }
+  return keys;
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  chunk,
+  toBatchTemplate,
+  toRawPlaceholders,
+  toRecipientVariables,
+  getRecipientKeys
+};
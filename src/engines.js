@@ -0,0 +1,64 @@
+const Mustache = require('mustache');
+const { TemplateWriter, parseTemplate, getTemplateVariables, renderStrict } = require('./variables');
+
+/**
+ * Template engines compile and render the templates, subjects, partials and layouts.
+ * An engine is an object with the functions:
+ * - compile(source, options): compiles a template. The result is cached by the adapter
+ *   and passed to render. options is { escape }, see below.
+ * - render(compiled, variables, options): renders a compiled template and returns a string.
+ *   options is { partials, escape, strict, compile }, where partials maps the names of the partials,
+ *   and the `body` of a layout, to their source. escape is false for plain text, such as subjects,
+ *   whose values must not be HTML-escaped. strict asks to throw an error with a `variables` array
+ *   if any variable can not be resolved. compile(source), if given, compiles a partial through
+ *   the adapter's cache, so that partials are not compiled again for every render.
+ * - variables(source, partials): optional, lists the variables that a template always renders,
+ *   which are required when the requiredVariables setting is true
+ */
+
+/**
+ * Checks that an engine implements the engine interface
+ * @param {*} engine
+ * @returns {Boolean}
+ */
+function isEngine(engine) {
+  return !!engine && typeof engine.compile === 'function' && typeof engine.render === 'function' &&
+    (engine.variables === undefined || typeof engine.variables === 'function');
+}
+
+/**
+ * The default engine
+ */
+const mustache = {
+  compile(source) {
+    return { source, tokens: parseTemplate(source) };
+  },
+
+  render(compiled, variables, options) {
+    if (typeof compiled === 'string') {
+      compiled = mustache.compile(compiled);
+    }
+    const { partials, escape, strict } = options;
+    const writerOptions = { compile: options.compile, escape };
+    if (!strict) {
+      // A writer of its own parses the partials without adding them to Mustache's global cache
+      const writer = new TemplateWriter(writerOptions);
+      return writer.renderTokens(compiled.tokens, new Mustache.Context(variables), partials, compiled.source);
+    }
+
+    const rendered = renderStrict(compiled.source, variables, partials, compiled.tokens, writerOptions);
+    if (rendered.unresolved.length > 0) {
+      const error = new Error(`Unresolved variables: ${rendered.unresolved.join(', ')}`);
+      error.variables = rendered.unresolved;
+      throw error;
+    }
+    return rendered.output;
+  },
+
+  variables: getTemplateVariables
+};
+
+module.exports = {
+  isEngine,
+  mustache
+};
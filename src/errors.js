@@ -0,0 +1,52 @@
+/**
+ * Base class for all errors produced by the MailgunAdapter.
+ * Any additional details (templateName, status, cause, ...) are copied onto the instance.
+ */
+class MailgunAdapterError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details || {});
+  }
+}
+
+/**
+ * The adapter or one of its templates is not properly configured
+ */
+class ConfigurationError extends MailgunAdapterError {}
+
+/**
+ * A template could not be found or its file could not be loaded
+ */
+class TemplateError extends MailgunAdapterError {}
+
+/**
+ * A template could not be rendered or the MIME message could not be built
+ */
+class RenderingError extends MailgunAdapterError {}
+
+/**
+ * An attachment could not be loaded or exceeds the attachment size limits
+ */
+class AttachmentError extends MailgunAdapterError {}
+
+/**
+ * Mailgun rejected the message or could not be reached.
+ * The HTTP status code returned by Mailgun is available as `status`.
+ */
+class TransportError extends MailgunAdapterError {}
+
+/**
+ * The message has no recipient, or Mailgun rejected the recipient's address
+ */
+class RecipientError extends MailgunAdapterError {}
+
+module.exports = {
+  MailgunAdapterError,
+  ConfigurationError,
+  TemplateError,
+  RenderingError,
+  AttachmentError,
+  TransportError,
+  RecipientError
+};
@@ -0,0 +1,34 @@
+const HistorySink = require('./HistorySink');
+const { ConfigurationError } = require('../errors');
+
+/**
+ * HistorySink that passes every change to a function, e.g. to write it to an existing log.
+ * Records are passed as { action: 'record', ...entry }, updates as { action: 'update', ...query, ...changes }.
+ */
+class CallbackHistorySink extends HistorySink {
+  /**
+   * @param {Function} callback function(item) that may return a Promise
+   */
+  constructor(callback) {
+    if (typeof callback !== 'function') {
+      throw new ConfigurationError('The CallbackHistorySink requires a function.');
+    }
+
+    super();
+    this.callback = callback;
+  }
+
+  record(entry) {
+    return this._write(Object.assign({ action: 'record' }, entry));
+  }
+
+  update(query, changes) {
+    return this._write(Object.assign({ action: 'update' }, query, changes));
+  }
+
+  _write(item) {
+    return Promise.resolve().then(() => this.callback(item)).then(() => undefined);
+  }
+}
+
+module.exports = CallbackHistorySink;
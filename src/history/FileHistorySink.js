@@ -0,0 +1,43 @@
+const fs = require('fs');
+const CallbackHistorySink = require('./CallbackHistorySink');
+const { ConfigurationError } = require('../errors');
+
+/**
+ * HistorySink that appends every change as a line of JSON to a file, as passed
+ * by the CallbackHistorySink. Entries are never rewritten, so the updates of an email
+ * follow its record further down the file.
+ */
+class FileHistorySink extends CallbackHistorySink {
+  /**
+   * @param {String} path path of the file
+   */
+  constructor(path) {
+    if (typeof path !== 'string') {
+      throw new ConfigurationError('The FileHistorySink requires the path of a file.');
+    }
+
+    super(item => this._append(item));
+    this.path = path;
+    // Lines are appended one at a time so that they do not interleave
+    this.pending = Promise.resolve();
+  }
+
+  _append(item) {
+    const line = `${JSON.stringify(item)}\n`;
+    const result = this.pending.then(() => {
+      return new Promise((resolve, reject) => {
+        fs.appendFile(this.path, line, 'utf8', error => {
+          if (error) {
+            return reject(error);
+          }
+          resolve();
+        });
+      });
+    });
+    // Keep the chain going even if this write fails
+    this.pending = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = FileHistorySink;
@@ -0,0 +1,44 @@
+/*
+  History sink prototype
+  A HistorySink keeps the audit log of the emails sent by the adapter: an entry is recorded
+  for every email, and updated when it is delivered by the outbox or when Mailgun reports
+  a delivery event. Sinks should implement both methods below, each of them returning a Promise.
+  An entry has the properties:
+  - id: unique ID of the entry, which is also the ID of the outbox entry of a queued email
+  - templateName: name of the template, undefined for emails of sendMail() without a template
+  - recipient: the recipient field of the email
+  - userId: objectId of the Parse.User, for the emails that Parse Server sends
+  - messageId: Mailgun's message ID, without angle brackets
+  - status: 'sent', 'queued', 'scheduled', 'suppressed' or 'failed', later updated
+    to 'delivered', 'deferred', 'failed', 'complained', 'unsubscribed', 'opened' or 'clicked'
+  - response: what Mailgun said, e.g. 'Queued. Thank you.' or the description of a delivery event
+  - error: the error message of a failed email
+  - createdAt: timestamp (ms) at which the email was sent
+  - updatedAt: timestamp (ms) of the last change of the status
+ */
+class HistorySink {
+  /*
+   * Adds an entry
+   * @param {Object} entry
+   * @returns {Promise}
+   */
+  record(entry) { // eslint-disable-line no-unused-vars
+    return notImplemented('record');
+  }
+
+  /*
+   * Updates the entry that matches a query. Entries that do not exist are ignored.
+   * @param {Object} query either { id } or { messageId }
+   * @param {Object} changes e.g. { status, response, updatedAt }
+   * @returns {Promise}
+   */
+  update(query, changes) { // eslint-disable-line no-unused-vars
+    return notImplemented('update');
+  }
+}
+
+function notImplemented(method) {
+  return Promise.reject(new Error(`HistorySink.${method}() is not implemented`));
+}
+
+module.exports = HistorySink;
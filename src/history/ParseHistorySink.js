@@ -0,0 +1,62 @@
+const HistorySink = require('./HistorySink');
+const { ConfigurationError } = require('../errors');
+
+// Fields of the Parse class that hold the properties of an entry
+const FIELDS = ['templateName', 'recipient', 'userId', 'messageId', 'status', 'response', 'error'];
+
+/**
+ * HistorySink that keeps its entries in a Parse class. The id of an entry is stored
+ * as entryId and updatedAt as statusChangedAt, because Parse manages createdAt and updatedAt itself.
+ */
+class ParseHistorySink extends HistorySink {
+  /**
+   * @param {Object} [options]
+   * - Parse: the Parse SDK (defaults to the global Parse object available in cloud code)
+   * - className: name of the Parse class (default: 'EmailHistory')
+   */
+  constructor(options) {
+    options = options || {};
+    const Parse = options.Parse || global.Parse;
+    if (!Parse || typeof Parse.Query !== 'function' || typeof Parse.Object !== 'function') {
+      throw new ConfigurationError('The ParseHistorySink requires the Parse SDK.');
+    }
+
+    super();
+    this.Parse = Parse;
+    this.className = options.className || 'EmailHistory';
+  }
+
+  record(entry) {
+    const object = new this.Parse.Object(this.className);
+    return object.save(Object.assign({ entryId: entry.id }, this._toAttributes(entry)), { useMasterKey: true })
+      .then(() => undefined);
+  }
+
+  update(query, changes) {
+    const parseQuery = new this.Parse.Query(this.className);
+    if (query.id !== undefined) {
+      parseQuery.equalTo('entryId', query.id);
+    } else {
+      parseQuery.equalTo('messageId', query.messageId);
+    }
+
+    return parseQuery.first({ useMasterKey: true }).then(object => {
+      if (object) {
+        return object.save(this._toAttributes(changes), { useMasterKey: true });
+      }
+    }).then(() => undefined);
+  }
+
+  _toAttributes(entry) {
+    const attributes = {};
+    FIELDS.filter(field => entry[field] !== undefined).forEach(field => {
+      attributes[field] = entry[field];
+    });
+    if (entry.updatedAt !== undefined) {
+      attributes.statusChangedAt = new Date(entry.updatedAt);
+    }
+    return attributes;
+  }
+}
+
+module.exports = ParseHistorySink;
@@ -0,0 +1,51 @@
+const HistorySink = require('./HistorySink');
+const CallbackHistorySink = require('./CallbackHistorySink');
+const FileHistorySink = require('./FileHistorySink');
+const ParseHistorySink = require('./ParseHistorySink');
+
+// Statuses of the webhook events that update the history of an email
+const EVENT_STATUSES = {
+  delivered: 'delivered',
+  failed: 'failed',
+  complained: 'complained',
+  unsubscribed: 'unsubscribed',
+  opened: 'opened',
+  clicked: 'clicked'
+};
+
+/**
+ * Removes the angle brackets of a message ID, as Mailgun's webhooks do
+ * @param {String} [messageId] e.g. '<20170101.1@example.com>'
+ * @returns {String}
+ */
+function toMessageId(messageId) {
+  return typeof messageId === 'string' ? messageId.replace(/^<|>$/g, '') : undefined;
+}
+
+/**
+ * The changes of the history entry of an email for a webhook event.
+ * Temporary failures, which Mailgun retries, are recorded as 'deferred'.
+ * @param {Object} event as passed to the webhook callbacks
+ * @returns {Object} { status, response, updatedAt }, or null if the event is not about a sent email
+ */
+function fromWebhookEvent(event) {
+  if (!event.messageId || !EVENT_STATUSES.hasOwnProperty(event.type)) {
+    return null;
+  }
+  const temporary = event.type === 'failed' && event.severity !== 'permanent';
+  const updatedAt = event.timestamp instanceof Date ? event.timestamp.getTime() : NaN;
+  return {
+    status: temporary ? 'deferred' : EVENT_STATUSES[event.type],
+    response: event.description || event.reason,
+    updatedAt: isNaN(updatedAt) ? Date.now() : updatedAt
+  };
+}
+
+module.exports = {
+  toMessageId,
+  fromWebhookEvent,
+  HistorySink,
+  CallbackHistorySink,
+  FileHistorySink,
+  ParseHistorySink
+};
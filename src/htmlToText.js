@@ -0,0 +1,205 @@
+// Matches comments, tags (with their attributes) and the text between them
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</g;
+
+// Elements whose content is not part of the text
+const SKIPPED_ELEMENTS = ['head', 'script', 'style', 'title', 'template'];
+
+// Elements that start and end a paragraph
+const BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figure',
+  'footer', 'form', 'header', 'main', 'nav', 'p', 'pre', 'section', 'table'
+];
+
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', bull: '•', middot: '·', euro: '€', pound: '£', yen: '¥', cent: '¢'
+};
+
+/**
+ * Decodes named and numeric HTML character references. Unknown references are kept as they are.
+ * @param {String} text
+ * @returns {String}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#[0-9]+|#x[0-9a-fA-F]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (e) {
+        return match;
+      }
+    }
+    return ENTITIES.hasOwnProperty(entity) ? ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Reads an attribute from the attribute string of a tag
+ * @param {String} attributes
+ * @param {String} name
+ * @returns {String|undefined}
+ */
+function getAttribute(attributes, name) {
+  const pattern = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i');
+  const match = pattern.exec(attributes);
+  if (!match) {
+    return undefined;
+  }
+  return decodeEntities(match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]));
+}
+
+/**
+ * Converts an HTML email into its plain-text version.
+ * Links are listed as numbered footnotes, headings are underlined (h1, h2) or set apart,
+ * and list items are bulleted or numbered.
+ * @param {String} html
+ * @returns {String}
+ */
+function htmlToText(html) {
+  let output = '';
+  let skipDepth = 0;
+  let preDepth = 0;
+  const lists = [];
+  const anchors = [];
+  const headings = [];
+  const links = [];
+
+  // Ends the current line and makes sure the output ends with `count` line breaks
+  const breakLines = (count) => {
+    output = output.replace(/[ \t]+$/, '');
+    if (!output) {
+      return;
+    }
+    const existing = /\n*$/.exec(output)[0].length;
+    for (let i = existing; i < count; i++) {
+      output += '\n';
+    }
+  };
+
+  const appendText = (text) => {
+    if (preDepth > 0) {
+      output += text;
+      return;
+    }
+    text = text.replace(/\s+/g, ' ');
+    if (!output || /[ \n]$/.test(output)) {
+      text = text.replace(/^ /, '');
+    }
+    output += text;
+  };
+
+  const addLink = (href, text) => {
+    if (!href || href[0] === '#' || /^javascript:/i.test(href)) {
+      return;
+    }
+    const label = text.trim();
+    if (label === href || `mailto:${label}` === href || `tel:${label}` === href) {
+      return;
+    }
+    let index = links.indexOf(href);
+    if (index === -1) {
+      index = links.push(href) - 1;
+    }
+    output += ` [${index + 1}]`;
+  };
+
+  html.replace(TOKEN_PATTERN, (token, closing, tagName, attributes) => {
+    if (token.indexOf('<!--') === 0) {
+      return token;
+    }
+
+    if (!tagName) {
+      if (skipDepth === 0) {
+        appendText(decodeEntities(token));
+      }
+      return token;
+    }
+
+    const tag = tagName.toLowerCase();
+    if (SKIPPED_ELEMENTS.indexOf(tag) !== -1) {
+      skipDepth = Math.max(0, skipDepth + (closing ? -1 : 1));
+      return token;
+    }
+    if (skipDepth > 0) {
+      return token;
+    }
+
+    if (tag === 'br') {
+      output = output.replace(/[ \t]+$/, '') + '\n';
+    } else if (tag === 'hr') {
+      breakLines(2);
+      output += '----------';
+      breakLines(2);
+    } else if (tag === 'img' && !closing) {
+      const alt = getAttribute(attributes, 'alt');
+      if (alt) {
+        appendText(alt);
+      }
+    } else if (tag === 'a') {
+      if (!closing) {
+        anchors.push({ href: getAttribute(attributes, 'href'), start: output.length });
+      } else if (anchors.length > 0) {
+        const anchor = anchors.pop();
+        addLink(anchor.href, output.slice(anchor.start));
+      }
+    } else if (HEADINGS.indexOf(tag) !== -1) {
+      if (!closing) {
+        breakLines(2);
+        headings.push(output.length);
+      } else if (headings.length > 0) {
+        const heading = output.slice(headings.pop()).trim();
+        if (heading && (tag === 'h1' || tag === 'h2')) {
+          output += '\n' + (tag === 'h1' ? '=' : '-').repeat(heading.length);
+        }
+        breakLines(2);
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      if (!closing) {
+        breakLines(lists.length > 0 ? 1 : 2);
+        lists.push({ ordered: tag === 'ol', count: 0 });
+      } else {
+        lists.pop();
+        breakLines(lists.length > 0 ? 1 : 2);
+      }
+    } else if (tag === 'li') {
+      breakLines(1);
+      if (!closing) {
+        const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+        list.count++;
+        const indent = '  '.repeat(Math.max(0, lists.length - 1));
+        output += indent + (list.ordered ? `${list.count}. ` : '* ');
+      }
+    } else if (tag === 'tr') {
+      breakLines(1);
+    } else if ((tag === 'td' || tag === 'th') && closing) {
+      output += ' ';
+    } else if (BLOCK_ELEMENTS.indexOf(tag) !== -1) {
+      if (tag === 'pre') {
+        preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+      }
+      breakLines(2);
+    }
+    return token;
+  });
+
+  let text = output
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (links.length > 0) {
+    text += '\n\n' + links.map((href, index) => `[${index + 1}] ${href}`).join('\n');
+  }
+  return text;
+}
+
+module.exports = {
+  decodeEntities,
+  htmlToText
+};
@@ -0,0 +1,55 @@
+const { ConfigurationError } = require('./errors');
+
+/**
+ * Creates a template loader that reads templates from a Parse class.
+ * The objects of the class hold the name of the template, its plain-text and html versions
+ * and, optionally, the locale of the template.
+ * The options object would have the parameters:
+ * - Parse: the Parse SDK (defaults to the global Parse object available in cloud code)
+ * - className: name of the Parse class (default: 'EmailTemplate')
+ * - nameField, textField, htmlField, localeField: names of the fields
+ *   (default: 'name', 'text', 'html' and 'locale')
+ * - defaultLocale: value of the locale field of the default versions, which are loaded
+ *   when no locale is given (default: versions without a locale)
+ * @param {Object} [options]
+ * @returns {Function} loader(templateName, locale) returning a Promise
+ */
+function createParseLoader(options) {
+  options = options || {};
+  const Parse = options.Parse || global.Parse;
+  if (!Parse || typeof Parse.Query !== 'function') {
+    throw new ConfigurationError('The Parse template loader requires the Parse SDK.');
+  }
+
+  const className = options.className || 'EmailTemplate';
+  const nameField = options.nameField || 'name';
+  const textField = options.textField || 'text';
+  const htmlField = options.htmlField || 'html';
+  const localeField = options.localeField || 'locale';
+  const { defaultLocale } = options;
+
+  return (templateName, locale) => {
+    const query = new Parse.Query(className);
+    query.equalTo(nameField, templateName);
+    if (locale || defaultLocale) {
+      query.equalTo(localeField, locale || defaultLocale);
+    } else {
+      // Otherwise any localized version could be taken as the default
+      query.doesNotExist(localeField);
+    }
+
+    return query.first({ useMasterKey: true }).then(object => {
+      if (!object) {
+        return null;
+      }
+      return {
+        text: object.get(textField),
+        html: object.get(htmlField) || undefined
+      };
+    });
+  };
+}
+
+module.exports = {
+  createParseLoader
+};
@@ -0,0 +1,111 @@
+// Placeholder for the locale in template paths, e.g. 'templates/{locale}/welcome.txt'
+const LOCALE_PATTERN = /\{locale\}/g;
+
+// Key of the fallback entry in localized settings
+const DEFAULT_KEY = 'default';
+
+// A BCP 47 language tag such as 'de', 'de-AT' or 'zh_Hant_TW'. Locales are put into file paths,
+// so anything else, e.g. '../other', is rejected.
+const LOCALE_TAG_PATTERN = /^[A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Builds the list of locales to try for a requested locale, from most to least specific,
+ * followed by the default locale. For example 'de-AT' results in ['de-AT', 'de', 'en']
+ * when the default locale is 'en'.
+ * @param {String} [locale]
+ * @param {String} [defaultLocale]
+ * @returns {Array}
+ */
+function getLocaleChain(locale, defaultLocale) {
+  const chain = [];
+  if (typeof locale === 'string' && locale) {
+    const parts = locale.replace(/_/g, '-').split('-');
+    for (let i = parts.length; i > 0; i--) {
+      chain.push(parts.slice(0, i).join('-'));
+    }
+  }
+  if (defaultLocale && chain.indexOf(defaultLocale) === -1) {
+    chain.push(defaultLocale);
+  }
+  return chain;
+}
+
+/**
+ * Whether a locale is a valid language tag
+ * @param {*} locale
+ * @returns {Boolean}
+ */
+function isLocale(locale) {
+  return typeof locale === 'string' && LOCALE_TAG_PATTERN.test(locale);
+}
+
+/**
+ * Whether a setting holds a value per locale, e.g. { en: 'Welcome', de: 'Willkommen' }
+ * @param {*} setting
+ * @returns {Boolean}
+ */
+function isLocalizedMap(setting) {
+  return !!setting && setting.constructor === Object;
+}
+
+/**
+ * Whether a template path contains the {locale} placeholder
+ * @param {*} path
+ * @returns {Boolean}
+ */
+function hasLocalePattern(path) {
+  return typeof path === 'string' && path.search(LOCALE_PATTERN) !== -1;
+}
+
+/**
+ * Picks the value of a setting for the first matching locale of the chain.
+ * Settings that are not localized are returned as they are.
+ * A localized setting falls back to its 'default' entry.
+ * @param {*} setting
+ * @param {Array} chain
+ * @returns {*} undefined if no locale matches
+ */
+function localize(setting, chain) {
+  if (!isLocalizedMap(setting)) {
+    return setting;
+  }
+  for (let locale of chain) {
+    if (setting[locale] !== undefined) {
+      return setting[locale];
+    }
+  }
+  return setting[DEFAULT_KEY];
+}
+
+/**
+ * Lists the values of a setting, i.e. every locale's value of a localized setting
+ * @param {*} setting
+ * @returns {Array}
+ */
+function values(setting) {
+  if (!isLocalizedMap(setting)) {
+    return setting === undefined ? [] : [setting];
+  }
+  return Object.keys(setting).map(key => setting[key]);
+}
+
+/**
+ * Replaces the {locale} placeholder in a template path
+ * @param {String} path
+ * @param {String} locale
+ * @returns {String}
+ */
+function fillLocalePattern(path, locale) {
+  return path.replace(LOCALE_PATTERN, locale);
+}
+
+module.exports = {
+  DEFAULT_KEY,
+  getLocaleChain,
+  isLocale,
+  isLocalizedMap,
+  hasLocalePattern,
+  localize,
+  values,
+  fillLocalePattern
+};
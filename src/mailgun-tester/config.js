@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const MailgunAdapter = require('../MailgunAdapter');
+
+const templatesDir = path.resolve(__dirname, '../../test/email-templates');
+
+// Placeholder Mailgun settings for adapters that never send
+const PREVIEW_SETTINGS = {
+  apiKey: 'preview',
+  domain: 'preview.localhost',
+  fromAddress: 'Preview <preview@localhost>'
+};
+
+/**
+ * The sample templates in test/email-templates
+ * @param {Object} [variables] default variables of the customAlert template
+ * @returns {Object}
+ */
+function getSampleTemplates(variables) {
+  return {
+    passwordResetEmail: {
+      subject: 'Reset your password',
+      pathPlainText: path.join(templatesDir, 'password_reset_email.txt'),
+      pathHtml: path.join(templatesDir, 'password_reset_email.html')
+    },
+    verificationEmail: {
+      subject: 'Confirm your account',
+      pathPlainText: path.join(templatesDir, 'verification_email.txt'),
+      pathHtml: path.join(templatesDir, 'verification_email.html')
+    },
+    customAlert: {
+      subject: 'Important notice',
+      pathPlainText: path.join(templatesDir, 'custom_email.txt'),
+      pathHtml: path.join(templatesDir, 'custom_email.html'),
+      variables: variables || {}
+    }
+  };
+}
+
+/**
+ * Loads the adapter options from a JS or JSON file.
+ * Configurations without templates, such as the mailgun.json file of earlier versions
+ * ({ apiKey, fromAddress, domain, host, recipient, username, appName }), use the sample templates.
+ * @param {String} configPath
+ * @returns {Object}
+ */
+function loadConfig(configPath) {
+  const resolvedPath = path.resolve(configPath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Could not find the configuration file ${resolvedPath}`);
+  }
+
+  const config = Object.assign({}, require(resolvedPath)); // eslint-disable-line global-require
+  if (!config.templates) {
+    const { username, appName } = config;
+    config.templates = getSampleTemplates({ username, appName });
+  }
+  return config;
+}
+
+/**
+ * Creates an adapter from the options. In dry-run mode, Mailgun settings are optional
+ * and the outbox and file watching are turned off.
+ * @param {Object} options
+ * @param {Boolean} [dryRun]
+ * @returns {MailgunAdapter}
+ */
+function createAdapter(options, dryRun) {
+  if (!dryRun) {
+    return new MailgunAdapter(options);
+  }
+  return new MailgunAdapter(Object.assign({}, PREVIEW_SETTINGS, options, {
+    dryRun: true,
+    outbox: undefined,
+    watchTemplates: false
+  }));
+}
+
+module.exports = {
+  templatesDir,
+  getSampleTemplates,
+  loadConfig,
+  createAdapter
+};
@@ -1,62 +1,223 @@
-const
-    // NOTE: you need to create mailgun.json yourself in the module's root directory
-    /* Example
-    {
-        "apiKey": "...",
-        "fromAddress": "...",
-        "domain": "...",
-        "host": "...",
-        "recipient": "...",
-        "username": "...",
-        "appName": "..."
-    }
-    */
-    mailgunConfig = require('../../mailgun.json'),
-    API_KEY = mailgunConfig.apiKey,
-    FROM = mailgunConfig.fromAddress,
-    DOMAIN = mailgunConfig.domain,
-    HOST = mailgunConfig.host,
-    RECIPIENT = mailgunConfig.recipient,
-    USERNAME = mailgunConfig.username,
-    APP_NAME = mailgunConfig.appName;
-
-const MailgunAdapter = require('../MailgunAdapter');
+#!/usr/bin/env node
+const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('../args');
+const { loadConfig, createAdapter } = require('./config');
+
+const USAGE = `Usage: parse-server-mailgun <command> [options]
+
+Commands:
+  send                   Render a template and send it through Mailgun
+  render                 Render a template without sending it, and print the MIME message
+  validate               Check the configuration and its files, and render every template
+
+Options:
+  --config <path>        JS or JSON file with the adapter options (default: ./mailgun.json)
+  --template <name>      Template to send or render (validate: only this template)
+  --to <address>         Recipient (default: "recipient" of the configuration)
+  --from <address>       Overrides the configured from address
+  --subject <subject>    Overrides the template's subject
+  --variables <json>     Template variables, as JSON or the path of a JSON file
+  --fixtures <path>      validate: JSON file with the variables per template, as used by the preview server
+  --locale <locale>      Locale of the template version to use
+  --output <path>        Write the MIME message to a file, e.g. message.eml
+  --dry-run              send: render the message, but do not send it
+  --help                 Show this help
+`;
+
+/**
+ * Reads JSON given inline or as the path of a file
+ * @param {String} [value]
+ * @param {String} option name of the option, for error reporting
+ * @returns {Object}
+ */
+function readJson(value, option) {
+  if (value === undefined) {
+    return {};
+  }
+  const json = /^\s*[{[]/.test(value) ? value : fs.readFileSync(path.resolve(value), 'utf8');
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid JSON for --${option}: ${error.message}`);
+  }
+}
+
+/**
+ * The options of #render() and #send() for the template given by the arguments
+ * @param {Object} args
+ * @param {Object} config
+ * @returns {Object}
+ */
+function getMessageOptions(args, config) {
+  // The customAlert sample template is used by default, as in earlier versions of the tester
+  const templateName = args.template || (config.templates.customAlert ? 'customAlert' : undefined);
+  if (!templateName) {
+    throw new Error('Missing --template');
+  }
+  return {
+    templateName,
+    recipient: args.to || config.recipient,
+    fromAddress: args.from,
+    subject: args.subject,
+    variables: readJson(args.variables, 'variables'),
+    locale: args.locale
+  };
+}
+
+/**
+ * Renders the template given by the arguments
+ * @param {MailgunAdapter} adapter
+ * @param {Object} args
+ * @param {Object} config
+ * @returns {Promise} resolves with { subject, text, html, mime }
+ */
+function renderMessage(adapter, args, config) {
+  return adapter.render(getMessageOptions(args, config));
+}
+
+/**
+ * Reports the result of #send(). A message that was queued in outbox mode is delivered right away,
+ * because the outbox worker would not get to it before the tester exits.
+ * @param {MailgunAdapter} adapter
+ * @param {String} to
+ * @param {Object} result
+ * @param {Object} io
+ * @returns {Promise} resolves with the exit code
+ */
+function reportSent(adapter, to, result, io) {
+  if (result && result.status === 'suppressed') {
+    const reasons = result.suppressed.map(entry => `${entry.address}: ${entry.reason}`).join(', ');
+    throw new Error(`Not sent, the recipient is suppressed (${reasons})`);
+  }
+  if (adapter.outbox && result && result.availableAt !== undefined) {
+    return adapter.outbox.drain().then(summary => {
+      if (summary.sent === 0) {
+        throw new Error('Could not deliver the message, it was left in the outbox');
+      }
+      io.stdout.write(`Sent to ${to} through the outbox\n`);
+      return 0;
+    });
+  }
+  io.stdout.write(`Sent to ${to}${result && result.id ? `: ${result.id}` : ''}\n`);
+  return 0;
+}
+
+function writeOutput(args, io, rendered) {
+  if (args.output) {
+    fs.writeFileSync(path.resolve(args.output), rendered.mime);
+    io.stdout.write(`Wrote the message to ${args.output}\n`);
+  }
+}
+
+const commands = {
+  render(args, config, io) {
+    const adapter = createAdapter(config, true);
+    return renderMessage(adapter, args, config).then(rendered => {
+      if (args.output) {
+        writeOutput(args, io, rendered);
+      } else {
+        io.stdout.write(`${rendered.mime}\n`);
+      }
+      return 0;
+    });
+  },
 
-const config = {
-    apiKey: API_KEY,
-    fromAddress: FROM,
-    domain: DOMAIN,
-    host: HOST,
-    templates: {
-        passwordResetEmail: {
-            subject: 'Reset your password',
-            pathPlainText: path.resolve(__dirname, '../../test/email-templates/password_reset_email.txt'),
-            pathHtml: path.resolve(__dirname, '../../test/email-templates/password_reset_email.html')
-        },
-        verificationEmail: {
-            subject: 'Confirm your account',
-            pathPlainText: path.resolve(__dirname, '../../test/email-templates/verification_email.txt'),
-            pathHtml: path.resolve(__dirname, '../../test/email-templates/verification_email.html')
-        },
-        customAlert: {
-            subject: 'Important notice',
-            pathPlainText: path.resolve(__dirname, '../../test/email-templates/custom_email.txt'),
-            pathHtml: path.resolve(__dirname, '../../test/email-templates/custom_email.html'),
-            variables: {
-                username: USERNAME,
-                appName: APP_NAME
-            }
+  send(args, config, io) {
+    const to = args.to || config.recipient;
+    if (!to) {
+      throw new Error('Missing --to');
+    }
+    const adapter = createAdapter(config, args.dryRun);
+    const options = Object.assign(getMessageOptions(args, config), { recipient: to });
+    if (args.dryRun) {
+      // In dry-run mode, send() resolves with the rendered message
+      return adapter.send(options).then(rendered => {
+        if (args.output) {
+          writeOutput(args, io, rendered);
+        } else {
+          io.stdout.write(`${rendered.mime}\n`);
         }
+        return 0;
+      });
     }
+
+    // The message is sent through send(), like in production, with the Mailgun options,
+    // suppressions, outbox and history of the configuration. --output gets a rendering of its own.
+    const rendering = args.output ? adapter.render(options).then(rendered => writeOutput(args, io, rendered)) : Promise.resolve();
+    return rendering
+      .then(() => adapter.send(options))
+      .then(result => reportSent(adapter, to, result, io));
+  },
+
+  validate(args, config, io) {
+    // Creating the adapter validates the configuration, including the Mailgun settings.
+    // The other problems are listed one by one below.
+    const adapter = createAdapter(Object.assign({}, config, { validateOnStartup: false }));
+    adapter.dryRun = true;
+
+    const { errors, warnings } = adapter.validateConfiguration();
+    warnings.forEach(warning => io.stdout.write(`warning ${warning}\n`));
+    errors.forEach(error => io.stdout.write(`error   ${error}\n`));
+
+    const fixtures = readJson(args.fixtures, 'fixtures');
+    const templateNames = args.template ? [args.template] : Object.keys(adapter.templates);
+    let failures = 0;
+
+    return templateNames.reduce((previous, templateName) => {
+      return previous.then(() => {
+        const fixture = fixtures[templateName] || {};
+        return Promise.resolve()
+          .then(() => adapter.render({ templateName, variables: fixture.variables, locale: fixture.locale || args.locale }))
+          .then(() => io.stdout.write(`ok      ${templateName}\n`), error => {
+            failures++;
+            io.stdout.write(`failed  ${templateName}: ${error.message}\n`);
+          });
+      });
+    }, Promise.resolve())
+      .then(() => {
+        io.stdout.write(`${templateNames.length - failures} of ${templateNames.length} templates are valid\n`);
+        return failures > 0 || errors.length > 0 ? 1 : 0;
+      });
+  }
 };
 
-const adapter = new MailgunAdapter(config);
+/**
+ * Runs the command line interface
+ * @param {Array} argv the arguments, without the node executable and the script
+ * @param {Object} [io] { stdout, stderr } streams
+ * @returns {Promise} resolves with the exit code
+ */
+function run(argv, io) {
+  io = io || { stdout: process.stdout, stderr: process.stderr };
+
+  return Promise.resolve()
+    .then(() => {
+      const args = parseArgs(argv, ['dry-run', 'help']);
+      const command = args._[0];
+      if (args.help || !command) {
+        io.stdout.write(USAGE);
+        return args.help ? 0 : 1;
+      }
+      if (!commands.hasOwnProperty(command) || args._.length > 1) {
+        throw new Error(`Unknown command ${args._.join(' ')}, see --help`);
+      }
+
+      const config = loadConfig(args.config || 'mailgun.json');
+      return commands[command](args, config, io);
+    })
+    .catch(error => {
+      io.stderr.write(`${error.name}: ${error.message}\n`);
+      return 1;
+    });
+}
 
-adapter._sendMail({
-    templateName: 'customAlert',
-    subject: 'Test message',
-    recipient: RECIPIENT,
-    variables: { appName: APP_NAME, username: USERNAME },
-    direct: true
-});
\ No newline at end of file
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  run
+};
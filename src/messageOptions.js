@@ -0,0 +1,173 @@
+// Mailgun accepts up to 3 tags per message, of up to 128 ASCII characters each
+const MAX_TAGS = 3;
+const MAX_TAG_LENGTH = 128;
+
+// Messages can be scheduled for delivery up to 3 days in advance
+const MAX_DELIVERY_DELAY = 3 * 24 * 60 * 60 * 1000;
+
+// Maximum size of the custom variables of a message in bytes
+const MAX_VARIABLES_SIZE = 4 * 1024;
+
+const BOOLEAN_OPTIONS = {
+  tracking: 'o:tracking',
+  trackingOpens: 'o:tracking-opens',
+  testMode: 'o:testmode'
+};
+
+const OPTION_KEYS = ['tags', 'trackingClicks', 'deliveryTime', 'variables'].concat(Object.keys(BOOLEAN_OPTIONS));
+
+/**
+ * Turns a tag setting into an array of tags
+ * @param {String|Array} [tags]
+ * @returns {Array}
+ */
+function toTags(tags) {
+  if (tags === undefined) {
+    return [];
+  }
+  return Array.isArray(tags) ? tags : [tags];
+}
+
+/**
+ * Turns a delivery time into a Date
+ * @param {Date|Number|String} deliveryTime a Date, a timestamp in milliseconds or a date string
+ * @returns {Date} an invalid Date if the delivery time can not be parsed
+ */
+function toDate(deliveryTime) {
+  if (deliveryTime instanceof Date) {
+    return deliveryTime;
+  }
+  return new Date(typeof deliveryTime === 'number' || typeof deliveryTime === 'string' ? deliveryTime : NaN);
+}
+
+/**
+ * Finds the first problem of a `mailgunOptions` setting
+ * @param {*} options
+ * @returns {String} a description of the problem, or undefined if the options are valid
+ */
+function findProblem(options) {
+  if (options === undefined) {
+    return undefined;
+  }
+  if (!options || options.constructor !== Object) {
+    return 'mailgunOptions must be an object';
+  }
+
+  const unknown = Object.keys(options).filter(key => OPTION_KEYS.indexOf(key) === -1);
+  if (unknown.length > 0) {
+    return `unknown mailgunOptions ${unknown.join(', ')}`;
+  }
+
+  const tags = toTags(options.tags);
+  if (tags.length > MAX_TAGS) {
+    return `a message can have at most ${MAX_TAGS} tags`;
+  }
+  const invalidTag = tags.find(tag => typeof tag !== 'string' || !/^[\x20-\x7e]+$/.test(tag) || tag.length > MAX_TAG_LENGTH);
+  if (invalidTag !== undefined) {
+    return `tag ${invalidTag} must be a string of 1 to ${MAX_TAG_LENGTH} ASCII characters`;
+  }
+
+  const invalidBoolean = Object.keys(BOOLEAN_OPTIONS).find(key => {
+    return options[key] !== undefined && typeof options[key] !== 'boolean';
+  });
+  if (invalidBoolean) {
+    return `${invalidBoolean} must be a boolean`;
+  }
+  const { trackingClicks } = options;
+  if (trackingClicks !== undefined && typeof trackingClicks !== 'boolean' && trackingClicks !== 'htmlonly') {
+    return "trackingClicks must be a boolean or 'htmlonly'";
+  }
+
+  if (options.deliveryTime !== undefined) {
+    const deliveryTime = toDate(options.deliveryTime).getTime();
+    if (isNaN(deliveryTime)) {
+      return `deliveryTime ${options.deliveryTime} is not a valid date`;
+    }
+    if (deliveryTime - Date.now() > MAX_DELIVERY_DELAY) {
+      return `deliveryTime ${options.deliveryTime} is more than 3 days in the future`;
+    }
+  }
+
+  const { variables } = options;
+  if (variables !== undefined) {
+    if (!variables || variables.constructor !== Object) {
+      return 'variables must be an object';
+    }
+    if (Buffer.byteLength(JSON.stringify(variables)) > MAX_VARIABLES_SIZE) {
+      return `variables must not be larger than ${MAX_VARIABLES_SIZE} bytes`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Merges `mailgunOptions` settings, e.g. of the adapter, a template and a call, in that order.
+ * Tags and variables are combined, the other options of a later setting replace those of an earlier one.
+ * @param {...Object} settings
+ * @returns {Object}
+ */
+function mergeMessageOptions(...settings) {
+  settings = settings.filter(setting => setting);
+  const merged = Object.assign.apply(null, [{}].concat(settings));
+
+  const tags = [];
+  settings.forEach(setting => toTags(setting.tags).forEach(tag => {
+    if (tags.indexOf(tag) === -1) {
+      tags.push(tag);
+    }
+  }));
+  const variables = Object.assign.apply(null, [{}].concat(settings.map(setting => setting.variables || {})));
+
+  delete merged.tags;
+  delete merged.variables;
+  if (tags.length > 0) {
+    merged.tags = tags;
+  }
+  if (Object.keys(variables).length > 0) {
+    merged.variables = variables;
+  }
+  return merged;
+}
+
+/**
+ * Converts `mailgunOptions` into the parameters of Mailgun's sendMime request
+ * @param {Object} options valid, merged options
+ * @returns {Object} the parameters, e.g. { 'o:tag': ['password-reset'], 'v:user-id': '42' }
+ */
+function toMailgunParams(options) {
+  const params = {};
+  const yesNo = value => {
+    return value ? 'yes' : 'no';
+  };
+
+  if (options.tags && options.tags.length > 0) {
+    params['o:tag'] = options.tags;
+  }
+  Object.keys(BOOLEAN_OPTIONS).filter(key => options[key] !== undefined).forEach(key => {
+    params[BOOLEAN_OPTIONS[key]] = yesNo(options[key]);
+  });
+  if (options.trackingClicks !== undefined) {
+    params['o:tracking-clicks'] = options.trackingClicks === 'htmlonly' ? 'htmlonly' : yesNo(options.trackingClicks);
+  }
+
+  if (options.deliveryTime !== undefined) {
+    // Mailgun expects an RFC 2822 date
+    params['o:deliverytime'] = toDate(options.deliveryTime).toUTCString();
+  }
+
+  const variables = options.variables || {};
+  Object.keys(variables).forEach(key => {
+    const value = variables[key];
+    params[`v:${key}`] = typeof value === 'string' ? value : JSON.stringify(value);
+  });
+  return params;
+}
+
+module.exports = {
+  MAX_TAGS,
+  MAX_DELIVERY_DELAY,
+  findProblem,
+  toDate,
+  mergeMessageOptions,
+  toMailgunParams
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const MemoryStore = require('./MemoryStore');
+
+/**
+ * OutboxStore that persists its entries to a JSON file, so that queued
+ * messages survive a restart of the process. The file is read once, on the first
+ * operation, and rewritten after every change.
+ * Only a single process should use a given file.
+ */
+class FileStore extends MemoryStore {
+  /**
+   * @param {String} path path of the JSON file
+   */
+  constructor(path) {
+    if (typeof path !== 'string') {
+      throw new Error('FileStore requires the path of a JSON file.');
+    }
+
+    super();
+    this.path = path;
+    this.loaded = null;
+    // Operations are chained so that the file is never written concurrently
+    this.pending = Promise.resolve();
+  }
+
+  enqueue(entry) {
+    return this._write(() => super.enqueue(entry));
+  }
+
+  fetchDue(now, limit) {
+    return this._read(() => super.fetchDue(now, limit));
+  }
+
+  update(entry) {
+    return this._write(() => super.update(entry));
+  }
+
+  remove(id) {
+    return this._write(() => super.remove(id));
+  }
+
+  moveToDeadLetter(entry) {
+    return this._write(() => super.moveToDeadLetter(entry));
+  }
+
+  listDeadLetters() {
+    return this._read(() => super.listDeadLetters());
+  }
+
+  _read(operation) {
+    return this._enqueueOperation(() => this._load().then(operation));
+  }
+
+  _write(operation) {
+    return this._enqueueOperation(() => {
+      return this._load()
+        .then(operation)
+        .then(result => this._persist().then(() => result));
+    });
+  }
+
+  _enqueueOperation(operation) {
+    const result = this.pending.then(operation);
+    // Keep the chain going even if this operation fails
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Reads the state from disk, a missing file is treated as an empty queue
+   * @returns {Promise}
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = new Promise((resolve, reject) => {
+        fs.readFile(this.path, 'utf8', (error, data) => {
+          if (error && error.code !== 'ENOENT') {
+            return reject(error);
+          }
+          try {
+            const state = data ? JSON.parse(data) : {};
+            this.queue = state.queue || [];
+            this.deadLetters = state.deadLetters || [];
+            resolve();
+          } catch (e) {
+            reject(e);
+          }
+        });
+      });
+      // Allow another attempt when loading failed
+      this.loaded.catch(() => {
+        this.loaded = null;
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Writes the state to a temporary file first and renames it,
+   * so that a crash never leaves a truncated file behind.
+   * @returns {Promise}
+   */
+  _persist() {
+    const data = JSON.stringify({ queue: this.queue, deadLetters: this.deadLetters });
+    const tmpPath = `${this.path}.tmp`;
+    return new Promise((resolve, reject) => {
+      fs.writeFile(tmpPath, data, error => {
+        if (error) return reject(error);
+        fs.rename(tmpPath, this.path, error => {
+          if (error) return reject(error);
+          resolve();
+        });
+      });
+    });
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,68 @@
+const OutboxStore = require('./OutboxStore');
+
+/**
+ * OutboxStore that keeps its entries in memory.
+ * Entries do not survive a restart of the process, use the FileStore
+ * or a database-backed store for that.
+ */
+class MemoryStore extends OutboxStore {
+  constructor() {
+    super();
+    this.queue = [];
+    this.deadLetters = [];
+  }
+
+  enqueue(entry) {
+    this.queue.push(Object.assign({}, entry));
+    return Promise.resolve(entry);
+  }
+
+  fetchDue(now, limit) {
+    const due = this.queue
+      .filter(entry => entry.availableAt <= now)
+      .sort((a, b) => a.availableAt - b.availableAt)
+      .slice(0, limit)
+      .map(entry => Object.assign({}, entry));
+    return Promise.resolve(due);
+  }
+
+  update(entry) {
+    const index = this._indexOf(entry.id);
+    if (index !== -1) {
+      this.queue[index] = Object.assign({}, entry);
+    }
+    return Promise.resolve();
+  }
+
+  remove(id) {
+    const index = this._indexOf(id);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+    return Promise.resolve();
+  }
+
+  moveToDeadLetter(entry) {
+    const index = this._indexOf(entry.id);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+    this.deadLetters.push(Object.assign({}, entry));
+    return Promise.resolve();
+  }
+
+  listDeadLetters() {
+    return Promise.resolve(this.deadLetters.map(entry => Object.assign({}, entry)));
+  }
+
+  _indexOf(id) {
+    for (let i = 0; i < this.queue.length; i++) {
+      if (this.queue[i].id === id) {
+        return i;
+      }
+    }
+    return -1;
+  }
+}
+
+module.exports = MemoryStore;
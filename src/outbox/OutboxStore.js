@@ -0,0 +1,78 @@
+/*
+  Outbox store prototype
+  An OutboxStore persists rendered messages until the outbox worker has delivered them.
+  The scheduler keeps the messages that are sent more than 3 days ahead in an OutboxStore as well.
+  Stores backed by a Parse class, Redis or any other database should implement all
+  of the methods below, each of them returning a Promise.
+  An entry has the properties:
+  - id: unique identifier of the entry
+  - to: the recipient(s) of the message
+  - message: the MIME string
+  - templateName: the name of the template the message was rendered with
+  - attempts: the number of failed delivery attempts
+  - params: additional Mailgun parameters, e.g. the o:deliverytime of a scheduled message
+  - createdAt: timestamp (ms) at which the entry was enqueued
+  - availableAt: timestamp (ms) before which the entry must not be delivered
+  - lastError: the message of the last delivery error, if any
+ */
+class OutboxStore {
+  /*
+   * Adds an entry to the queue
+   * @param {Object} entry
+   * @returns {Promise} resolves with the entry
+   */
+  enqueue(entry) { // eslint-disable-line no-unused-vars
+    return notImplemented('enqueue');
+  }
+
+  /*
+   * Fetches the entries that are due for delivery, oldest first
+   * @param {Number} now timestamp (ms)
+   * @param {Number} limit maximum number of entries
+   * @returns {Promise} resolves with an array of entries
+   */
+  fetchDue(now, limit) { // eslint-disable-line no-unused-vars
+    return notImplemented('fetchDue');
+  }
+
+  /*
+   * Saves the attempts, availableAt and lastError of an entry after a failed attempt
+   * @param {Object} entry
+   * @returns {Promise}
+   */
+  update(entry) { // eslint-disable-line no-unused-vars
+    return notImplemented('update');
+  }
+
+  /*
+   * Removes a delivered entry from the queue
+   * @param {String} id
+   * @returns {Promise}
+   */
+  remove(id) { // eslint-disable-line no-unused-vars
+    return notImplemented('remove');
+  }
+
+  /*
+   * Moves an entry that can not be delivered from the queue to the dead-letter list
+   * @param {Object} entry
+   * @returns {Promise}
+   */
+  moveToDeadLetter(entry) { // eslint-disable-line no-unused-vars
+    return notImplemented('moveToDeadLetter');
+  }
+
+  /*
+   * Lists the entries on the dead-letter list
+   * @returns {Promise} resolves with an array of entries
+   */
+  listDeadLetters() {
+    return notImplemented('listDeadLetters');
+  }
+}
+
+function notImplemented(method) {
+  return Promise.reject(new Error(`OutboxStore.${method}() is not implemented`));
+}
+
+module.exports = OutboxStore;
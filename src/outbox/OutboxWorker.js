@@ -0,0 +1,154 @@
+const { createRetryPolicy, getDelay, isRetryable } = require('../retry');
+
+const DEFAULTS = {
+  // Interval in milliseconds at which the store is polled for due entries
+  pollInterval: 5000,
+  // Maximum number of entries delivered per poll
+  batchSize: 50,
+  // Retry policy for failed deliveries, see ../retry.js
+  retry: {
+    maxAttempts: 5,
+    baseDelay: 30000,
+    maxDelay: 3600000
+  }
+};
+
+/**
+ * Delivers the entries of an outbox store. Failed deliveries are rescheduled with
+ * exponential backoff, entries that can not be delivered are moved to the dead-letter list.
+ */
+class OutboxWorker {
+  /**
+   * @param {Object} options
+   * - store: an OutboxStore
+   * - send: function(entry) that delivers an entry and returns a Promise
+   * - pollInterval, batchSize, retry: see DEFAULTS
+   * - onDeadLetter: optional function(entry, error), invoked when an entry is dead-lettered
+   * - onError: optional function(error), invoked when the store fails, defaults to console.error
+   */
+  constructor(options) {
+    const { store, send, onDeadLetter, onError } = options;
+    this.store = store;
+    this.send = send;
+    this.onDeadLetter = onDeadLetter;
+    this.onError = onError || (error => console.error(error));
+    this.pollInterval = options.pollInterval || DEFAULTS.pollInterval;
+    this.batchSize = options.batchSize || DEFAULTS.batchSize;
+    this.retryPolicy = createRetryPolicy(Object.assign({}, DEFAULTS.retry, options.retry));
+    this.timer = null;
+    this.draining = null;
+    // Incremented by stop(), so that a poll that is still draining does not reschedule itself
+    // after the worker was stopped, or restarted with a poll of its own
+    this.generation = 0;
+  }
+
+  /**
+   * Starts polling the store. The timer does not keep the process alive.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const { generation } = this;
+    const poll = () => {
+      this.drain()
+        .catch(error => this._reportError(error))
+        .then(() => {
+          if (this.generation === generation) {
+            this.timer = this._schedule(poll);
+          }
+        });
+    };
+    this.timer = this._schedule(poll);
+  }
+
+  /**
+   * Stops polling the store
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.generation++;
+  }
+
+  /**
+   * Delivers all entries that are currently due.
+   * Concurrent calls share the same run.
+   * @returns {Promise} resolves with a summary { sent, retried, deadLettered }
+   */
+  drain() {
+    if (!this.draining) {
+      const summary = { sent: 0, retried: 0, deadLettered: 0 };
+      this.draining = this.store.fetchDue(Date.now(), this.batchSize)
+        .then(entries => {
+          // Deliver the entries one at a time
+          return entries.reduce((previous, entry) => {
+            return previous.then(() => this._deliver(entry, summary));
+          }, Promise.resolve());
+        })
+        .then(() => {
+          this.draining = null;
+          return summary;
+        }, error => {
+          this.draining = null;
+          throw error;
+        });
+    }
+    return this.draining;
+  }
+
+  /**
+   * Delivers a single entry and updates the store with the outcome
+   * @param {Object} entry
+   * @param {Object} summary
+   * @returns {Promise}
+   */
+  _deliver(entry, summary) {
+    return this.send(entry).then(() => {
+      summary.sent++;
+      return this.store.remove(entry.id);
+    }, error => {
+      entry.attempts = (entry.attempts || 0) + 1;
+      entry.lastError = error.message;
+
+      if (entry.attempts >= this.retryPolicy.maxAttempts || !isRetryable(error, this.retryPolicy)) {
+        summary.deadLettered++;
+        return this.store.moveToDeadLetter(entry).then(() => {
+          if (this.onDeadLetter) {
+            return this.onDeadLetter(entry, error);
+          }
+        });
+      }
+
+      summary.retried++;
+      entry.availableAt = Date.now() + getDelay(entry.attempts, this.retryPolicy);
+      return this.store.update(entry);
+    });
+  }
+
+  /**
+   * Passes an error to onError. The worker keeps polling even if onError throws or rejects.
+   * @param {Error} error
+   * @returns {Promise}
+   */
+  _reportError(error) {
+    return Promise.resolve()
+      .then(() => this.onError(error))
+      .catch(handlerError => console.error(handlerError));
+  }
+
+  _schedule(fn) {
+    const timer = setTimeout(fn, this.pollInterval);
+    if (timer.unref) {
+      timer.unref();
+    }
+    return timer;
+  }
+}
+
+OutboxWorker.DEFAULTS = DEFAULTS;
+
+module.exports = OutboxWorker;
@@ -0,0 +1,11 @@
+const OutboxStore = require('./OutboxStore');
+const MemoryStore = require('./MemoryStore');
+const FileStore = require('./FileStore');
+const OutboxWorker = require('./OutboxWorker');
+
+module.exports = {
+  OutboxStore,
+  MemoryStore,
+  FileStore,
+  OutboxWorker
+};
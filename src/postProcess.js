@@ -0,0 +1,521 @@
+/**
+ * Creates a pattern that matches comments, elements that are kept as a whole (with their content),
+ * tags (with their attributes) and the text between them
+ * @param {Array} rawElements
+ * @returns {RegExp}
+ */
+function createTokenPattern(rawElements) {
+  const attributes = '((?:"[^"]*"|\'[^\']*\'|[^\'">])*)';
+  return new RegExp(`<!--[\\s\\S]*?-->|<(${rawElements.join('|')})\\b${attributes}>([\\s\\S]*?)<\\/\\1\\s*>|` +
+    `<(\\/?)([a-zA-Z][a-zA-Z0-9]*)${attributes}>|[^<]+|<`, 'gi');
+}
+
+// The content of these elements is not inlined
+const INLINE_TOKEN_PATTERN = createTokenPattern(['script', 'style']);
+
+// The content of these elements is not minified
+const MINIFY_TOKEN_PATTERN = createTokenPattern(['script', 'style', 'pre', 'textarea']);
+
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+// Elements without a closing tag
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+// Elements around which whitespace is not rendered, so that it can be removed
+const BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'body', 'br', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hr', 'html', 'li', 'link',
+  'main', 'meta', 'nav', 'ol', 'p', 'pre', 'section', 'style', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title',
+  'tr', 'ul'
+];
+
+// Start tags that close an open element without an end tag, e.g. a `<li>` closes the previous `<li>`,
+// unless one of the boundaries, such as the list of a nested list, is open in between
+const IMPLIED_END_TAGS = {
+  li: { closes: ['li'], boundaries: ['ul', 'ol'] },
+  dt: { closes: ['dt', 'dd'], boundaries: ['dl'] },
+  dd: { closes: ['dt', 'dd'], boundaries: ['dl'] },
+  td: { closes: ['td', 'th'], boundaries: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], boundaries: ['tr', 'table'] },
+  tr: { closes: ['tr'], boundaries: ['tbody', 'thead', 'tfoot', 'table'] },
+  tbody: { closes: ['tbody', 'thead', 'tfoot'], boundaries: ['table'] },
+  thead: { closes: ['tbody', 'thead', 'tfoot'], boundaries: ['table'] },
+  tfoot: { closes: ['tbody', 'thead', 'tfoot'], boundaries: ['table'] }
+};
+
+// Start tags that close an open paragraph
+const PARAGRAPH_CLOSERS = [
+  'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'ul'
+];
+
+const PARAGRAPH_END_TAG = { closes: ['p'], boundaries: ['button', 'caption', 'html', 'table', 'td', 'th'] };
+
+const CONDITIONAL_COMMENT_PATTERN = /^<!--\[if|<!\[endif\]-->$/;
+
+// A compound selector such as `td.title#main[align="left"]`
+const COMPOUND_PATTERN = /^(\*|[a-zA-Z][\w-]*)?((?:#[\w-]+|\.[\w-]+|\[[\w-]+(?:=(?:"[^"]*"|'[^']*'|[^\]'"]*))?\])*)$/;
+
+// The compound selectors of a selector and the child combinators between them
+const SELECTOR_TOKEN_PATTERN = /\s*>\s*|\s+|(?:"[^"]*"|'[^']*'|[^\s>"'])+/g;
+
+const SIMPLE_SELECTOR_PATTERN = /#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\]'"]*)))?\]/g;
+
+/**
+ * Splits a string at a separator, ignoring separators inside quotes and parentheses
+ * @param {String} text
+ * @param {String} separator
+ * @returns {Array}
+ */
+function split(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Parses CSS declarations, e.g. the content of a style attribute
+ * @param {String} text
+ * @returns {Array} [{ property, value, important }]
+ */
+function parseDeclarations(text) {
+  return split(text, ';')
+    .map(declaration => {
+      const index = declaration.indexOf(':');
+      if (index === -1) {
+        return null;
+      }
+      const property = declaration.slice(0, index).trim().toLowerCase();
+      let value = declaration.slice(index + 1).trim();
+      const important = /\s*!important$/i.test(value);
+      value = value.replace(/\s*!important$/i, '');
+      return property && value ? { property, value, important } : null;
+    })
+    .filter(declaration => declaration);
+}
+
+/**
+ * Compiles a selector into compound selectors and the combinators between them.
+ * Only type, universal, id, class and attribute selectors combined with descendant
+ * and child combinators are supported.
+ * @param {String} text
+ * @returns {Object|null} null if the selector is not supported
+ */
+function compileSelector(text) {
+  const tokens = (text.match(SELECTOR_TOKEN_PATTERN) || []).map(token => token.trim()).filter(token => token);
+  const compounds = [];
+  const combinators = [];
+  const specificity = [0, 0, 0];
+
+  for (let token of tokens) {
+    const match = token === '>' ? null : COMPOUND_PATTERN.exec(token);
+    if (token === '>' && compounds.length > combinators.length) {
+      combinators.push('>');
+    } else if (!match || !token) {
+      return null;
+    } else {
+      if (combinators.length < compounds.length) {
+        combinators.push(' ');
+      }
+      compounds.push(compileCompound(match, specificity));
+    }
+  }
+
+  if (compounds.length === 0 || combinators.length !== compounds.length - 1) {
+    return null;
+  }
+  return { compounds, combinators, specificity };
+}
+
+/**
+ * Compiles the match of a compound selector, and adds its specificity
+ * @param {Array} match
+ * @param {Array} specificity [ids, classes and attributes, types]
+ * @returns {Object}
+ */
+function compileCompound(match, specificity) {
+  const compound = { tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null, ids: [], classes: [], attributes: [] };
+  if (compound.tag) {
+    specificity[2]++;
+  }
+  match[2].replace(SIMPLE_SELECTOR_PATTERN, (simple, id, className, name, doubleQuoted, singleQuoted, unquoted) => {
+    if (id) {
+      compound.ids.push(id);
+      specificity[0]++;
+    } else if (className) {
+      compound.classes.push(className);
+      specificity[1]++;
+    } else {
+      const value = doubleQuoted !== undefined ? doubleQuoted : (singleQuoted !== undefined ? singleQuoted : unquoted);
+      compound.attributes.push({ name: name.toLowerCase(), value });
+      specificity[1]++;
+    }
+    return simple;
+  });
+  return compound;
+}
+
+/**
+ * Parses a stylesheet into rules that can be inlined, and the CSS that has to stay in a style element:
+ * at-rules such as media queries, and rules with selectors that are not supported.
+ * @param {String} css
+ * @returns {Object} { rules, remaining }
+ */
+function parseStylesheet(css) {
+  css = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  let remaining = '';
+  let position = 0;
+
+  while (position < css.length) {
+    const start = css.slice(position).search(/\S/);
+    if (start === -1) {
+      break;
+    }
+    position += start;
+
+    if (css[position] === '@') {
+      const end = findAtRuleEnd(css, position);
+      remaining += css.slice(position, end + 1).trim() + '\n';
+      position = end + 1;
+    } else {
+      const open = css.indexOf('{', position);
+      const close = open === -1 ? -1 : css.indexOf('}', open);
+      if (close === -1) {
+        break;
+      }
+      remaining += parseRule(css.slice(position, open), css.slice(open + 1, close), rules);
+      position = close + 1;
+    }
+  }
+
+  return { rules, remaining: remaining.trim() };
+}
+
+/**
+ * Finds the end of an at-rule, which is either a statement or a block that may contain nested rules
+ * @param {String} css
+ * @param {Number} position
+ * @returns {Number} index of the closing semicolon or brace
+ */
+function findAtRuleEnd(css, position) {
+  const open = css.indexOf('{', position);
+  const semicolon = css.indexOf(';', position);
+  if (open === -1) {
+    return semicolon === -1 ? css.length : semicolon;
+  }
+  if (semicolon !== -1 && semicolon < open) {
+    return semicolon;
+  }
+
+  let depth = 0;
+  for (let end = open; end < css.length; end++) {
+    depth += css[end] === '{' ? 1 : (css[end] === '}' ? -1 : 0);
+    if (depth === 0) {
+      return end;
+    }
+  }
+  return css.length;
+}
+
+/**
+ * Adds the selectors of a rule that can be inlined to the list of rules
+ * @param {String} selectors
+ * @param {String} body
+ * @param {Array} rules
+ * @returns {String} the rule with the selectors that can not be inlined, if any
+ */
+function parseRule(selectors, body, rules) {
+  const declarations = parseDeclarations(body);
+  const unsupported = [];
+  split(selectors, ',').forEach(text => {
+    const selector = compileSelector(text);
+    if (selector) {
+      rules.push({ selector, declarations, order: rules.length });
+    } else if (text.trim()) {
+      unsupported.push(text.trim());
+    }
+  });
+  return unsupported.length > 0 ? `${unsupported.join(', ')} {${body}}\n` : '';
+}
+
+/**
+ * Parses the attributes of a tag
+ * @param {String} text
+ * @returns {Object}
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  text.replace(ATTRIBUTE_PATTERN, (match, name, doubleQuoted, singleQuoted, unquoted) => {
+    const value = doubleQuoted !== undefined ? doubleQuoted : (singleQuoted !== undefined ? singleQuoted : unquoted);
+    attributes[name.toLowerCase()] = value === undefined ? '' : value;
+    return match;
+  });
+  return attributes;
+}
+
+function matchesCompound(compound, element) {
+  const { tag, attributes } = element;
+  if (compound.tag && compound.tag !== tag) {
+    return false;
+  }
+  const classes = (attributes['class'] || '').split(/\s+/);
+  return compound.ids.every(id => attributes.id === id) &&
+    compound.classes.every(className => classes.indexOf(className) !== -1) &&
+    compound.attributes.every(attribute => {
+      const value = attributes[attribute.name];
+      return value !== undefined && (attribute.value === undefined || value === attribute.value);
+    });
+}
+
+/**
+ * Matches the compound selector at `index` against the element at `position` of the path,
+ * and the remaining compound selectors against its ancestors
+ * @param {Object} selector
+ * @param {Number} index
+ * @param {Array} path the element and its ancestors, outermost first
+ * @param {Number} position
+ * @returns {Boolean}
+ */
+function matchesAt(selector, index, path, position) {
+  if (!matchesCompound(selector.compounds[index], path[position])) {
+    return false;
+  }
+  if (index === 0) {
+    return true;
+  }
+  if (selector.combinators[index - 1] === '>') {
+    return position > 0 && matchesAt(selector, index - 1, path, position - 1);
+  }
+  for (let ancestor = position - 1; ancestor >= 0; ancestor--) {
+    if (matchesAt(selector, index - 1, path, ancestor)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function compareRules(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a.selector.specificity[i] !== b.selector.specificity[i]) {
+      return a.selector.specificity[i] - b.selector.specificity[i];
+    }
+  }
+  return a.order - b.order;
+}
+
+/**
+ * Computes the style attribute of an element: the declarations of the matching rules by specificity,
+ * then the element's own style, then the declarations of the matching rules that are !important.
+ * @param {Array} rules
+ * @param {Array} path
+ * @returns {String|null} null if no rule matches
+ */
+function computeStyle(rules, path) {
+  const matching = rules
+    .filter(rule => matchesAt(rule.selector, rule.selector.compounds.length - 1, path, path.length - 1))
+    .sort(compareRules);
+  if (matching.length === 0) {
+    return null;
+  }
+
+  const properties = {};
+  const apply = declaration => {
+    delete properties[declaration.property];
+    properties[declaration.property] = declaration.value;
+  };
+  matching.forEach(rule => rule.declarations.filter(declaration => !declaration.important).forEach(apply));
+  parseDeclarations(path[path.length - 1].attributes.style || '').forEach(declaration => {
+    apply(declaration.important ? { property: declaration.property, value: `${declaration.value} !important` } : declaration);
+  });
+  matching.forEach(rule => rule.declarations.filter(declaration => declaration.important).forEach(apply));
+
+  return Object.keys(properties).map(property => `${property}: ${properties[property]}`).join('; ');
+}
+
+/**
+ * Removes the elements that a start tag closes implicitly from the open elements
+ * @param {Array} path the open elements, outermost first
+ * @param {String} tag
+ */
+function closeImpliedElements(path, tag) {
+  const rules = [];
+  if (PARAGRAPH_CLOSERS.indexOf(tag) !== -1) {
+    rules.push(PARAGRAPH_END_TAG);
+  }
+  if (IMPLIED_END_TAGS[tag]) {
+    rules.push(IMPLIED_END_TAGS[tag]);
+  }
+  rules.forEach(rule => {
+    for (let index = path.length - 1; index >= 0; index--) {
+      if (rule.closes.indexOf(path[index].tag) !== -1) {
+        path.splice(index);
+        return;
+      }
+      if (rule.boundaries.indexOf(path[index].tag) !== -1) {
+        return;
+      }
+    }
+  });
+}
+
+/**
+ * Adds or replaces the style attribute of a start tag
+ * @param {String} tag
+ * @param {String} style
+ * @returns {String}
+ */
+function setStyleAttribute(tag, style) {
+  const value = style.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  const pattern = /(\sstyle\s*=\s*)(?:"[^"]*"|'[^']*'|[^\s"'>]+)/i;
+  if (pattern.test(tag)) {
+    return tag.replace(pattern, `$1"${value}"`);
+  }
+  return tag.replace(/\s*(\/?)>$/, ` style="${value}"$1>`);
+}
+
+/**
+ * Moves the CSS of a stylesheet and of the document's style elements into style attributes.
+ * CSS that can not be inlined, such as media queries, stays in the style elements.
+ * Style elements with a data-inline="false" attribute are left alone.
+ * @param {String} html
+ * @param {String} [stylesheet] additional CSS, with a lower precedence than the style elements
+ * @returns {String}
+ */
+function inlineCss(html, stylesheet) {
+  let rules = [];
+  const addRules = css => {
+    const parsed = parseStylesheet(css);
+    rules = rules.concat(parsed.rules.map(rule => Object.assign({}, rule, { order: rules.length + rule.order })));
+    return parsed.remaining;
+  };
+
+  if (stylesheet) {
+    addRules(stylesheet);
+  }
+
+  // Collect the rules of the style elements and keep the CSS that can not be inlined
+  html = html.replace(INLINE_TOKEN_PATTERN, (token, rawTag, rawAttributes, content) => {
+    if (!rawTag || rawTag.toLowerCase() !== 'style' || parseAttributes(rawAttributes)['data-inline'] === 'false') {
+      return token;
+    }
+    const remaining = addRules(content);
+    return remaining ? `<style${rawAttributes}>\n${remaining}\n</style>` : '';
+  });
+
+  if (rules.length === 0) {
+    return html;
+  }
+
+  const path = [];
+  let inHead = false;
+  return html.replace(INLINE_TOKEN_PATTERN, (token, rawTag, rawAttributes, content, closing, tagName, attributes) => {
+    if (!tagName) {
+      return token;
+    }
+
+    const tag = tagName.toLowerCase();
+    if (tag === 'head') {
+      inHead = !closing;
+      return token;
+    }
+    if (closing) {
+      const index = path.map(element => element.tag).lastIndexOf(tag);
+      if (index !== -1) {
+        path.splice(index);
+      }
+      return token;
+    }
+
+    closeImpliedElements(path, tag);
+    const element = { tag, attributes: parseAttributes(attributes) };
+    path.push(element);
+    const style = inHead ? null : computeStyle(rules, path);
+    if (VOID_ELEMENTS.indexOf(tag) !== -1 || /\/$/.test(attributes)) {
+      path.pop();
+    }
+    return style ? setStyleAttribute(token, style) : token;
+  });
+}
+
+/**
+ * Removes comments and whitespace that is not rendered. Conditional comments for
+ * Outlook, and the content of pre and textarea elements are kept as they are.
+ * @param {String} html
+ * @returns {String}
+ */
+function minifyHtml(html) {
+  const tokens = [];
+  html.replace(MINIFY_TOKEN_PATTERN, (token, rawTag, rawAttributes, content, closing, tagName) => {
+    const comment = token.indexOf('<!--') === 0;
+    if (comment && !CONDITIONAL_COMMENT_PATTERN.test(token)) {
+      return token;
+    }
+    const tag = (rawTag || tagName || '').toLowerCase();
+    const previous = tokens[tokens.length - 1];
+    if (!comment && !tag && previous && previous.text) {
+      // The text around a removed comment
+      previous.token += token;
+    } else {
+      tokens.push({ token, tag, raw: !!rawTag, comment, text: !comment && !tag });
+    }
+    return token;
+  });
+
+  // Whitespace next to a conditional comment is rendered like whitespace next to the element beyond it
+  const isSkipped = token => token.comment || (token.text && !token.token.trim());
+  const neighbour = (index, step) => {
+    let current = index + step;
+    while (tokens[current] && isSkipped(tokens[current])) {
+      current += step;
+    }
+    return tokens[current];
+  };
+  const isBlock = token => !token || (!!token.tag && BLOCK_ELEMENTS.indexOf(token.tag) !== -1);
+
+  return tokens
+    .map((current, index) => {
+      const { token, tag, raw, comment } = current;
+      if (comment) {
+        return token;
+      }
+      if (raw) {
+        return tag === 'style' ? token.replace(/\s+/g, ' ') : token;
+      }
+      if (tag) {
+        return token;
+      }
+      const text = token.replace(/\s+/g, ' ');
+      if (text === ' ' && (isBlock(neighbour(index, -1)) || isBlock(neighbour(index, 1)))) {
+        return '';
+      }
+      return text;
+    })
+    .join('')
+    .trim();
+}
+
+module.exports = {
+  parseStylesheet,
+  inlineCss,
+  minifyHtml
+};
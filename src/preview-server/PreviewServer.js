@@ -0,0 +1,267 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const locales = require('../locales');
+
+// Delay in milliseconds to wait for more file changes before the pages are reloaded
+const RELOAD_DELAY = 100;
+
+const STYLES = `
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; margin: 0; color: #333; }
+  header { padding: 12px 20px; background: #f5f5f5; border-bottom: 1px solid #ddd; }
+  header a { color: #9c27b0; }
+  main { display: flex; height: calc(100vh - 90px); }
+  section { flex: 1; display: flex; flex-direction: column; border-right: 1px solid #ddd; min-width: 0; }
+  section h2 { font-size: 13px; text-transform: uppercase; margin: 0; padding: 8px 12px; background: #fafafa; }
+  iframe { flex: 1; border: 0; }
+  pre { flex: 1; margin: 0; padding: 12px; overflow: auto; white-space: pre-wrap; word-break: break-all; font-size: 12px; }
+  ul { line-height: 1.8; }
+  .error { color: #c62828; white-space: pre-wrap; padding: 20px; }
+`;
+
+// Reloads the page when the server reports a change
+const RELOAD_SCRIPT = `<script>new EventSource('/events').onmessage = function () { location.reload(); };</script>`;
+
+/**
+ * Escapes text for use in HTML
+ * @param {*} text
+ * @returns {String}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>` +
+    `<style>${STYLES}</style></head><body>${body}${RELOAD_SCRIPT}</body></html>`;
+}
+
+/**
+ * Minimal stand-in for a Parse.User, built from the `user` object of a fixture
+ * @param {Object} attributes
+ * @returns {Object}
+ */
+function createUser(attributes) {
+  return {
+    get: key => attributes[key]
+  };
+}
+
+/**
+ * HTTP server that previews the templates of an adapter, rendered with sample variables from
+ * a fixtures file. The fixtures file maps template names to { variables, user, locale }.
+ * The server never sends emails, and reloads open pages when a template or the fixtures change.
+ */
+class PreviewServer {
+  /**
+   * @param {Object} options
+   * - adapter: a MailgunAdapter
+   * - fixturesPath: optional path of the fixtures JSON file
+   * - watch: whether to reload the pages on file changes (default: true)
+   */
+  constructor(options) {
+    const { adapter, fixturesPath } = options;
+    this.adapter = adapter;
+    this.fixturesPath = fixturesPath;
+    this.watch = options.watch !== false;
+    this.clients = [];
+    this.watchers = [];
+    this.reloadTimer = null;
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Starts the server and, unless disabled, watches the template and fixtures files
+   * @param {Number} [port] 0 or undefined to pick a free port
+   * @param {String} [host]
+   * @returns {Promise} resolves with the server's address
+   */
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port || 0, host || 'localhost', () => {
+        this.server.removeListener('error', reject);
+        if (this.watch) {
+          this._watchFiles();
+        }
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Stops watching files, disconnects the open pages and stops the server
+   * @returns {Promise}
+   */
+  close() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    clearTimeout(this.reloadTimer);
+    this.clients.forEach(res => res.end());
+    this.clients = [];
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Reads the fixtures file on every request, so that edits show up right away
+   * @returns {Object}
+   */
+  loadFixtures() {
+    if (!this.fixturesPath || !fs.existsSync(this.fixturesPath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+  }
+
+  /**
+   * Renders a template with its fixture
+   * @param {String} templateName
+   * @returns {Promise} resolves with { subject, text, html, mime }
+   */
+  renderTemplate(templateName) {
+    return Promise.resolve()
+      .then(() => {
+        const fixture = this.loadFixtures()[templateName] || {};
+        const options = { templateName, variables: fixture.variables, locale: fixture.locale };
+        if (fixture.user) {
+          options.user = createUser(fixture.user);
+        }
+        return this.adapter.render(options);
+      });
+  }
+
+  _handle(req, res) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(req.url.split('?')[0]);
+    } catch (e) {
+      return this._send(res, 400, 'text/plain', 'Bad request');
+    }
+    const match = /^\/templates\/([^/]+)(\/html)?$/.exec(pathname);
+
+    if (pathname === '/') {
+      this._send(res, 200, 'text/html', this._indexPage());
+    } else if (pathname === '/events') {
+      this._subscribe(req, res);
+    } else if (match && this.adapter.templates[match[1]]) {
+      const templateName = match[1];
+      this.renderTemplate(templateName)
+        .then(rendered => {
+          if (match[2]) {
+            this._send(res, 200, 'text/html', rendered.html || `<pre>${escapeHtml(rendered.text)}</pre>`);
+          } else {
+            this._send(res, 200, 'text/html', this._templatePage(templateName, rendered));
+          }
+        })
+        .catch(error => {
+          this._send(res, 500, 'text/html', page(templateName, `<header><a href="/">Templates</a></header>` +
+            `<div class="error">${escapeHtml(error.stack || error.message)}</div>`));
+        });
+    } else {
+      this._send(res, 404, 'text/plain', 'Not found');
+    }
+  }
+
+  _send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8`, 'Cache-Control': 'no-cache' });
+    res.end(body);
+  }
+
+  _indexPage() {
+    const items = Object.keys(this.adapter.templates)
+      .map(name => `<li><a href="/templates/${encodeURIComponent(name)}">${escapeHtml(name)}</a></li>`)
+      .join('');
+    return page('Templates', `<header><strong>Templates</strong></header><ul>${items}</ul>`);
+  }
+
+  _templatePage(templateName, rendered) {
+    const htmlPath = `/templates/${encodeURIComponent(templateName)}/html`;
+    return page(templateName, `<header><a href="/">Templates</a> / <strong>${escapeHtml(templateName)}</strong>` +
+      `<div>Subject: ${escapeHtml(rendered.subject)}</div></header><main>` +
+      `<section><h2>HTML</h2>${rendered.html ? `<iframe src="${htmlPath}"></iframe>` : '<pre>No HTML version</pre>'}</section>` +
+      `<section><h2>Text</h2><pre>${escapeHtml(rendered.text || '')}</pre></section>` +
+      `<section><h2>MIME</h2><pre>${escapeHtml(rendered.mime)}</pre></section></main>`);
+  }
+
+  /**
+   * Keeps a Server-Sent Events connection open, to tell the page to reload
+   */
+  _subscribe(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write(': connected\n\n');
+    this.clients.push(res);
+    req.on('close', () => {
+      this.clients = this.clients.filter(client => client !== res);
+    });
+  }
+
+  /**
+   * Lists the directories of all template, partial, layout, stylesheet and fixtures files.
+   * Directories are watched rather than files, because editors often replace files when saving.
+   * @returns {Array}
+   */
+  _getWatchedDirectories() {
+    const { templates } = this.adapter;
+    let files = this.adapter._getPartialPaths();
+    Object.keys(templates).forEach(name => {
+      const { pathPlainText, pathHtml } = templates[name];
+      files = files.concat(locales.values(pathPlainText), locales.values(pathHtml));
+    });
+    if (this.fixturesPath) {
+      files.push(this.fixturesPath);
+    }
+
+    const directories = [];
+    files.filter(file => typeof file === 'string').forEach(file => {
+      this._expandDirectory(path.dirname(file)).forEach(directory => {
+        if (directories.indexOf(directory) === -1 && fs.existsSync(directory)) {
+          directories.push(directory);
+        }
+      });
+    });
+    return directories;
+  }
+
+  /**
+   * Lists the directories that match a directory path with a {locale} placeholder,
+   * e.g. templates/en and templates/de for templates/{locale}
+   * @param {String} directory
+   * @returns {Array}
+   */
+  _expandDirectory(directory) {
+    if (!locales.hasLocalePattern(directory)) {
+      return [directory];
+    }
+    const base = directory.split('{locale}')[0];
+    if (!fs.existsSync(base)) {
+      return [];
+    }
+    return fs.readdirSync(base).map(locale => locales.fillLocalePattern(directory, locale));
+  }
+
+  _watchFiles() {
+    this.watchers = this._getWatchedDirectories().map(directory => {
+      return fs.watch(directory, { persistent: false }, () => this._scheduleReload());
+    });
+  }
+
+  _scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY);
+  }
+
+  /**
+   * Drops the cached templates and tells all open pages to reload
+   */
+  reload() {
+    this.adapter.clearTemplateCache();
+    this.clients.forEach(res => res.write('data: reload\n\n'));
+  }
+}
+
+module.exports = PreviewServer;
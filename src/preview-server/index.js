@@ -0,0 +1,48 @@
+/**
+ * Starts a local server that previews the email templates without sending them.
+ *
+ * Usage: node ./src/preview-server [--config path] [--fixtures path] [--port 3000]
+ *
+ * --config    JS or JSON file exporting the adapter options, defaults to the templates in test/email-templates.
+ *             No Mailgun credentials are needed, emails are never sent.
+ * --fixtures  JSON file with the sample data of each template: { "templateName": { "variables", "user", "locale" } },
+ *             defaults to test/email-templates/preview.json
+ * --port      defaults to 3000
+ */
+const path = require('path');
+const PreviewServer = require('./PreviewServer');
+const { parseArgs } = require('../args');
+const { templatesDir, getSampleTemplates, loadConfig, createAdapter } = require('../mailgun-tester/config');
+
+/**
+ * @param {Array} argv
+ * @returns {Promise} resolves with the started PreviewServer
+ */
+function main(argv) {
+  return Promise.resolve().then(() => {
+    const args = parseArgs(argv);
+    if (args._.length > 0) {
+      throw new Error(`Unexpected argument ${args._[0]}`);
+    }
+    const options = args.config ? loadConfig(args.config) : { templates: getSampleTemplates() };
+    const fixturesPath = path.resolve(args.fixtures || path.join(templatesDir, 'preview.json'));
+    const server = new PreviewServer({ adapter: createAdapter(options, true), fixturesPath });
+
+    return server.listen(Number(args.port || 3000)).then(address => {
+      console.log(`Previewing templates at http://${address.address}:${address.port}/`);
+      return server;
+    });
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  main
+};
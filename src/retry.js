@@ -0,0 +1,107 @@
+const { ConfigurationError } = require('./errors');
+
+const DEFAULTS = {
+  // Total number of attempts, including the first one
+  maxAttempts: 3,
+  // Delay before the first retry in milliseconds, doubled on every subsequent retry
+  baseDelay: 1000,
+  // Upper bound for the computed delay in milliseconds
+  maxDelay: 30000,
+  // Fraction of the delay that is randomized (0 disables jitter)
+  jitter: 0.2,
+  // HTTP status codes returned by Mailgun that are worth retrying
+  retryableStatusCodes: [429, 500, 502, 503, 504]
+};
+
+/**
+ * Normalizes the adapter's `retry` option into a retry policy.
+ * `true` enables retries with the default policy, an object overrides individual settings.
+ * Returns null when retries are disabled.
+ * @param {Boolean|Object} options
+ * @returns {Object|null}
+ */
+function createRetryPolicy(options) {
+  if (!options) {
+    return null;
+  }
+
+  const policy = Object.assign({}, DEFAULTS, options === true ? {} : options);
+  const { maxAttempts, baseDelay, maxDelay, jitter, retryableStatusCodes } = policy;
+
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new ConfigurationError('MailgunAdapter retry.maxAttempts must be a positive integer.');
+  }
+  if (typeof baseDelay !== 'number' || baseDelay < 0 || typeof maxDelay !== 'number' || maxDelay < 0) {
+    throw new ConfigurationError('MailgunAdapter retry delays must be non-negative numbers.');
+  }
+  if (typeof jitter !== 'number' || jitter < 0 || jitter > 1) {
+    throw new ConfigurationError('MailgunAdapter retry.jitter must be a number between 0 and 1.');
+  }
+  if (!Array.isArray(retryableStatusCodes)) {
+    throw new ConfigurationError('MailgunAdapter retry.retryableStatusCodes must be an array.');
+  }
+
+  return policy;
+}
+
+/**
+ * Whether a failed attempt should be retried.
+ * Errors without a status code are network errors and are always considered transient.
+ * @param {Error} error
+ * @param {Object} policy
+ * @returns {Boolean}
+ */
+function isRetryable(error, policy) {
+  if (error.status === undefined) {
+    return true;
+  }
+  return policy.retryableStatusCodes.indexOf(error.status) !== -1;
+}
+
+/**
+ * Computes the delay before the next attempt using exponential backoff with jitter.
+ * mailgun-js does not pass on the headers of a failed response, so a Retry-After value can not be honoured.
+ * @param {Number} attempt number of the attempt that just failed, starting at 1
+ * @param {Object} policy
+ * @returns {Number} delay in milliseconds
+ */
+function getDelay(attempt, policy) {
+  const delay = Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+  const spread = delay * policy.jitter * ((Math.random() * 2) - 1);
+  return Math.max(0, Math.round(delay + spread));
+}
+
+/**
+ * Invokes a promise-returning function until it resolves, the error is not retryable,
+ * or the maximum number of attempts is reached. The last error is rejected with an
+ * `attempts` property holding the number of attempts that were made.
+ * @param {Function} fn
+ * @param {Object|null} policy
+ * @returns {Promise}
+ */
+function withRetry(fn, policy) {
+  const maxAttempts = policy ? policy.maxAttempts : 1;
+
+  const attempt = (count) => {
+    return fn().catch(error => {
+      if (count >= maxAttempts || !isRetryable(error, policy)) {
+        error.attempts = count;
+        throw error;
+      }
+
+      const delay = getDelay(count, policy);
+      return new Promise(resolve => setTimeout(resolve, delay))
+        .then(() => attempt(count + 1));
+    });
+  };
+
+  return attempt(1);
+}
+
+module.exports = {
+  DEFAULTS,
+  createRetryPolicy,
+  isRetryable,
+  getDelay,
+  withRetry
+};
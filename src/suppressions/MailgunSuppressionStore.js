@@ -0,0 +1,90 @@
+const mailgun = require('mailgun-js');
+const SuppressionStore = require('./SuppressionStore');
+const { ConfigurationError } = require('../errors');
+
+// Mailgun's suppression lists, by the reason of their entries, in the order they are looked up
+const LISTS = {
+  bounce: 'bounces',
+  complaint: 'complaints',
+  unsubscribe: 'unsubscribes'
+};
+
+/**
+ * SuppressionStore backed by the bounces, complaints and unsubscribes lists of a Mailgun domain,
+ * which Mailgun fills by itself. Unsubscribes only count if they are not limited to some tags.
+ */
+class MailgunSuppressionStore extends SuppressionStore {
+  /**
+   * @param {Object} options
+   * - apiKey, domain, host: as for the adapter
+   * - mailgun: optional mailgun-js client to use instead
+   */
+  constructor(options) {
+    options = options || {};
+    const { apiKey, domain, host } = options;
+    if (!domain || (!apiKey && !options.mailgun)) {
+      throw new ConfigurationError('The MailgunSuppressionStore requires an API key and a domain.');
+    }
+
+    super();
+    this.domain = domain;
+    this.mailgun = options.mailgun || mailgun({ apiKey, domain, host });
+  }
+
+  find(address) {
+    const reasons = Object.keys(LISTS);
+    return Promise.all(reasons.map(reason => this._request('get', `/${LISTS[reason]}/${encodeURIComponent(address)}`)))
+      .then(bodies => {
+        const index = bodies.findIndex((body, i) => {
+          // Unsubscribes from some tags only do not suppress other emails
+          return body && (reasons[i] !== 'unsubscribe' || !Array.isArray(body.tags) || body.tags.indexOf('*') !== -1);
+        });
+        if (index === -1) {
+          return null;
+        }
+        const createdAt = Date.parse(bodies[index].created_at);
+        return { address, reason: reasons[index], createdAt: isNaN(createdAt) ? undefined : createdAt };
+      });
+  }
+
+  add(entry) {
+    const list = LISTS[entry.reason];
+    if (!list) {
+      return Promise.reject(new Error(`Unknown suppression reason ${entry.reason}`));
+    }
+    const data = { address: entry.address };
+    if (entry.reason === 'unsubscribe') {
+      data.tag = '*';
+    }
+    return this._request('post', `/${list}`, data).then(() => undefined);
+  }
+
+  remove(address) {
+    const reasons = Object.keys(LISTS);
+    return Promise.all(reasons.map(reason => this._request('delete', `/${LISTS[reason]}/${encodeURIComponent(address)}`)))
+      .then(() => undefined);
+  }
+
+  /**
+   * Sends a request to the domain's API. Addresses that are not on a list are not an error.
+   * @param {String} method
+   * @param {String} path relative to the domain
+   * @param {Object} [data]
+   * @returns {Promise} resolves with the body, or null if Mailgun responded with 404
+   */
+  _request(method, path, data) {
+    return new Promise((resolve, reject) => {
+      this.mailgun[method](`/${this.domain}${path}`, data || {}, (error, body) => {
+        if (error && error.statusCode === 404) {
+          return resolve(null);
+        }
+        if (error) {
+          return reject(error);
+        }
+        resolve(body);
+      });
+    });
+  }
+}
+
+module.exports = MailgunSuppressionStore;
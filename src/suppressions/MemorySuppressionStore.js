@@ -0,0 +1,30 @@
+const SuppressionStore = require('./SuppressionStore');
+
+/**
+ * SuppressionStore that keeps its entries in memory.
+ * Entries do not survive a restart of the process, use the ParseSuppressionStore,
+ * the MailgunSuppressionStore or a database-backed store for that.
+ */
+class MemorySuppressionStore extends SuppressionStore {
+  constructor() {
+    super();
+    this.entries = new Map();
+  }
+
+  find(address) {
+    const entry = this.entries.get(address);
+    return Promise.resolve(entry ? Object.assign({}, entry) : null);
+  }
+
+  add(entry) {
+    this.entries.set(entry.address, Object.assign({}, entry));
+    return Promise.resolve();
+  }
+
+  remove(address) {
+    this.entries.delete(address);
+    return Promise.resolve();
+  }
+}
+
+module.exports = MemorySuppressionStore;
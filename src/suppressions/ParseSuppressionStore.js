@@ -0,0 +1,66 @@
+const SuppressionStore = require('./SuppressionStore');
+const { ConfigurationError } = require('../errors');
+
+/**
+ * SuppressionStore that keeps its entries in a Parse class, with the fields
+ * address, reason and suppressedAt.
+ */
+class ParseSuppressionStore extends SuppressionStore {
+  /**
+   * @param {Object} [options]
+   * - Parse: the Parse SDK (defaults to the global Parse object available in cloud code)
+   * - className: name of the Parse class (default: 'EmailSuppression')
+   */
+  constructor(options) {
+    options = options || {};
+    const Parse = options.Parse || global.Parse;
+    if (!Parse || typeof Parse.Query !== 'function' || typeof Parse.Object !== 'function') {
+      throw new ConfigurationError('The ParseSuppressionStore requires the Parse SDK.');
+    }
+
+    super();
+    this.Parse = Parse;
+    this.className = options.className || 'EmailSuppression';
+  }
+
+  find(address) {
+    return this._first(address).then(object => {
+      if (!object) {
+        return null;
+      }
+      const suppressedAt = object.get('suppressedAt');
+      return {
+        address,
+        reason: object.get('reason'),
+        createdAt: suppressedAt instanceof Date ? suppressedAt.getTime() : undefined
+      };
+    });
+  }
+
+  add(entry) {
+    return this._first(entry.address).then(object => {
+      object = object || new this.Parse.Object(this.className);
+      return object.save({
+        address: entry.address,
+        reason: entry.reason,
+        suppressedAt: new Date(entry.createdAt || Date.now())
+      }, { useMasterKey: true });
+    }).then(() => undefined);
+  }
+
+  remove(address) {
+    return this._first(address).then(object => {
+      if (object) {
+        return object.destroy({ useMasterKey: true });
+      }
+    }).then(() => undefined);
+  }
+
+  _first(address) {
+    const query = new this.Parse.Query(this.className);
+    query.equalTo('address', address);
+    return query.first({ useMasterKey: true });
+  }
+}
+
+module.exports = ParseSuppressionStore;
@@ -0,0 +1,44 @@
+/*
+  Suppression store prototype
+  A SuppressionStore keeps the addresses that must not receive emails anymore, because
+  they bounced, complained or unsubscribed. Stores backed by a database should implement
+  all of the methods below, each of them returning a Promise.
+  An entry has the properties:
+  - address: the email address, in lower case
+  - reason: 'bounce', 'complaint' or 'unsubscribe'
+  - createdAt: timestamp (ms) at which the address was suppressed
+ */
+class SuppressionStore {
+  /*
+   * Looks up an address
+   * @param {String} address in lower case
+   * @returns {Promise} resolves with the entry, or null if the address is not suppressed
+   */
+  find(address) { // eslint-disable-line no-unused-vars
+    return notImplemented('find');
+  }
+
+  /*
+   * Adds an address, or replaces its entry
+   * @param {Object} entry
+   * @returns {Promise}
+   */
+  add(entry) { // eslint-disable-line no-unused-vars
+    return notImplemented('add');
+  }
+
+  /*
+   * Removes an address, e.g. after the user fixed their mailbox
+   * @param {String} address in lower case
+   * @returns {Promise}
+   */
+  remove(address) { // eslint-disable-line no-unused-vars
+    return notImplemented('remove');
+  }
+}
+
+function notImplemented(method) {
+  return Promise.reject(new Error(`SuppressionStore.${method}() is not implemented`));
+}
+
+module.exports = SuppressionStore;
@@ -0,0 +1,57 @@
+const SuppressionStore = require('./SuppressionStore');
+const MemorySuppressionStore = require('./MemorySuppressionStore');
+const ParseSuppressionStore = require('./ParseSuppressionStore');
+const MailgunSuppressionStore = require('./MailgunSuppressionStore');
+
+// Reasons for which an address is suppressed
+const REASONS = ['bounce', 'complaint', 'unsubscribe'];
+
+/**
+ * Extracts the addresses of a recipient field, such as 'Name <user@example.com>, other@example.com',
+ * in lower case
+ * @param {String} recipients
+ * @returns {Array}
+ */
+function parseAddresses(recipients) {
+  return String(recipients || '').split(',')
+    .map(recipient => {
+      const match = /<([^<>]+)>/.exec(recipient);
+      return (match ? match[1] : recipient).trim().toLowerCase();
+    })
+    .filter(address => address);
+}
+
+/**
+ * The suppression entry for a webhook event: permanent failures, complaints and unsubscribes
+ * @param {Object} event as passed to the webhook callbacks
+ * @returns {Object} the entry, or null if the event does not suppress the recipient
+ */
+function fromWebhookEvent(event) {
+  let reason = null;
+  if (event.type === 'failed' && event.severity === 'permanent') {
+    reason = 'bounce';
+  } else if (event.type === 'complained') {
+    reason = 'complaint';
+  } else if (event.type === 'unsubscribed') {
+    reason = 'unsubscribe';
+  }
+  if (!reason || typeof event.recipient !== 'string') {
+    return null;
+  }
+  const createdAt = event.timestamp instanceof Date ? event.timestamp.getTime() : NaN;
+  return {
+    address: parseAddresses(event.recipient)[0],
+    reason,
+    createdAt: isNaN(createdAt) ? Date.now() : createdAt
+  };
+}
+
+module.exports = {
+  REASONS,
+  parseAddresses,
+  fromWebhookEvent,
+  SuppressionStore,
+  MemorySuppressionStore,
+  ParseSuppressionStore,
+  MailgunSuppressionStore
+};
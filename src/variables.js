@@ -0,0 +1,148 @@
+const Mustache = require('mustache');
+
+// Maximum nesting depth of partials that are searched for variables
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Looks up a variable, which may have a dotted name, in the template variables
+ * @param {Object} view
+ * @param {String} name
+ * @returns {*}
+ */
+function lookup(view, name) {
+  return name.split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key];
+  }, view);
+}
+
+/**
+ * Parses a template into Mustache's tokens. Unlike Mustache.parse(), the tokens are not kept
+ * in Mustache's global cache, which would otherwise grow with every subject and rendered body.
+ * @param {String} template
+ * @returns {Array}
+ */
+function parseTemplate(template) {
+  return new Mustache.Writer().parse(template);
+}
+
+/**
+ * Lists the variables that a template always renders, i.e. the tags outside of sections,
+ * including those of the partials it uses. Tags inside sections are left out, because
+ * sections are often used for optional content and are rendered with their own context.
+ * @param {String} template
+ * @param {Object} [partials]
+ * @param {Number} [depth] nesting depth of partials
+ * @returns {Array}
+ */
+function getTemplateVariables(template, partials, depth) {
+  let tokens;
+  try {
+    tokens = parseTemplate(template);
+  } catch (e) {
+    // The error is reported when the template is rendered
+    return [];
+  }
+
+  const names = [];
+  const add = name => {
+    if (name !== '.' && names.indexOf(name) === -1) {
+      names.push(name);
+    }
+  };
+  tokens.forEach(token => {
+    const type = token[0];
+    if (type === 'name' || type === '&') {
+      add(token[1]);
+    } else if (type === '>' && partials && typeof partials[token[1]] === 'string' && (depth || 0) < MAX_PARTIAL_DEPTH) {
+      getTemplateVariables(partials[token[1]], partials, (depth || 0) + 1).forEach(add);
+    }
+  });
+  return names;
+}
+
+/**
+ * Lists the variables that are missing or empty
+ * @param {Array} names
+ * @param {Object} view
+ * @returns {Array}
+ */
+function findMissingVariables(names, view) {
+  return names.filter(name => {
+    const value = lookup(view, name);
+    return value === undefined || value === null || value === '';
+  });
+}
+
+/**
+ * Mustache writer that takes the tokens of partials from a cache of compiled templates,
+ * instead of parsing them again for every render, and that can leave values unescaped
+ */
+class TemplateWriter extends Mustache.Writer {
+  /**
+   * @param {Object} [options] { compile, escape }, where compile(source) returns the compiled
+   * template { source, tokens } and escape is false to render {{tags}} without HTML-escaping
+   */
+  constructor(options) {
+    super();
+    this.compile = options && options.compile;
+    this.escape = !options || options.escape !== false;
+  }
+
+  parse(template, tags) {
+    return this.compile && !tags ? this.compile(template).tokens : super.parse(template, tags);
+  }
+
+  escapedValue(token, context) {
+    return this.escape ? super.escapedValue(token, context) : super.unescapedValue(token, context);
+  }
+}
+
+/**
+ * Mustache writer that collects the names of the tags that could not be resolved
+ */
+class StrictWriter extends TemplateWriter {
+  constructor(options) {
+    super(options);
+    this.unresolved = [];
+  }
+
+  escapedValue(token, context) {
+    this._check(token, context);
+    return super.escapedValue(token, context);
+  }
+
+  unescapedValue(token, context) {
+    this._check(token, context);
+    return super.unescapedValue(token, context);
+  }
+
+  _check(token, context) {
+    const value = context.lookup(token[1]);
+    if ((value === undefined || value === null) && this.unresolved.indexOf(token[1]) === -1) {
+      this.unresolved.push(token[1]);
+    }
+  }
+}
+
+/**
+ * Renders a template like Mustache.render(), and also reports the tags that could not be resolved
+ * @param {String} template
+ * @param {Object} view
+ * @param {Object} [partials]
+ * @param {Array} [tokens] the parsed template
+ * @param {Object} [options] options of the TemplateWriter
+ * @returns {Object} { output, unresolved }
+ */
+function renderStrict(template, view, partials, tokens, options) {
+  const writer = new StrictWriter(options);
+  const output = writer.renderTokens(tokens || writer.parse(template), new Mustache.Context(view), partials, template);
+  return { output, unresolved: writer.unresolved };
+}
+
+module.exports = {
+  TemplateWriter,
+  parseTemplate,
+  getTemplateVariables,
+  findMissingVariables,
+  renderStrict
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { ConfigurationError } = require('./errors');
+const suppressions = require('./suppressions');
+const history = require('./history');
+
+// Maximum size of a webhook request body that is read by the handler
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Events that are passed to the callbacks, with the name of their callback
+const CALLBACKS = {
+  delivered: 'onDelivered',
+  failed: 'onFailed',
+  complained: 'onComplained',
+  unsubscribed: 'onUnsubscribed',
+  opened: 'onOpened',
+  clicked: 'onClicked'
+};
+
+// Events of Mailgun's legacy webhooks that are reported as failed deliveries
+const LEGACY_FAILURES = ['bounced', 'dropped'];
+
+/**
+ * Checks the signature of a webhook request, which is the HMAC-SHA256 of the timestamp
+ * and the token, using the webhook signing key of the Mailgun account
+ * @param {String} signingKey
+ * @param {Object} signature { timestamp, token, signature }
+ * @returns {Boolean}
+ */
+function verifySignature(signingKey, signature) {
+  if (!signature || !signature.timestamp || typeof signature.token !== 'string' || typeof signature.signature !== 'string') {
+    return false;
+  }
+  const expected = crypto.createHmac('sha256', signingKey)
+    .update(`${signature.timestamp}${signature.token}`)
+    .digest('hex');
+  const actual = Buffer.from(signature.signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, Buffer.from(expected));
+}
+
+/**
+ * The signature of a webhook body. Current webhooks send it as the `signature` object,
+ * legacy webhooks as separate fields.
+ * @param {Object} body
+ * @returns {Object} { timestamp, token, signature }
+ */
+function getSignature(body) {
+  if (body.signature && typeof body.signature === 'object') {
+    return body.signature;
+  }
+  return { timestamp: body.timestamp, token: body.token, signature: body.signature };
+}
+
+/**
+ * Turns the body of a webhook request into an event
+ * @param {Object} body
+ * @returns {Object} { type, id, recipient, timestamp, messageId, severity, reason, description, url, tags, variables, data },
+ * or null if the body does not describe an event
+ */
+function parseEvent(body) {
+  const data = body['event-data'];
+  if (data && typeof data === 'object') {
+    const headers = (data.message && data.message.headers) || {};
+    const status = data['delivery-status'] || {};
+    return {
+      type: data.event,
+      id: data.id,
+      recipient: data.recipient,
+      timestamp: new Date(data.timestamp * 1000),
+      messageId: headers['message-id'],
+      severity: data.severity,
+      reason: data.reason,
+      description: status.description || status.message,
+      url: data.url,
+      tags: data.tags || [],
+      variables: data['user-variables'] || {},
+      data
+    };
+  }
+
+  if (typeof body.event !== 'string') {
+    return null;
+  }
+  const failed = LEGACY_FAILURES.indexOf(body.event) !== -1;
+  const messageId = body['message-id'] || body['Message-Id'];
+  return {
+    type: failed ? 'failed' : body.event,
+    id: undefined,
+    recipient: body.recipient,
+    timestamp: new Date(Number(body.timestamp) * 1000),
+    messageId: history.toMessageId(messageId),
+    severity: failed ? 'permanent' : undefined,
+    reason: body.reason,
+    description: body.error || body.description,
+    url: body.url,
+    tags: [].concat(body.tag || []),
+    variables: {},
+    data: body
+  };
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parses a raw request body, as JSON or as a URL-encoded form
+ * @param {String} text
+ * @param {String} [contentType]
+ * @returns {Object}
+ */
+function parseBody(text, contentType) {
+  if (/urlencoded/i.test(contentType || '')) {
+    return querystring.parse(text);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, 'The body is not valid JSON');
+  }
+}
+
+/**
+ * The body of a request. A body that was parsed by a body parser middleware is used as it is,
+ * otherwise the request is read.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise} resolves with an object
+ */
+function readBody(req) {
+  const contentType = req.headers && req.headers['content-type'];
+  const { body } = req;
+  if (body && typeof body === 'object' && !Buffer.isBuffer(body)) {
+    return Promise.resolve(body);
+  }
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    return Promise.resolve().then(() => parseBody(body.toString('utf8'), contentType));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(httpError(413, 'The body is too large'));
+        req.removeAllListeners('data');
+        req.resume();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(parseBody(Buffer.concat(chunks).toString('utf8'), contentType));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function storeSuppression(store, event) {
+  const entry = store ? suppressions.fromWebhookEvent(event) : null;
+  return entry ? store.add(entry) : undefined;
+}
+
+function updateHistory(sink, event) {
+  const changes = sink ? history.fromWebhookEvent(event) : null;
+  return changes ? sink.update({ messageId: event.messageId }, changes) : undefined;
+}
+
+function respond(res, status, text) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end(text);
+}
+
+/**
+ * Creates a request handler for Mailgun's webhooks, which can be used as an Express middleware
+ * or with a plain http server. It verifies the signature of every request and passes the events
+ * to the callbacks. Mailgun retries the webhook if a callback fails.
+ * @param {Object} options
+ * - signingKey: the webhook signing key of the Mailgun account
+ * - onDelivered, onFailed, onComplained, onUnsubscribed, onOpened, onClicked: optional functions(event)
+ *   that may return a Promise
+ * - onEvent: optional function(event), invoked for every event after the callback of its type
+ * - maxAge: optional, rejects requests whose signature is older than this number of seconds
+ * - onError: optional function(error), invoked when a callback fails, defaults to console.error
+ * - suppressions: optional SuppressionStore, to which the recipients of permanent failures,
+ *   complaints and unsubscribes are added before the callbacks are invoked
+ * - history: optional HistorySink, whose entries are updated with the events before the callbacks are invoked
+ * @returns {Function} function(req, res)
+ */
+function createWebhookHandler(options) {
+  if (!options || typeof options.signingKey !== 'string' || !options.signingKey) {
+    throw new ConfigurationError('The webhook handler requires the signingKey of the Mailgun account.');
+  }
+  const names = Object.keys(CALLBACKS).map(type => CALLBACKS[type]).concat(['onEvent', 'onError']);
+  const invalid = names.find(name => options[name] !== undefined && typeof options[name] !== 'function');
+  if (invalid) {
+    throw new ConfigurationError(`The webhook handler option ${invalid} is not a function.`);
+  }
+  const { signingKey, maxAge } = options;
+  if (maxAge !== undefined && (typeof maxAge !== 'number' || !(maxAge > 0))) {
+    throw new ConfigurationError('The webhook handler option maxAge must be a positive number of seconds.');
+  }
+  const store = options.suppressions;
+  if (store !== undefined && (!store || typeof store.add !== 'function')) {
+    throw new ConfigurationError('The webhook handler option suppressions is not a SuppressionStore.');
+  }
+  const historySink = options.history;
+  if (historySink !== undefined && (!historySink || typeof historySink.update !== 'function')) {
+    throw new ConfigurationError('The webhook handler option history is not a HistorySink.');
+  }
+  const onError = options.onError || (error => console.error(error));
+
+  return function mailgunWebhook(req, res) {
+    return readBody(req)
+      .then(body => {
+        if (!body || typeof body !== 'object') {
+          return respond(res, 400, 'Missing event');
+        }
+        const signature = getSignature(body);
+        if (!verifySignature(signingKey, signature)) {
+          return respond(res, 401, 'Invalid signature');
+        }
+        if (maxAge && Math.abs(Date.now() - (Number(signature.timestamp) * 1000)) > maxAge * 1000) {
+          return respond(res, 401, 'Expired signature');
+        }
+
+        const event = parseEvent(body);
+        if (!event) {
+          return respond(res, 400, 'Missing event');
+        }
+        if (!CALLBACKS.hasOwnProperty(event.type)) {
+          return respond(res, 200, 'Ignored');
+        }
+
+        const callback = options[CALLBACKS[event.type]];
+        return Promise.all([
+          storeSuppression(store, event),
+          updateHistory(historySink, event)
+        ])
+          .then(() => callback && callback(event))
+          .then(() => options.onEvent && options.onEvent(event))
+          .then(() => respond(res, 200, 'OK'), error => {
+            // Mailgun gets its answer even if onError fails
+            respond(res, 500, 'Could not process the event');
+            return Promise.resolve()
+              .then(() => onError(error))
+              .catch(handlerError => console.error(handlerError));
+          });
+      }, error => respond(res, error.status || 400, error.message));
+  };
+}
+
+module.exports = {
+  verifySignature,
+  parseEvent,
+  createWebhookHandler
+};
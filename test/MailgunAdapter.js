@@ -1,8 +1,13 @@
 const expect = require('chai').expect;
 const sinon = require('sinon');
+const Mustache = require('mustache');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const MailgunAdapter = require('../src/MailgunAdapter');
+const { OutboxWorker } = require('../src/outbox');
+const { ConfigurationError, RecipientError, RenderingError, TemplateError, TransportError, AttachmentError } = require('../src/errors');
+const { replyWithPayload, stubTransport } = require('./helpers');
 
 // Mock Parse.User object
 const Parse = {
@@ -142,6 +147,16 @@ describe('MailgunAdapter', function () {
             expect(throwsError.bind(null, test_6)).to.throw('MailgunAdapter template callback is not a function.');
         });
 
+        it('should throw a ConfigurationError for an invalid configuration', function () {
+            expect(throwsError.bind(null, undefined)).to.throw(ConfigurationError);
+            expect(throwsError.bind(null, { apiKey: '.', domain: '.', fromAddress: '.' })).to.throw(ConfigurationError);
+        });
+
+        it('should fail if the onError option is not a function', function () {
+            const options = Object.assign({}, config, { onError: 'log' });
+            expect(throwsError.bind(null, options)).to.throw(ConfigurationError, 'MailgunAdapter onError option is not a function.');
+        });
+
         it('should succeed with properly configured templates option', function (done) {
             try {
                 const adapter = new MailgunAdapter({
@@ -264,8 +279,9 @@ describe('MailgunAdapter', function () {
             const subject = 'Custom email alert';
             const variables = { appName: 'AwesomeApp', username: 'test' };
             const extra = {};
-            const options = { templateName, subject, fromAddress, recipient, variables, extra };
-            const expectedArguments = { templateName, subject, fromAddress, recipient, variables, extra, direct: true };
+            const locale = 'en';
+            const options = { templateName, subject, fromAddress, recipient, variables, extra, locale };
+            const expectedArguments = { templateName, subject, fromAddress, recipient, variables, extra, locale, attachments: undefined, inlineImages: undefined, mailgunOptions: undefined, sendAt: undefined, direct: true };
 
             const promise = adapter.send(options);
             expect(promise).to.be.an.instanceof(Promise);
@@ -288,8 +304,9 @@ describe('MailgunAdapter', function () {
             const subject = 'Custom email alert';
             const variables = { appName: 'AwesomeApp', username: 'test' };
             const extra = {};
-            const options = { templateName, subject, fromAddress, recipient, variables, extra };
-            const expectedArguments = { templateName, subject, fromAddress, recipient, variables, extra, direct: true };
+            const locale = 'en';
+            const options = { templateName, subject, fromAddress, recipient, variables, extra, locale };
+            const expectedArguments = { templateName, subject, fromAddress, recipient, variables, extra, locale, attachments: undefined, inlineImages: undefined, mailgunOptions: undefined, sendAt: undefined, direct: true };
 
             const promise = adapter.send(options);
 
@@ -304,29 +321,190 @@ describe('MailgunAdapter', function () {
         });
     });
 
+    describe('#sendMail()', function () {
+        it('should reject if invoked without a recipient', function (done) {
+            const adapter = new MailgunAdapter(config);
+            adapter.sendMail({ subject: 'Hello', text: 'Hello world' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(RecipientError);
+                    expect(error.message).to.equal('Cannot send email without a recipient');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should pass a missing recipient to onError', function (done) {
+            const onError = sinon.spy();
+            const adapter = new MailgunAdapter(Object.assign({}, config, { onError }));
+            adapter.sendMail({ subject: 'Hello', text: 'Hello world' })
+                .then(result => {
+                    expect(result).to.equal(undefined);
+                    sinon.assert.calledOnce(onError);
+                    expect(onError.firstCall.args[0].message).to.equal('Cannot send email without a recipient');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send a plain-text email through sendMime', function (done) {
+            const adapter = new MailgunAdapter(config);
+            adapter.mailgun.messages = () => {
+                return {
+                    sendMime(payload, callback) {
+                        callback(null, payload);
+                    }
+                }
+            }
+
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hello', text: 'Hello world' })
+                .then(payload => {
+                    expect(payload.to).to.equal('foo@bar.com');
+                    expect(payload.message).to.match(/Subject: Hello/);
+                    expect(payload.message).to.match(/Hello world/);
+                    expect(payload.message).to.not.match(/text\/html/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should include the html version when provided', function (done) {
+            const adapter = new MailgunAdapter(config);
+            adapter.mailgun.messages = () => {
+                return {
+                    sendMime(payload, callback) {
+                        callback(null, payload);
+                    }
+                }
+            }
+
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hello', text: 'Hello world', html: '<b>Hello world</b>' })
+                .then(payload => {
+                    expect(payload.message).to.match(/Content-Type: text\/html/);
+                    expect(payload.message).to.match(/<b>Hello world<\/b>/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should render the message with the sendMail template when configured', function (done) {
+            const _config = Object.assign({}, config, {
+                templates: Object.assign({}, config.templates, {
+                    sendMail: {
+                        subject: 'Fallback subject',
+                        pathPlainText: path.join(__dirname, 'email-templates/custom_email.txt')
+                    }
+                })
+            });
+            const adapter = new MailgunAdapter(_config);
+            adapter.mailgun.messages = () => {
+                return {
+                    sendMime(payload, callback) {
+                        callback(null, payload);
+                    }
+                }
+            }
+            const _sendMail = sinon.spy(adapter, '_sendMail');
+
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hello', text: 'Hello world' })
+                .then(payload => {
+                    sinon.assert.calledWithMatch(_sendMail, {
+                        templateName: 'sendMail',
+                        recipient: 'foo@bar.com',
+                        variables: { text: 'Hello world', subject: 'Hello' },
+                        direct: true
+                    });
+                    expect(payload.message).to.match(/Subject: Hello/);
+                    expect(payload.message).to.match(/The AwesomeApp Team/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a TransportError when sending fails', function (done) {
+            const adapter = new MailgunAdapter(config);
+            adapter.mailgun.messages = () => {
+                return {
+                    sendMime(payload, callback) {
+                        const error = new Error('Sending email failed');
+                        error.statusCode = 500;
+                        callback(error);
+                    }
+                }
+            }
+
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hello', text: 'Hello world' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(TransportError);
+                    expect(error.message).to.equal('Sending email failed');
+                    expect(error.status).to.equal(500);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
     describe('#_sendMail', function () {
-        it('should throw an exception if invoked with missing template name', function() {
+        it('should reject if invoked with missing template name', function(done) {
             const adapter = new MailgunAdapter(config);
-            expect(adapter._sendMail.bind(adapter, {}))
-                .to.throw('Invalid options object: missing templateName');
+            adapter._sendMail({})
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(TemplateError);
+                    expect(error.message).to.equal('Invalid options object: missing templateName');
+                    done();
+                })
+                .catch(done);
         });
 
-        it('should throw an exception if the template name is not defined in the configuration', function() {
+        it('should reject if the template name is not defined in the configuration', function(done) {
             const adapter = new MailgunAdapter(config);
-            expect(adapter._sendMail.bind(adapter, { templateName: 'foo' }))
-                .to.throw('Could not find template with name foo');
+            adapter._sendMail({ templateName: 'foo' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error.message).to.equal('Could not find template with name foo');
+                    done();
+                })
+                .catch(done);
         });
 
-        it('should throw an exception if the template name is not defined in the configuration', function() {
+        it('should reject if the template name of a direct call is not defined in the configuration', function(done) {
             const adapter = new MailgunAdapter(config);
-            expect(adapter._sendMail.bind(adapter, { templateName: 'foo', direct: true }))
-                .to.throw('Could not find template with name foo');
+            adapter._sendMail({ templateName: 'foo', direct: true })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error.message).to.equal('Could not find template with name foo');
+                    expect(error.templateName).to.equal('foo');
+                    done();
+                })
+                .catch(done);
         });
 
-        it('should throw an exception if recipient is undefined', function() {
+        it('should reject if recipient is undefined', function(done) {
             const adapter = new MailgunAdapter(config);
-            expect(adapter._sendMail.bind(adapter, { templateName: 'customAlert', direct: true }))
-                .to.throw('Cannot send email with template customAlert without a recipient');
+            adapter._sendMail({ templateName: 'customAlert', direct: true })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(RecipientError);
+                    expect(error.message).to.equal('Cannot send email with template customAlert without a recipient');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should pass invalid options to onError', function(done) {
+            const onError = sinon.spy();
+            const adapter = new MailgunAdapter(Object.assign({}, config, { onError }));
+            adapter.send({ templateName: 'customAlert' })
+                .then(result => {
+                    expect(result).to.equal(undefined);
+                    sinon.assert.calledOnce(onError);
+                    expect(onError.firstCall.args[0]).to.be.instanceof(RecipientError);
+                    expect(onError.firstCall.args[0].templateName).to.equal('customAlert');
+                    done();
+                })
+                .catch(done);
         });
 
         it('should catch exceptions thrown during mail generation', function(done) {
@@ -343,17 +521,19 @@ describe('MailgunAdapter', function () {
                 appName: 'AwesomeApp'
             }
 
-            sinon.stub(console, 'error').callsFake((error) => {
-                expect(error.message).to.equal('Composing message failed');
-                adapter.mailcomposer.restore();
-                console.error.restore();
-                done();
-            });
-
-            adapter._sendMail(options);
+            adapter._sendMail(options)
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RenderingError);
+                    expect(error.message).to.equal('Composing message failed');
+                    expect(error.templateName).to.equal('passwordResetEmail');
+                    adapter.mailcomposer.restore();
+                    done();
+                })
+                .catch(done);
         });
 
-        it('should log exceptions thrown during mail generation (direct: true)', function(done) {
+        it('should reject with exceptions thrown during mail generation (direct: true)', function(done) {
             const adapter = new MailgunAdapter(config);
             sinon.stub(adapter, 'mailcomposer').callsFake(() => {
                 return { build: (callback) => {
@@ -366,14 +546,85 @@ describe('MailgunAdapter', function () {
                 recipient: 'foo@bar.com'
             }
 
-            sinon.stub(console, 'error').callsFake((error) => {
-                expect(error.message).to.equal('Composing message failed');
-                adapter.mailcomposer.restore();
-                console.error.restore();
-                done();
+            adapter._sendMail(options)
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RenderingError);
+                    expect(error.message).to.equal('Composing message failed');
+                    expect(error.templateName).to.equal('customAlert');
+                    adapter.mailcomposer.restore();
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a TemplateError if a template file is missing', function(done) {
+            const adapter = new MailgunAdapter({
+                apiKey: '.', domain: '.', fromAddress: '.',
+                templates: {
+                    missingTemplate: {
+                        subject: 'Missing',
+                        pathPlainText: path.join(__dirname, 'email-templates/foo.txt')
+                    }
+                }
             });
 
-            adapter._sendMail(options);
+            adapter._sendMail({ templateName: 'missingTemplate', direct: true, recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(TemplateError);
+                    expect(error.templateName).to.equal('missingTemplate');
+                    expect(error.code).to.equal('ENOENT');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a RecipientError if Mailgun rejects the recipient', function(done) {
+            const adapter = new MailgunAdapter(config);
+            adapter.mailgun.messages = () => {
+                return {
+                    sendMime(payload, callback) {
+                        const error = new Error("'to' parameter is not a valid address. please check documentation");
+                        error.statusCode = 400;
+                        callback(error);
+                    }
+                }
+            }
+
+            adapter._sendMail({ templateName: 'customAlert', direct: true, recipient: 'foo' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RecipientError);
+                    expect(error.status).to.equal(400);
+                    expect(error.recipient).to.equal('foo');
+                    expect(error.templateName).to.equal('customAlert');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should pass errors to the onError hook and resolve when configured', function(done) {
+            const onError = sinon.spy();
+            const adapter = new MailgunAdapter(Object.assign({}, config, { onError }));
+            adapter.mailgun.messages = () => {
+                return {
+                    sendMime(payload, callback) {
+                        callback(new Error('Sending email failed'));
+                    }
+                }
+            }
+
+            adapter._sendMail({ templateName: 'customAlert', direct: true, recipient: 'foo@bar.com' })
+                .then(result => {
+                    expect(result).to.be.undefined;
+                    sinon.assert.calledOnce(onError);
+                    const error = onError.firstCall.args[0];
+                    expect(error).to.be.an.instanceof(TransportError);
+                    expect(error.templateName).to.equal('customAlert');
+                    done();
+                })
+                .catch(done);
         });
     });
 
@@ -669,6 +920,1342 @@ describe('MailgunAdapter', function () {
         });
     });
 
+    describe('template variables and subjects', function () {
+        const options = {
+            apiKey: '.', domain: '.', fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+            templates: {
+                welcome: {
+                    subject: 'Welcome to {{appName}}, {{username}}',
+                    text: 'Hi {{username}}, thanks for using {{appName}}.',
+                    variables: { appName: 'AwesomeApp', username: 'friend' }
+                },
+                verificationEmail: {
+                    subject: 'Confirm your {{appName}} account',
+                    text: '{{greeting}} {{username}}: {{{link}}}',
+                    variables: { greeting: 'Hello', appName: 'DefaultApp' },
+                    callback: () => ({ greeting: 'Howdy' })
+                }
+            }
+        };
+
+        it('should fail if the template variables are not an object', function () {
+            const _options = Object.assign({}, options, {
+                templates: { welcome: { subject: 'Welcome', text: 'Hi', variables: 'AwesomeApp' } }
+            });
+            expect(() => new MailgunAdapter(_options)).to.throw('MailgunAdapter template variables must be an object.');
+        });
+
+        it('should use the template variables as defaults for send()', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com', variables: { username: 'Tom & Jerry' } })
+                .then(payload => {
+                    expect(payload.message).to.match(/Subject: Welcome to AwesomeApp, Tom & Jerry/);
+                    expect(payload.message).to.match(/Hi Tom &amp; Jerry, thanks for using AwesomeApp\./);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send a subject passed to send() as it is', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com', subject: 'Use {{ to open a tag' })
+                .then(payload => {
+                    expect(payload.message).to.match(/Subject: Use {{ to open a tag/);
+                    expect(payload.message).to.match(/Hi friend, thanks for using AwesomeApp\./);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should let Parse Server variables and the callback override the template variables', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.sendVerificationEmail({ link: 'https://foo.com/?a=b', appName: 'AwesomeApp', user })
+                .then(payload => {
+                    expect(payload.message).to.match(/Subject: Confirm your AwesomeApp account/);
+                    expect(payload.message).to.match(/Howdy foo: https:\/\/foo\.com\/\?a=b/);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('partials and layouts', function () {
+        const templatesDir = path.join(__dirname, 'email-templates');
+        const options = {
+            apiKey: '.', domain: '.', fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+            partials: {
+                header: path.join(templatesDir, 'partials/header.txt'),
+                footer: {
+                    pathPlainText: path.join(templatesDir, 'partials/footer.txt'),
+                    pathHtml: path.join(templatesDir, 'partials/footer.html')
+                }
+            },
+            layout: {
+                pathPlainText: path.join(templatesDir, 'layouts/default.txt'),
+                pathHtml: path.join(templatesDir, 'layouts/default.html')
+            },
+            templates: {
+                notice: {
+                    subject: 'Notice',
+                    text: 'Your export is ready.',
+                    html: '<p>Your export is ready.</p>',
+                    variables: { appName: 'AwesomeApp' }
+                },
+                plain: {
+                    subject: 'Plain',
+                    text: '{{> header}}No layout here.',
+                    layout: false
+                }
+            }
+        };
+
+        it('should fail with invalid partials or layouts', function () {
+            expect(() => new MailgunAdapter(Object.assign({}, options, { partials: { header: 42 } })))
+                .to.throw(ConfigurationError, 'MailgunAdapter partials are not properly configured.');
+            expect(() => new MailgunAdapter(Object.assign({}, options, { partials: { body: 'body.txt' } })))
+                .to.throw(ConfigurationError, 'MailgunAdapter partials are not properly configured.');
+            expect(() => new MailgunAdapter(Object.assign({}, options, { layout: {} })))
+                .to.throw(ConfigurationError, 'MailgunAdapter layout is not properly configured.');
+            expect(() => new MailgunAdapter(Object.assign({}, options, {
+                templates: { notice: { subject: 'Notice', text: 'Hi', layout: true } }
+            }))).to.throw(ConfigurationError, 'MailgunAdapter layout is not properly configured.');
+        });
+
+        it('should render the template inside the layout with partials', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'notice', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(payload => {
+                    expect(payload.message).to.match(/Hi foo,\r?\n\r?\nYour export is ready\.\r?\n-- \r?\nThe AwesomeApp team/);
+                    expect(payload.message).to.match(/<body>\r?\n<p>Your export is ready\.<\/p><p>The AwesomeApp team<\/p>/);
+                    expect(Object.keys(adapter.partialCache)).to.have.lengthOf(5);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should parse the template, layout and partials only once', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+            const send = () => adapter.send({ templateName: 'notice', recipient: 'foo@bar.com', variables: { username: 'foo' } });
+            let parse;
+
+            send()
+                .then(() => {
+                    parse = sinon.spy(Mustache.Writer.prototype, 'parse');
+                    return send();
+                })
+                .then(payload => {
+                    parse.restore();
+                    expect(payload.message).to.match(/Your export is ready\./);
+                    sinon.assert.notCalled(parse);
+                    done();
+                })
+                .catch(error => {
+                    sinon.restore();
+                    done(error);
+                });
+        });
+
+        it('should not use the layout for templates that disable it', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'plain', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(payload => {
+                    expect(payload.message).to.match(/Hi foo,\r?\nNo layout here\./);
+                    expect(payload.message).not.to.match(/AwesomeApp team/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a TemplateError if a partial can not be loaded', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                partials: { header: path.join(templatesDir, 'partials/missing.txt') }
+            }));
+
+            adapter.send({ templateName: 'plain', recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(TemplateError);
+                    expect(error.templateName).to.equal('plain');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should clear the cached partials with the template cache', function () {
+            const adapter = new MailgunAdapter(options);
+            adapter.partialCache = { '/path/header.txt': 'Hi' };
+            adapter.clearTemplateCache('notice');
+            expect(adapter.partialCache).to.deep.equal({ '/path/header.txt': 'Hi' });
+            adapter.clearTemplateCache();
+            expect(adapter.partialCache).to.deep.equal({});
+        });
+    });
+
+    describe('generateText', function () {
+        const templatesDir = path.join(__dirname, 'email-templates');
+        const options = {
+            apiKey: '.', domain: '.', fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+            generateText: true,
+            templates: {
+                htmlOnly: {
+                    subject: 'HTML only',
+                    pathHtml: path.join(templatesDir, 'custom_email.html'),
+                    variables: { appName: 'AwesomeApp' }
+                },
+                inline: {
+                    subject: 'Inline',
+                    html: '<p>Hi {{username}}, <a href="{{{link}}}">confirm</a>.</p>'
+                },
+                withText: {
+                    subject: 'With text',
+                    text: 'Written by hand',
+                    html: '<p>Generated</p>'
+                }
+            }
+        };
+
+        function textPart(mime) {
+            return /Content-Type: text\/plain[\s\S]*?\r\n\r\n([\s\S]*?)\r\n------/.exec(mime)[1];
+        }
+
+        it('should fail with an invalid generateText setting', function () {
+            expect(() => new MailgunAdapter(Object.assign({}, options, { generateText: 'yes' })))
+                .to.throw(ConfigurationError, 'MailgunAdapter generateText must be a boolean or a function.');
+            expect(() => new MailgunAdapter(Object.assign({}, options, {
+                templates: { htmlOnly: Object.assign({}, options.templates.htmlOnly, { generateText: 'yes' }) }
+            }))).to.throw(ConfigurationError, 'MailgunAdapter generateText must be a boolean or a function.');
+        });
+
+        it('should require a plain-text template if generateText is not enabled', function () {
+            const _options = Object.assign({}, options, { generateText: undefined });
+            expect(() => new MailgunAdapter(_options)).to.throw(ConfigurationError, 'MailgunAdapter templates are not properly configured.');
+        });
+
+        it('should generate the plain-text version from the rendered html file', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'htmlOnly', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(payload => {
+                    expect(textPart(payload.message)).to.equal('Hi foo,\n\nThanks for using AwesomeApp.\n\nThe AwesomeApp Team\nhttps://awesomeapp.com');
+                    expect(payload.message).to.match(/Content-Type: text\/html/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should list the links of inline html templates as footnotes', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'inline', recipient: 'foo@bar.com', variables: { username: 'foo', link: 'https://foo.com/?a=b' } })
+                .then(payload => {
+                    expect(textPart(payload.message)).to.equal('Hi foo, confirm [1].\n\n[1] https://foo.com/?a=b');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should prefer an explicit plain-text template', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'withText', recipient: 'foo@bar.com' })
+                .then(payload => {
+                    expect(textPart(payload.message)).to.equal('Written by hand');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use a custom generator and let templates override the setting', function (done) {
+            const generateText = sinon.spy(html => html.replace(/<[^>]+>/g, ''));
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                generateText: false,
+                templates: { inline: Object.assign({}, options.templates.inline, { generateText }) }
+            }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'inline', recipient: 'foo@bar.com', variables: { username: 'foo', link: '#' } })
+                .then(payload => {
+                    sinon.assert.calledWith(generateText, '<p>Hi foo, <a href="#">confirm</a>.</p>');
+                    expect(textPart(payload.message)).to.equal('Hi foo, confirm.');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a RenderingError if the generator fails', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                generateText: () => {
+                    throw new Error('Invalid markup');
+                }
+            }));
+
+            adapter.send({ templateName: 'inline', recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RenderingError);
+                    expect(error.message).to.equal('Could not generate the plain-text version of inline: Invalid markup');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should generate the plain-text version for sendMail()', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hi', html: '<h1>Hello</h1>' })
+                .then(payload => {
+                    expect(textPart(payload.message)).to.equal('Hello\n=====');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('postProcess', function () {
+        const templatesDir = path.join(__dirname, 'email-templates');
+        const options = {
+            apiKey: '.', domain: '.', fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+            postProcess: {
+                stylesheet: path.join(templatesDir, 'styles/email.css'),
+                minify: true
+            },
+            templates: {
+                styled: {
+                    subject: 'Styled',
+                    text: 'Hi {{username}}',
+                    html: '<style>b { color: red }</style>\n<p>Hi <b>{{username}}</b></p>\n<a class="button" href="#">Go</a>\n'
+                },
+                unstyled: {
+                    subject: 'Unstyled',
+                    text: 'Hi',
+                    html: '<p>Hi</p>\n',
+                    postProcess: false
+                }
+            }
+        };
+
+        // Decodes the quoted-printable html part of a MIME string
+        function htmlPart(mime) {
+            return /Content-Type: text\/html[\s\S]*?\r\n\r\n([\s\S]*?)\r\n------/.exec(mime)[1]
+                .replace(/[=]\r\n/g, '')
+                .replace(/[=]([0-9A-F]{2})/g, (match, code) => String.fromCharCode(parseInt(code, 16)));
+        }
+
+        it('should fail with an invalid postProcess setting', function () {
+            expect(() => new MailgunAdapter(Object.assign({}, options, { postProcess: { minify: 'yes' } })))
+                .to.throw(ConfigurationError, 'MailgunAdapter postProcess is not properly configured.');
+            expect(() => new MailgunAdapter(Object.assign({}, options, { postProcess: { transforms: ['uppercase'] } })))
+                .to.throw(ConfigurationError, 'MailgunAdapter postProcess is not properly configured.');
+            expect(() => new MailgunAdapter(Object.assign({}, options, { postProcess: { inlineStyles: true } })))
+                .to.throw(ConfigurationError, 'MailgunAdapter postProcess is not properly configured.');
+        });
+
+        it('should inline the CSS and minify the rendered html', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'styled', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(payload => {
+                    expect(htmlPart(payload.message)).to.equal('<p style="margin: 20px 0">Hi <b style="color: red">foo</b></p>' +
+                        '<a class="button" href="#" style="color: #ffffff; background: #9c27b0">Go</a>');
+                    expect(adapter.partialCache).to.have.property(options.postProcess.stylesheet);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not post-process templates that disable it', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'unstyled', recipient: 'foo@bar.com' })
+                .then(payload => {
+                    expect(htmlPart(payload.message)).to.equal('<p>Hi</p>\n');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should run the transforms before mailcomposer', function (done) {
+            const transform = sinon.spy((html, context) => Promise.resolve(`${html}<img src="https://foo.com/open/${context.variables.username}">`));
+            const adapter = new MailgunAdapter(Object.assign({}, options, { postProcess: { transforms: [transform] } }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'styled', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(payload => {
+                    sinon.assert.calledWith(transform, sinon.match.string, sinon.match({ templateName: 'styled' }));
+                    expect(htmlPart(payload.message)).to.match(/<img src="https:\/\/foo\.com\/open\/foo">$/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a RenderingError if a transform fails', function (done) {
+            const transform = () => {
+                throw new Error('Broken');
+            };
+            const adapter = new MailgunAdapter(Object.assign({}, options, { postProcess: { transforms: [transform] } }));
+
+            adapter.send({ templateName: 'styled', recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RenderingError);
+                    expect(error.message).to.equal('HTML transform failed for styled: Broken');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should post-process the html of sendMail()', function (done) {
+            const adapter = new MailgunAdapter(options);
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hi', text: 'Hi', html: '<p>Hi</p>\n\n<p>there</p>' })
+                .then(payload => {
+                    expect(htmlPart(payload.message)).to.equal('<p style="margin: 20px 0">Hi</p><p style="margin: 20px 0">there</p>');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('#render()', function () {
+        it('should reject instead of throwing for invalid options', function (done) {
+            const adapter = new MailgunAdapter(config);
+            let calls;
+            try {
+                calls = [
+                    adapter.render({ templateName: 'nope' }),
+                    adapter.render({ templateName: 'customEmail', mailgunOptions: { tags: 42 } }),
+                    adapter.render()
+                ].map(promise => promise.then(() => null, error => error));
+            } catch (error) {
+                return done(error);
+            }
+
+            Promise.all(calls)
+                .then(errors => {
+                    expect(errors[0]).to.be.an.instanceof(TemplateError);
+                    expect(errors[0].message).to.equal('Could not find template with name nope');
+                    expect(errors[1]).to.be.an.instanceof(ConfigurationError);
+                    expect(errors[1].templateName).to.equal('customEmail');
+                    expect(errors[2]).to.be.an.instanceof(TemplateError);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should render a template without sending it', function (done) {
+            const adapter = new MailgunAdapter(config);
+            const sendMime = sinon.spy();
+            adapter.mailgun.messages = () => ({ sendMime });
+
+            adapter.render({ templateName: 'customEmail', variables: { username: 'foo', appName: 'AwesomeApp' } })
+                .then(rendered => {
+                    sinon.assert.notCalled(sendMime);
+                    expect(rendered).to.have.all.keys('subject', 'text', 'html', 'mime');
+                    expect(rendered.subject).to.equal('Test custom email template');
+                    expect(rendered.text).to.match(/^Hi foo,/);
+                    expect(rendered.html).to.match(/Thanks for using AwesomeApp\./);
+                    expect(rendered.mime).to.match(/Subject: Test custom email template/);
+                    expect(rendered.mime).not.to.match(/\r\nTo:/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should render a template like Parse Server for a user', function (done) {
+            const adapter = new MailgunAdapter(config);
+
+            adapter.render({ templateName: 'passwordResetEmail', user, variables: { link: 'https://foo.com', appName: 'AwesomeApp' } })
+                .then(rendered => {
+                    expect(rendered.subject).to.equal('Reset your password');
+                    expect(rendered.text).to.contain('https://foo.com');
+                    expect(rendered.mime).to.match(/To: foo@bar\.com/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with the rendering error, even if onError is set', function (done) {
+            const onError = sinon.spy();
+            const adapter = new MailgunAdapter(Object.assign({}, config, { onError }));
+            adapter.templates = Object.assign({}, config.templates, {
+                broken: { subject: 'Broken', text: 'Hi {{#username}}' }
+            });
+
+            adapter.render({ templateName: 'broken' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RenderingError);
+                    expect(error.templateName).to.equal('broken');
+                    sinon.assert.notCalled(onError);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('template variable checks', function () {
+        function createAdapter(options, template) {
+            return new MailgunAdapter(Object.assign({}, config, options, {
+                templates: Object.assign({}, config.templates, { welcome: template })
+            }));
+        }
+
+        afterEach(function () {
+            sinon.restore();
+        });
+
+        it('should fail with invalid settings', function () {
+            const template = { subject: 'Hi', text: 'Hi' };
+            expect(() => createAdapter({ requiredVariables: ['username'] }, template))
+                .to.throw(ConfigurationError, 'MailgunAdapter requiredVariables must be true or an array of variable names.');
+            expect(() => createAdapter({}, Object.assign({ requiredVariables: 'username' }, template)))
+                .to.throw(ConfigurationError, 'MailgunAdapter requiredVariables must be true or an array of variable names.');
+            expect(() => createAdapter({ missingVariables: 'ignore' }, template))
+                .to.throw(ConfigurationError, 'MailgunAdapter missingVariables must be \'error\' or \'warn\'.');
+            expect(() => createAdapter({}, Object.assign({ strictVariables: 'yes' }, template)))
+                .to.throw(ConfigurationError, 'MailgunAdapter strictVariables must be a boolean.');
+        });
+
+        it('should reject if a declared variable is missing or empty', function (done) {
+            const adapter = createAdapter({}, { subject: 'Hi', text: 'Hi {{username}}', requiredVariables: ['username', 'link'] });
+            const sendMime = sinon.spy();
+            adapter.mailgun.messages = () => ({ sendMime });
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com', variables: { username: '' } })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RenderingError);
+                    expect(error.message).to.equal('Missing required variables for template welcome: username, link');
+                    expect(error.variables).to.deep.equal(['username', 'link']);
+                    sinon.assert.notCalled(sendMime);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should infer the required variables from the subject, templates, partials and layout', function (done) {
+            const adapter = createAdapter({
+                requiredVariables: true,
+                partials: { footer: { pathPlainText: path.join(__dirname, 'email-templates/partials/footer.txt') } },
+                layout: { pathPlainText: path.join(__dirname, 'email-templates/layouts/default.txt') }
+            }, {
+                subject: 'Welcome {{firstName}}',
+                text: 'Hi {{username}}{{#items}}{{name}}{{/items}}',
+                html: '<p>{{{link}}}</p>'
+            });
+
+            adapter.render({ templateName: 'welcome' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    // appName is used by the footer of the layout, name only inside a section
+                    expect(error.variables).to.deep.equal(['firstName', 'username', 'appName', 'link']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should only warn if missingVariables is warn', function (done) {
+            const warn = sinon.stub(console, 'warn');
+            const adapter = createAdapter({ missingVariables: 'warn' }, { subject: 'Hi', text: 'Hi {{username}}', requiredVariables: true });
+
+            adapter.render({ templateName: 'welcome' })
+                .then(rendered => {
+                    expect(rendered.text).to.equal('Hi ');
+                    sinon.assert.calledWith(warn, 'MailgunAdapter: Missing required variables for template welcome: username');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject in strict mode if any tag can not be resolved', function (done) {
+            const adapter = createAdapter({ strictVariables: true }, {
+                subject: 'Hi {{username}}',
+                text: 'Hi {{username}}{{#items}}, {{name}}{{/items}}'
+            });
+
+            adapter.render({ templateName: 'welcome', variables: { username: 'foo', items: [{ name: 'a' }, { title: 'b' }] } })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RenderingError);
+                    expect(error.message).to.equal('Unresolved variables in template welcome: name');
+                    return adapter.render({ templateName: 'welcome', variables: { username: 'foo', items: [{ name: 'a' }] } });
+                })
+                .then(rendered => {
+                    expect(rendered.subject).to.equal('Hi foo');
+                    expect(rendered.text).to.equal('Hi foo, a');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should let the template setting override the adapter setting', function (done) {
+            const adapter = createAdapter({ strictVariables: true }, { subject: 'Hi', text: 'Hi {{username}}', strictVariables: false });
+
+            adapter.render({ templateName: 'welcome' })
+                .then(rendered => {
+                    expect(rendered.text).to.equal('Hi ');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('engine', function () {
+        // Renders <%= name %> tags
+        function createEngine() {
+            return {
+                compile: sinon.spy(source => variables => source.replace(/<%=\s*([\w.]+)\s*%>/g, (tag, name) => {
+                    return variables[name] === undefined ? '' : String(variables[name]);
+                })),
+                render: sinon.spy((compiled, variables) => compiled(variables))
+            };
+        }
+
+        it('should fail if the engine does not implement the engine interface', function () {
+            expect(() => new MailgunAdapter(Object.assign({}, config, { engine: { render: () => '' } })))
+                .to.throw(ConfigurationError, 'MailgunAdapter engine must be an object with compile and render functions.');
+
+            const templates = Object.assign({}, config.templates, { welcome: { subject: 'Hi', text: 'Hi', engine: 'ejs' } });
+            expect(() => new MailgunAdapter(Object.assign({}, config, { templates })))
+                .to.throw(ConfigurationError, 'MailgunAdapter engine must be an object with compile and render functions.');
+        });
+
+        it('should render the subject and templates with the adapter engine', function (done) {
+            const engine = createEngine();
+            const templates = { welcome: { subject: 'Hi <%= username %>', text: 'Hi <%= username %> {{username}}', html: '<p><%= username %></p>' } };
+            const adapter = new MailgunAdapter(Object.assign({}, config, { engine, templates }));
+
+            adapter.render({ templateName: 'welcome', variables: { username: 'foo' } })
+                .then(rendered => {
+                    expect(rendered.subject).to.equal('Hi foo');
+                    expect(rendered.text).to.equal('Hi foo {{username}}');
+                    expect(rendered.html).to.equal('<p>foo</p>');
+                    expect(engine.render.firstCall.args[2]).to.deep.include({ partials: {}, escape: false, strict: false });
+                    expect(engine.render.firstCall.args[2].compile).to.be.a('function');
+                    expect(engine.render.secondCall.args[2].escape).to.be.true;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should let the template engine override the adapter engine', function (done) {
+            const engine = createEngine();
+            const templates = Object.assign({}, config.templates, { welcome: { subject: 'Hi', text: 'Hi <%= username %>', engine } });
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templates }));
+
+            adapter.render({ templateName: 'welcome', variables: { username: 'foo' } })
+                .then(rendered => {
+                    expect(rendered.text).to.equal('Hi foo');
+                    return adapter.render({ templateName: 'customEmail', variables: { username: 'foo' } });
+                })
+                .then(rendered => {
+                    expect(rendered.text).to.match(/^Hi foo,/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should cache the compiled templates until the template cache is cleared', function (done) {
+            const engine = createEngine();
+            const templates = { welcome: { subject: 'Hi', text: 'Hi <%= username %>' } };
+            const adapter = new MailgunAdapter(Object.assign({}, config, { engine, templates }));
+            const render = () => adapter.render({ templateName: 'welcome', variables: { username: 'foo' } });
+
+            render()
+                .then(render)
+                .then(rendered => {
+                    expect(rendered.text).to.equal('Hi foo');
+                    // The subject and the text
+                    expect(engine.compile.callCount).to.equal(2);
+                    expect(engine.render.callCount).to.equal(4);
+                    adapter.clearTemplateCache();
+                    return render();
+                })
+                .then(() => {
+                    expect(engine.compile.callCount).to.equal(4);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should wrap errors of the engine in a RenderingError', function (done) {
+            const engine = createEngine();
+            engine.compile = () => {
+                throw new Error('Unexpected token');
+            };
+            const adapter = new MailgunAdapter(Object.assign({}, config, { engine, templates: { welcome: { subject: 'Hi', text: 'Hi' } } }));
+
+            adapter.render({ templateName: 'welcome' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(RenderingError);
+                    expect(error.message).to.equal('Unexpected token');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should compile the templates with their engine when validating the configuration', function () {
+            const engine = createEngine();
+            engine.compile = source => {
+                if (source.indexOf('<%') !== -1 && source.indexOf('%>') === -1) {
+                    throw new Error('Unclosed tag');
+                }
+                return source;
+            };
+            const templates = Object.assign({}, config.templates, { welcome: { subject: 'Hi {{', text: 'Hi <%= username', engine } });
+            const { errors } = new MailgunAdapter(Object.assign({}, config, { templates })).validateConfiguration();
+            expect(errors).to.deep.equal(['Could not compile the text of template welcome: Unclosed tag']);
+        });
+    });
+
+    describe('dryRun', function () {
+        let adapter, sendMime;
+
+        beforeEach(function () {
+            adapter = new MailgunAdapter(Object.assign({}, config, { dryRun: true }));
+            sendMime = sinon.spy();
+            adapter.mailgun.messages = () => ({ sendMime });
+        });
+
+        it('should resolve send() with the rendered message', function (done) {
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(rendered => {
+                    sinon.assert.notCalled(sendMime);
+                    expect(rendered.subject).to.equal('Test custom email template');
+                    expect(rendered.text).to.match(/^Hi foo,/);
+                    expect(rendered.mime).to.match(/To: foo@bar\.com/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should resolve the Parse Server emails with the rendered message', function (done) {
+            adapter.sendVerificationEmail({ link: 'https://foo.com', appName: 'AwesomeApp', user })
+                .then(rendered => {
+                    sinon.assert.notCalled(sendMime);
+                    expect(rendered.subject).to.equal('Confirm your account');
+                    expect(rendered.html).to.contain('https://foo.com');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should resolve sendMail() with the rendered message', function (done) {
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hi', text: 'Hello' })
+                .then(rendered => {
+                    sinon.assert.notCalled(sendMime);
+                    expect(rendered.subject).to.equal('Hi');
+                    expect(rendered.text).to.equal('Hello');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('validateOnStartup', function () {
+        const templatesDir = path.join(__dirname, 'email-templates');
+
+        afterEach(function () {
+            sinon.restore();
+        });
+
+        it('should find no problems in a valid configuration', function () {
+            const adapter = new MailgunAdapter(config);
+            expect(adapter.validateConfiguration()).to.deep.equal({ errors: [], warnings: [] });
+        });
+
+        it('should report all problems at once', function () {
+            const options = Object.assign({}, config, {
+                fromAddress: 'AwesomeApp <noreply>',
+                partials: { footer: path.join(templatesDir, 'partials/missing.txt') },
+                templates: {
+                    passwordResetEmail: {
+                        subject: 'Reset {{#appName}}',
+                        pathPlainText: path.join(templatesDir, 'missing_email.txt'),
+                        pathHtml: path.join(templatesDir, 'password_reset_email.html')
+                    },
+                    inline: {
+                        subject: 'Hi',
+                        text: 'Hi {{/username}}'
+                    }
+                }
+            });
+            const { errors, warnings } = new MailgunAdapter(options).validateConfiguration();
+            expect(errors).to.have.lengthOf(5);
+            expect(errors[0]).to.equal('fromAddress AwesomeApp <noreply> is not a valid email address');
+            expect(errors[1]).to.contain('Could not compile the subject of template passwordResetEmail');
+            expect(errors[2]).to.contain('missing_email.txt (pathPlainText of template passwordResetEmail): ENOENT');
+            expect(errors[3]).to.contain('Could not compile the text of template inline');
+            expect(errors[4]).to.contain('missing.txt (partial footer)');
+            expect(warnings).to.deep.equal(['Missing the verificationEmail template, which Parse Server needs to send its emails']);
+        });
+
+        it('should compile template files and check localized files for the default locale', function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-validate-'));
+            fs.mkdirSync(path.join(dir, 'en'));
+            fs.writeFileSync(path.join(dir, 'en/welcome.txt'), 'Hi {{#username}}');
+            const options = Object.assign({}, config, {
+                defaultLocale: 'de',
+                templates: Object.assign({}, config.templates, {
+                    welcome: { subject: 'Hi', pathPlainText: path.join(dir, '{locale}/welcome.txt') },
+                    welcomeEn: { subject: 'Hi', pathPlainText: path.join(dir, 'en/welcome.txt') }
+                })
+            });
+            const { errors } = new MailgunAdapter(options).validateConfiguration();
+            fs.unlinkSync(path.join(dir, 'en/welcome.txt'));
+            fs.rmdirSync(path.join(dir, 'en'));
+            fs.rmdirSync(dir);
+
+            expect(errors).to.have.lengthOf(2);
+            expect(errors[0]).to.contain(`Could not read the file ${path.join(dir, 'de/welcome.txt')}`);
+            expect(errors[1]).to.contain('Could not compile the pathPlainText of template welcomeEn');
+        });
+
+        it('should not check templates of loaders', function () {
+            const options = Object.assign({}, config, {
+                templates: Object.assign({}, config.templates, {
+                    loaded: { subject: 'Hi', loader: () => Promise.resolve({ text: 'Hi' }) }
+                })
+            });
+            expect(new MailgunAdapter(options).validateConfiguration().errors).to.deep.equal([]);
+        });
+
+        it('should throw a ConfigurationError listing all problems', function () {
+            const options = Object.assign({}, config, {
+                validateOnStartup: true,
+                fromAddress: 'noreply',
+                templates: {
+                    passwordResetEmail: { subject: 'Reset', pathPlainText: path.join(templatesDir, 'missing_email.txt') },
+                    verificationEmail: { subject: 'Confirm {{#x}}', text: 'Confirm' }
+                }
+            });
+            try {
+                new MailgunAdapter(options);
+            } catch (error) {
+                expect(error).to.be.an.instanceof(ConfigurationError);
+                expect(error.message.split('\n')).to.have.lengthOf(4);
+                expect(error.message).to.match(/^MailgunAdapter configuration is invalid:\n- fromAddress noreply/);
+                expect(error.problems).to.have.lengthOf(3);
+                return;
+            }
+            throw new Error('Expected the constructor to throw');
+        });
+
+        it('should not start the outbox and scheduler workers of an invalid configuration', function () {
+            const start = sinon.stub(OutboxWorker.prototype, 'start');
+            const options = Object.assign({}, config, { validateOnStartup: true, fromAddress: 'noreply', outbox: true, scheduler: true });
+            expect(() => new MailgunAdapter(options)).to.throw(ConfigurationError, 'MailgunAdapter configuration is invalid');
+            sinon.assert.notCalled(start);
+
+            const adapter = new MailgunAdapter(Object.assign({}, options, { fromAddress: config.fromAddress }));
+            sinon.assert.calledTwice(start);
+            expect(start.firstCall.thisValue).to.equal(adapter.outbox);
+            expect(start.secondCall.thisValue).to.equal(adapter.scheduler);
+        });
+
+        it('should log warnings and succeed if there are no errors', function () {
+            const warn = sinon.stub(console, 'warn');
+            const options = Object.assign({}, config, {
+                validateOnStartup: true,
+                templates: { customEmail: config.templates.customEmail }
+            });
+            expect(new MailgunAdapter(options)).to.be.an.instanceof(MailgunAdapter);
+            expect(warn.callCount).to.equal(2);
+            expect(warn.firstCall.args[0]).to.equal('MailgunAdapter: Missing the passwordResetEmail template, which Parse Server needs to send its emails');
+        });
+    });
+
+    describe('attachments', function () {
+        const templatesDir = path.join(__dirname, 'email-templates');
+        const logoTemplate = {
+            subject: 'Welcome',
+            pathPlainText: path.join(templatesDir, 'custom_email.txt'),
+            pathHtml: path.join(templatesDir, 'logo_email.html'),
+            attachments: ['styles/email.css'],
+            inlineImages: { logo: 'images/logo.png' }
+        };
+
+        function createAdapter(options) {
+            return new MailgunAdapter(Object.assign({}, config, {
+                dryRun: true,
+                templates: Object.assign({}, config.templates, { logoEmail: logoTemplate })
+            }, options));
+        }
+
+        afterEach(function () {
+            sinon.restore();
+        });
+
+        it('should attach the files of a template relative to its directory', function (done) {
+            createAdapter().render({ templateName: 'logoEmail', variables: { username: 'foo' } })
+                .then(rendered => {
+                    expect(rendered.mime).to.match(/Content-Disposition: attachment; filename=email\.css/);
+                    expect(rendered.mime).to.match(/Content-Id: <logo>/i);
+                    expect(rendered.mime).to.match(/Content-Type: image\/png; name=logo\.png/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should only attach the inline images that the html uses', function (done) {
+            const adapter = createAdapter({ inlineImages: { logo: path.join(templatesDir, 'images/logo.png') } });
+            adapter.render({ templateName: 'customEmail', variables: { username: 'foo' } })
+                .then(rendered => {
+                    expect(rendered.mime).not.to.match(/logo\.png/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should attach the files and inline images of a call', function (done) {
+            const adapter = createAdapter();
+            adapter.send({
+                templateName: 'customEmail',
+                recipient: 'foo@bar.com',
+                variables: { username: 'foo' },
+                attachments: [MailgunAdapter.attachments.fromBuffer('Invoice', 'invoice.txt', 'text/plain')]
+            })
+                .then(rendered => {
+                    expect(rendered.mime).to.match(/Content-Disposition: attachment; filename=invoice\.txt/);
+                    // The attachment of the template's extra setting is kept
+                    expect(rendered.mime).to.match(/Content-Id: <1px-trans-image>/i);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject invalid attachments of a call', function (done) {
+            createAdapter().send({ templateName: 'customEmail', recipient: 'foo@bar.com', attachments: 'invoice.txt' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.match(/attachments must be an array/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject invalid attachment settings', function () {
+            expect(() => createAdapter({ attachments: [{ filename: 'foo.txt' }] })).to.throw(ConfigurationError, 'attachments or inlineImages');
+            const templates = { logoEmail: Object.assign({}, logoTemplate, { inlineImages: ['images/logo.png'] }) };
+            expect(() => new MailgunAdapter(Object.assign({}, config, { templates }))).to.throw(ConfigurationError, 'attachments or inlineImages');
+            expect(() => createAdapter({ attachmentLimits: { maxSize: -1 } })).to.throw(ConfigurationError, 'attachmentLimits.maxSize');
+        });
+
+        it('should fail before sending if an attachment is larger than the limit', function (done) {
+            const adapter = createAdapter({ dryRun: false, attachmentLimits: { maxSize: 50 } });
+            const sendMime = sinon.spy();
+            adapter.mailgun.messages = () => ({ sendMime });
+
+            adapter.send({ templateName: 'logoEmail', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.equal('The attachment email.css is larger than 50 bytes');
+                    expect(error.templateName).to.equal('logoEmail');
+                    sinon.assert.notCalled(sendMime);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should fail if the attachments are larger than the total limit', function (done) {
+            createAdapter({ attachmentLimits: { maxTotalSize: 100 } })
+                .render({ templateName: 'logoEmail', variables: { username: 'foo' } })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.equal('The attachments are larger than 100 bytes in total');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should cache the files of the configuration', function (done) {
+            const adapter = createAdapter();
+            const logoPath = path.join(templatesDir, 'images/logo.png');
+
+            adapter.render({ templateName: 'logoEmail', variables: { username: 'foo' } })
+                .then(() => {
+                    expect(adapter.attachmentCache[logoPath].length).to.equal(68);
+                    const stat = sinon.spy(fs, 'stat');
+                    return adapter.render({ templateName: 'logoEmail', variables: { username: 'foo' } })
+                        .then(rendered => {
+                            expect(rendered.mime).to.match(/Content-Id: <logo>/i);
+                            sinon.assert.notCalled(stat);
+                            adapter.clearTemplateCache();
+                            expect(adapter.attachmentCache).to.deep.equal({});
+                            done();
+                        });
+                })
+                .catch(done);
+        });
+
+        it('should attach the files of the adapter to sendMail()', function (done) {
+            const adapter = createAdapter({ attachments: [path.join(templatesDir, 'styles/email.css')] });
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hi', text: 'Hello' })
+                .then(rendered => {
+                    expect(rendered.mime).to.match(/filename=email\.css/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should report missing attachment files', function () {
+            const adapter = createAdapter({ attachments: ['missing.pdf'] });
+            const { errors } = adapter.validateConfiguration();
+            expect(errors).to.deep.equal([`Could not read the attachment ${path.resolve('missing.pdf')} (adapter): ENOENT`]);
+        });
+    });
+
+    describe('mailgunOptions', function () {
+        function createAdapter(options, templateOptions) {
+            const templates = Object.assign({}, config.templates, {
+                customEmail: Object.assign({}, config.templates.customEmail, { mailgunOptions: templateOptions })
+            });
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templates }, options));
+            return { adapter, sendMime: stubTransport(adapter) };
+        }
+
+        it('should merge the options of the adapter, the template and the call into the payload', function (done) {
+            const { adapter, sendMime } = createAdapter(
+                { mailgunOptions: { tags: 'awesome-app', testMode: true, variables: { app: 'awesome' } } },
+                { tags: 'custom', trackingClicks: false }
+            );
+            adapter.send({
+                templateName: 'customEmail',
+                recipient: 'foo@bar.com',
+                mailgunOptions: { testMode: false, variables: { userId: 42 } }
+            })
+                .then(() => {
+                    const payload = sendMime.firstCall.args[0];
+                    expect(payload['o:tag']).to.deep.equal(['awesome-app', 'custom']);
+                    expect(payload['o:testmode']).to.equal('no');
+                    expect(payload['o:tracking-clicks']).to.equal('no');
+                    expect(payload['v:app']).to.equal('awesome');
+                    expect(payload['v:userId']).to.equal('42');
+                    expect(payload.to).to.equal('foo@bar.com');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should tag the Parse Server emails with the options of their template', function (done) {
+            const templates = Object.assign({}, config.templates, {
+                passwordResetEmail: Object.assign({}, config.templates.passwordResetEmail, { mailgunOptions: { tags: 'password-reset' } })
+            });
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templates }));
+            const sendMime = sinon.spy((payload, callback) => callback(null, {}));
+            adapter.mailgun.messages = () => ({ sendMime });
+
+            adapter.sendPasswordResetEmail({ link: 'https://foo.com', appName: 'AwesomeApp', user })
+                .then(() => {
+                    expect(sendMime.firstCall.args[0]['o:tag']).to.deep.equal(['password-reset']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send the options of the adapter with sendMail()', function (done) {
+            const { adapter, sendMime } = createAdapter({ mailgunOptions: { trackingOpens: true } });
+            adapter.sendMail({ to: 'foo@bar.com', subject: 'Hi', text: 'Hello' })
+                .then(() => {
+                    expect(sendMime.firstCall.args[0]['o:tracking-opens']).to.equal('yes');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject invalid options', function (done) {
+            expect(() => createAdapter({ mailgunOptions: { tags: 42 } }))
+                .to.throw(ConfigurationError, 'MailgunAdapter mailgunOptions are invalid: tag 42 must be a string');
+            expect(() => createAdapter({}, { tracking: 'yes' })).to.throw(ConfigurationError, 'tracking must be a boolean');
+
+            const { adapter } = createAdapter();
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com', mailgunOptions: { deliveryTime: 'soon' } })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(ConfigurationError);
+                    expect(error.message).to.match(/deliveryTime soon is not a valid date/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject more tags than Mailgun accepts in total', function (done) {
+            const { adapter, sendMime } = createAdapter({ mailgunOptions: { tags: ['a', 'b'] } }, { tags: ['c'] });
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com', mailgunOptions: { tags: 'd' } })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(ConfigurationError);
+                    expect(error.message).to.equal('MailgunAdapter mailgunOptions are invalid: a message can have at most 3 tags');
+                    expect(error.templateName).to.equal('customEmail');
+                    sinon.assert.notCalled(sendMime);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('#clearTemplateCache()', function () {
+        it('should clear a single template', function () {
+            const adapter = new MailgunAdapter(config);
+            adapter.cache = { passwordResetEmail: { text: 'a' }, verificationEmail: { text: 'b' } };
+            adapter.clearTemplateCache('passwordResetEmail');
+            expect(adapter.cache).to.deep.equal({ verificationEmail: { text: 'b' } });
+        });
+
+        it('should clear all templates when called without a name', function () {
+            const adapter = new MailgunAdapter(config);
+            adapter.cache = { passwordResetEmail: { text: 'a' }, verificationEmail: { text: 'b' } };
+            adapter.clearTemplateCache();
+            expect(adapter.cache).to.deep.equal({});
+        });
+
+        it('should clear the compiled versions of the cleared templates', function () {
+            const adapter = new MailgunAdapter(config);
+            adapter.cache = { passwordResetEmail: { text: 'a' }, verificationEmail: { text: 'b' } };
+            adapter._compile(adapter.engine, 'a', true);
+            adapter._compile(adapter.engine, 'b', true);
+
+            adapter.clearTemplateCache('passwordResetEmail');
+            const compiled = adapter.compiledTemplates.get(adapter.engine).escaped;
+            expect(Array.from(compiled.keys())).to.deep.equal(['b']);
+
+            adapter.clearTemplateCache();
+            expect(adapter.compiledTemplates.size).to.equal(0);
+        });
+
+        it('should drop the least recently used compiled templates once the cache is full', function () {
+            const adapter = new MailgunAdapter(config);
+            for (let i = 0; i < 500; i++) {
+                adapter._compile(adapter.engine, `Subject ${i}`, false);
+            }
+            adapter._compile(adapter.engine, 'Subject 0', false);
+            adapter._compile(adapter.engine, 'Subject 500', false);
+
+            const compiled = adapter.compiledTemplates.get(adapter.engine).raw;
+            expect(compiled.size).to.equal(500);
+            expect(compiled.has('Subject 0')).to.be.true;
+            expect(compiled.has('Subject 1')).to.be.false;
+            expect(compiled.has('Subject 500')).to.be.true;
+        });
+    });
+
+    describe('preload', function () {
+        afterEach(function () {
+            sinon.restore();
+        });
+
+        it('should load and compile all templates', function (done) {
+            const adapter = new MailgunAdapter(config);
+            const compile = sinon.spy(adapter.engine, 'compile');
+
+            adapter.preload()
+                .then(() => {
+                    expect(adapter.cache).to.have.all.keys(Object.keys(config.templates));
+                    expect(adapter.cache.customEmail.text).to.match(/^Hi {{username}},/);
+                    sinon.assert.calledWith(compile, adapter.cache.customEmail.text);
+                    sinon.assert.calledWith(compile, 'Test custom email template', { escape: false });
+
+                    const loadEmailTemplate = sinon.spy(adapter, '_loadEmailTemplate');
+                    compile.resetHistory();
+                    return adapter.render({ templateName: 'customEmail', variables: { username: 'foo' } })
+                        .then(rendered => {
+                            expect(rendered.text).to.match(/^Hi foo,/);
+                            sinon.assert.notCalled(loadEmailTemplate);
+                            sinon.assert.notCalled(compile);
+                            done();
+                        });
+                })
+                .catch(done);
+        });
+
+        it('should preload the templates when the preload option is set', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, config, { preload: true }));
+
+            adapter.preloading
+                .then(() => {
+                    expect(adapter.cache).to.have.all.keys(Object.keys(config.templates));
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with the template name if a template can not be loaded', function (done) {
+            const templates = Object.assign({}, config.templates, {
+                missing: { subject: 'Missing', pathPlainText: path.join(__dirname, 'email-templates/missing.txt') }
+            });
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templates }));
+
+            adapter.preload()
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(TemplateError);
+                    expect(error.templateName).to.equal('missing');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should report preload errors to onError or log them', function (done) {
+            const warn = sinon.stub(console, 'warn');
+            const onError = sinon.spy();
+            const templates = { missing: { subject: 'Missing', pathPlainText: path.join(__dirname, 'email-templates/missing.txt') } };
+
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templates, preload: true }));
+            const adapterWithOnError = new MailgunAdapter(Object.assign({}, config, { templates, preload: true, onError }));
+
+            Promise.all([adapter.preloading, adapterWithOnError.preloading])
+                .then(() => {
+                    sinon.assert.calledOnce(warn);
+                    expect(warn.firstCall.args[0]).to.match(/^MailgunAdapter: Could not preload template missing: /);
+                    sinon.assert.calledOnce(onError);
+                    expect(onError.firstCall.args[0].templateName).to.equal('missing');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('templateCacheTTL', function () {
+        const selectedTemplate = {
+            config: config.templates.customEmail,
+            name: 'customEmail'
+        };
+
+        it('should fail with an invalid TTL', function () {
+            const options = Object.assign({}, config, { templateCacheTTL: 'soon' });
+            expect(() => new MailgunAdapter(options)).to.throw('MailgunAdapter templateCacheTTL must be a non-negative number.');
+            expect(() => new MailgunAdapter(Object.assign({}, config, { templateCacheTTL: NaN })))
+                .to.throw(ConfigurationError, 'MailgunAdapter templateCacheTTL must be a non-negative number.');
+        });
+
+        it('should fail with an invalid TTL of a template', function () {
+            [-1, '1000', NaN].forEach(cacheTTL => {
+                const templates = Object.assign({}, config.templates, {
+                    customEmail: Object.assign({}, config.templates.customEmail, { cacheTTL })
+                });
+                try {
+                    new MailgunAdapter(Object.assign({}, config, { templates }));
+                } catch (error) {
+                    expect(error).to.be.an.instanceof(ConfigurationError);
+                    expect(error.message).to.equal('MailgunAdapter template cacheTTL must be a non-negative number.');
+                    expect(error.templateName).to.equal('customEmail');
+                    return;
+                }
+                throw new Error(`Expected the constructor to throw for ${cacheTTL}`);
+            });
+        });
+
+        it('should reload templates that are older than the TTL', function () {
+            const clock = sinon.useFakeTimers({ now: 10000, toFake: ['Date'] });
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templateCacheTTL: 1000 }));
+            adapter.cache = { customEmail: { text: 'cached', html: 'cached', loadedAt: 8000 } };
+
+            const iterator = adapter._loadTemplates(selectedTemplate.name, selectedTemplate.config);
+            const step = iterator.next();
+            clock.restore();
+            expect(step.done).to.be.false;
+            expect(step.value).to.be.an.instanceof(Promise);
+            expect(adapter.cache.customEmail.loadedAt).to.equal(10000);
+        });
+
+        it('should use templates that are younger than the TTL', function () {
+            const clock = sinon.useFakeTimers({ now: 10000, toFake: ['Date'] });
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templateCacheTTL: 5000 }));
+            adapter.cache = { customEmail: { text: 'cached', html: 'cached', loadedAt: 8000 } };
+
+            const step = adapter._loadTemplates(selectedTemplate.name, selectedTemplate.config).next();
+            clock.restore();
+            expect(step.done).to.be.true;
+            expect(step.value.text).to.equal('cached');
+        });
+    });
+
+    describe('#watchTemplates()', function () {
+        let dir, adapter;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parse-server-mailgun-'));
+            fs.writeFileSync(path.join(dir, 'watched.txt'), 'Hi {{username}}');
+        });
+
+        afterEach(function () {
+            adapter.unwatchTemplates();
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        });
+
+        function waitFor(condition, done, attempts) {
+            if (condition()) {
+                return done();
+            }
+            if (attempts === 0) {
+                return done(new Error('Condition not met in time'));
+            }
+            setTimeout(() => waitFor(condition, done, (attempts || 100) - 1), 20);
+        }
+
+        it('should clear a template from the cache when its file changes', function (done) {
+            adapter = new MailgunAdapter({
+                apiKey: '.', domain: '.', fromAddress: '.',
+                watchTemplates: true,
+                templates: {
+                    watched: { subject: 'Watched', pathPlainText: path.join(dir, 'watched.txt') }
+                }
+            });
+            expect(adapter.watchers).to.have.lengthOf(1);
+            adapter.cache = { watched: { text: 'Hi {{username}}' } };
+
+            fs.writeFileSync(path.join(dir, 'watched.txt'), 'Hello {{username}}');
+            waitFor(() => !adapter.cache.watched, done);
+        });
+
+        it('should throw a ConfigurationError if a template file can not be watched', function () {
+            const options = {
+                apiKey: '.', domain: '.', fromAddress: '.',
+                watchTemplates: true,
+                templates: {
+                    missing: { subject: 'Missing', pathPlainText: path.join(dir, 'missing.txt') }
+                }
+            };
+            adapter = { unwatchTemplates() {} };
+            expect(() => new MailgunAdapter(options)).to.throw(ConfigurationError, 'Could not watch template file');
+        });
+
+        it('should stop watching', function () {
+            adapter = new MailgunAdapter({
+                apiKey: '.', domain: '.', fromAddress: '.',
+                watchTemplates: true,
+                templates: {
+                    watched: { subject: 'Watched', pathPlainText: path.join(dir, 'watched.txt') }
+                }
+            });
+            adapter.unwatchTemplates();
+            expect(adapter.watchers).to.be.empty;
+        });
+    });
+
     describe('#_loadEmailTemplate', function () {
         it('should reject with an error if the file could not be loaded from disk', function(done) {
             const adapter = new MailgunAdapter(config);
@@ -0,0 +1,23 @@
+const expect = require('chai').expect;
+const { parseArgs } = require('../src/args');
+
+describe('args', function () {
+    describe('#parseArgs()', function () {
+        it('should parse options and collect the other arguments', function () {
+            expect(parseArgs(['send', '--template', 'welcome', '--to=foo@bar.com', '--dry-run'], ['dry-run'])).to.deep.equal({
+                _: ['send'],
+                template: 'welcome',
+                to: 'foo@bar.com',
+                dryRun: true
+            });
+        });
+
+        it('should parse boolean options with a value', function () {
+            expect(parseArgs(['--dry-run=false'], ['dry-run'])).to.deep.equal({ _: [], dryRun: false });
+        });
+
+        it('should fail if an option has no value', function () {
+            expect(() => parseArgs(['--template'])).to.throw('Missing value for --template');
+        });
+    });
+});
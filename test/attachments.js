@@ -0,0 +1,235 @@
+const expect = require('chai').expect;
+const path = require('path');
+const http = require('http');
+const { ConfigurationError, AttachmentError } = require('../src/errors');
+const {
+    createAttachmentLimits,
+    isAttachmentsSetting,
+    isInlineImagesSetting,
+    normalizeAttachment,
+    loadAttachment,
+    checkTotalSize,
+    fromBuffer,
+    fromParseFile
+} = require('../src/attachments');
+
+const templatesDir = path.join(__dirname, 'email-templates');
+
+describe('attachments', function () {
+    describe('createAttachmentLimits', function () {
+        it('should use the default limits', function () {
+            expect(createAttachmentLimits()).to.deep.equal({
+                maxSize: Infinity,
+                maxTotalSize: 25 * 1024 * 1024,
+                downloadTimeout: 30000,
+                maxRedirects: 5
+            });
+            expect(createAttachmentLimits({ maxSize: 100 }).maxSize).to.equal(100);
+        });
+
+        it('should reject invalid limits', function () {
+            expect(() => createAttachmentLimits('1MB')).to.throw(ConfigurationError);
+            expect(() => createAttachmentLimits({ maxSize: 0 })).to.throw(ConfigurationError, 'attachmentLimits.maxSize');
+            expect(() => createAttachmentLimits({ maxTotalSize: '1' })).to.throw(ConfigurationError, 'attachmentLimits.maxTotalSize');
+            expect(() => createAttachmentLimits({ downloadTimeout: Infinity })).to.throw(ConfigurationError, 'attachmentLimits.downloadTimeout');
+            expect(() => createAttachmentLimits({ maxRedirects: 1.5 })).to.throw(ConfigurationError, 'attachmentLimits.maxRedirects');
+            expect(createAttachmentLimits({ maxRedirects: 0 }).maxRedirects).to.equal(0);
+        });
+    });
+
+    describe('settings', function () {
+        it('should accept paths and attachment objects', function () {
+            expect(isAttachmentsSetting(undefined)).to.be.true;
+            expect(isAttachmentsSetting(['terms.pdf', { url: 'https://foo.com/a.pdf', filename: 'a.pdf' }])).to.be.true;
+            expect(isAttachmentsSetting([{ content: Buffer.from('foo'), filename: 'foo.txt', contentType: 'text/plain' }])).to.be.true;
+            expect(isInlineImagesSetting({ logo: 'images/logo.png' })).to.be.true;
+        });
+
+        it('should reject invalid settings', function () {
+            expect(isAttachmentsSetting('terms.pdf')).to.be.false;
+            expect(isAttachmentsSetting([{ path: 'a.pdf', url: 'https://foo.com/a.pdf' }])).to.be.false;
+            expect(isAttachmentsSetting([{ filename: 'a.pdf' }])).to.be.false;
+            expect(isAttachmentsSetting([{ content: 42 }])).to.be.false;
+            expect(isInlineImagesSetting(['images/logo.png'])).to.be.false;
+            expect(isInlineImagesSetting({ logo: null })).to.be.false;
+        });
+    });
+
+    describe('normalizeAttachment', function () {
+        it('should resolve paths against the base directory', function () {
+            expect(normalizeAttachment('images/logo.png', templatesDir, 'logo')).to.deep.equal({
+                path: path.join(templatesDir, 'images/logo.png'),
+                filename: 'logo.png',
+                cid: 'logo'
+            });
+            expect(normalizeAttachment('logo.png').path).to.equal(path.resolve('logo.png'));
+        });
+
+        it('should name an attachment after its URL', function () {
+            expect(normalizeAttachment({ url: 'https://foo.com/files/terms.pdf?v=2' }).filename).to.equal('terms.pdf');
+            expect(normalizeAttachment({ url: 'https://foo.com/a.pdf', filename: 'terms.pdf' }).filename).to.equal('terms.pdf');
+        });
+    });
+
+    describe('loadAttachment', function () {
+        let server, baseUrl;
+
+        before(function (done) {
+            server = http.createServer((req, res) => {
+                if (req.url === '/missing.pdf') {
+                    res.writeHead(404);
+                    return res.end();
+                }
+                // Redirects n + 1 times, the last time to terms.pdf
+                const redirect = /^\/redirect\/(\d+)$/.exec(req.url);
+                if (redirect) {
+                    const n = parseInt(redirect[1], 10);
+                    res.writeHead(302, { Location: n > 0 ? `/redirect/${n - 1}` : `${baseUrl}/terms.pdf` });
+                    return res.end();
+                }
+                if (req.url === '/slow.pdf') {
+                    return setTimeout(() => res.end('0123456789'), 200);
+                }
+                res.writeHead(200, { 'Content-Type': 'application/pdf' });
+                res.end('0123456789');
+            });
+            server.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        it('should read a file', function (done) {
+            loadAttachment(normalizeAttachment('images/logo.png', templatesDir, 'logo'), Infinity)
+                .then(attachment => {
+                    expect(attachment.filename).to.equal('logo.png');
+                    expect(attachment.cid).to.equal('logo');
+                    expect(attachment.content.length).to.equal(68);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should load a Buffer or a string', function (done) {
+            loadAttachment(normalizeAttachment({ content: 'foo', filename: 'foo.txt', contentType: 'text/plain' }), Infinity)
+                .then(attachment => {
+                    expect(attachment).to.deep.equal({ filename: 'foo.txt', content: Buffer.from('foo'), contentType: 'text/plain' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should download a URL', function (done) {
+            loadAttachment(normalizeAttachment({ url: `${baseUrl}/terms.pdf` }), Infinity)
+                .then(attachment => {
+                    expect(attachment.filename).to.equal('terms.pdf');
+                    expect(attachment.content.toString()).to.equal('0123456789');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject a file that is larger than the limit', function (done) {
+            loadAttachment(normalizeAttachment('images/logo.png', templatesDir), 10)
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.equal('The attachment logo.png is larger than 10 bytes');
+                    expect(error.maxSize).to.equal(10);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject a download that is larger than the limit', function (done) {
+            loadAttachment(normalizeAttachment({ url: `${baseUrl}/terms.pdf` }), 5)
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.equal('The attachment terms.pdf is larger than 5 bytes');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject a failed download', function (done) {
+            loadAttachment(normalizeAttachment({ url: `${baseUrl}/missing.pdf` }), Infinity)
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.equal('Could not load the attachment missing.pdf: The server responded with status 404');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should follow redirects', function (done) {
+            loadAttachment(normalizeAttachment({ url: `${baseUrl}/redirect/1`, filename: 'terms.pdf' }), Infinity, { maxRedirects: 2 })
+                .then(attachment => {
+                    expect(attachment.content.toString()).to.equal('0123456789');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject a download with too many redirects', function (done) {
+            loadAttachment(normalizeAttachment({ url: `${baseUrl}/redirect/2`, filename: 'terms.pdf' }), Infinity, { maxRedirects: 2 })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.equal('Could not load the attachment terms.pdf: The server redirected more than 2 times');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should abort a download that takes longer than the timeout', function (done) {
+            loadAttachment(normalizeAttachment({ url: `${baseUrl}/slow.pdf` }), Infinity, { downloadTimeout: 50 })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.equal('The download of the attachment slow.pdf timed out after 50 ms');
+                    expect(error.timeout).to.equal(50);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject a file that does not exist', function (done) {
+            loadAttachment(normalizeAttachment('missing.pdf', templatesDir), Infinity)
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(AttachmentError);
+                    expect(error.message).to.match(/^Could not load the attachment missing\.pdf: ENOENT/);
+                    expect(error.cause.code).to.equal('ENOENT');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('checkTotalSize', function () {
+        it('should count the attachments that are in memory', function () {
+            const attachments = [{ content: Buffer.alloc(6) }, { content: 'abcd' }, { path: 'data:text/plain;base64,Zm9v' }];
+            expect(() => checkTotalSize(attachments, 10)).not.to.throw();
+            expect(() => checkTotalSize(attachments, 9)).to.throw(AttachmentError, 'The attachments are larger than 9 bytes in total');
+        });
+    });
+
+    describe('helpers', function () {
+        it('should create an attachment from a Buffer', function () {
+            expect(fromBuffer(Buffer.from('foo'), 'foo.txt')).to.deep.equal({ content: Buffer.from('foo'), filename: 'foo.txt', contentType: undefined });
+        });
+
+        it('should create an attachment from a Parse.File', function () {
+            const file = { url: () => 'https://files.example.com/abc_photo.jpg', name: () => 'abc_photo.jpg' };
+            expect(fromParseFile(file)).to.deep.equal({ url: 'https://files.example.com/abc_photo.jpg', filename: 'abc_photo.jpg', contentType: undefined });
+            expect(fromParseFile(file, 'photo.jpg').filename).to.equal('photo.jpg');
+            expect(() => fromParseFile({ url: () => undefined, name: () => 'photo.jpg' })).to.throw(ConfigurationError, 'saved Parse.File');
+        });
+    });
+});
@@ -0,0 +1,367 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const path = require('path');
+const MailgunAdapter = require('../src/MailgunAdapter');
+const { chunk, getRecipientKeys, toBatchTemplate, toRawPlaceholders, toRecipientVariables } = require('../src/batch');
+const { stubTransport } = require('./helpers');
+
+const config = {
+    fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+    domain: 'yourmailgundomain.mailgun.org',
+    apiKey: 'secretApiKey',
+    templates: {
+        customEmail: {
+            subject: 'Test custom email template',
+            pathPlainText: path.join(__dirname, 'email-templates/custom_email.txt'),
+            pathHtml: path.join(__dirname, 'email-templates/custom_email.html')
+        }
+    }
+};
+
+describe('batch', function () {
+    describe('#chunk()', function () {
+        it('should split an array into chunks', function () {
+            expect(chunk([1, 2, 3, 4, 5], 2)).to.deep.equal([[1, 2], [3, 4], [5]]);
+            expect(chunk([1, 2], 1000)).to.deep.equal([[1, 2]]);
+        });
+    });
+
+    describe('#getRecipientKeys()', function () {
+        it('should collect the variable names of all recipients', function () {
+            const recipients = [
+                { address: 'a@foo.com', variables: { username: 'a' } },
+                { address: 'b@foo.com', variables: { username: 'b', plan: 'pro' } },
+                { address: 'c@foo.com' }
+            ];
+            expect(getRecipientKeys(recipients)).to.deep.equal(['username', 'plan']);
+        });
+    });
+
+    describe('#toBatchTemplate()', function () {
+        it('should convert per-recipient variables into Mailgun placeholders', function () {
+            const template = 'Hi {{username}}, {{{link}}} from {{appName}} {{&link}}';
+            expect(toBatchTemplate(template, ['username', 'link']))
+                .to.equal('Hi %recipient.username%, %recipient.link__raw% from {{appName}} %recipient.link__raw%');
+        });
+
+        it('should use the unescaped values for all tags when escape is false', function () {
+            expect(toBatchTemplate('Hi {{username}}', ['username'], false)).to.equal('Hi %recipient.username__raw%');
+        });
+
+        it('should keep sections that only use shared variables', function () {
+            const template = '{{#items}}{{name}}{{/items}} {{username}}';
+            expect(toBatchTemplate(template, ['username'])).to.equal('{{#items}}{{name}}{{/items}} %recipient.username%');
+        });
+
+        it('should return null for templates that can not be converted', function () {
+            expect(toBatchTemplate('{{#username}}Hi{{/username}}', ['username'])).to.be.null;
+            expect(toBatchTemplate('{{^username}}Hi{{/username}}', ['username'])).to.be.null;
+            expect(toBatchTemplate('{{#items}}{{username}}{{/items}}', ['username'])).to.be.null;
+            expect(toBatchTemplate('{{profile.name}}', ['profile'])).to.be.null;
+            expect(toBatchTemplate('{{> footer}}', ['username'])).to.be.null;
+            expect(toBatchTemplate('{{#unclosed}}', ['username'])).to.be.null;
+        });
+
+        it('should inline partials', function () {
+            const partials = { header: 'Hi {{username}}', footer: '{{appName}} {{> missing}}' };
+            expect(toBatchTemplate('{{> header}}, welcome. {{> footer}}', ['username'], true, partials))
+                .to.equal('Hi %recipient.username%, welcome. {{appName}} ');
+            expect(toBatchTemplate('{{#items}}{{> header}}{{/items}}', ['username'], true, partials)).to.be.null;
+            expect(toBatchTemplate('{{> loop}}', ['username'], true, { loop: '{{> loop}}' })).to.be.null;
+        });
+    });
+
+    describe('#toRawPlaceholders()', function () {
+        it('should use the unescaped values in plain text', function () {
+            expect(toRawPlaceholders('Hi %recipient.username%, %recipient.link__raw% %recipient%'))
+                .to.equal('Hi %recipient.username__raw%, %recipient.link__raw% %recipient%');
+        });
+    });
+
+    describe('#toRecipientVariables()', function () {
+        it('should assemble escaped and raw values for every recipient', function () {
+            const recipients = [
+                { address: 'a@foo.com', variables: { username: 'Tom & Jerry' } },
+                { address: 'b@foo.com', variables: {} }
+            ];
+            expect(toRecipientVariables(recipients, ['username'])).to.deep.equal({
+                'a@foo.com': { username: 'Tom &amp; Jerry', username__raw: 'Tom & Jerry' },
+                'b@foo.com': { username: '', username__raw: '' }
+            });
+        });
+
+        it('should key the values by the bare address', function () {
+            const recipients = [{ address: 'Zoe <Z@y.com>', variables: { username: 'Zoe' } }];
+            expect(toRecipientVariables(recipients, ['username'])).to.deep.equal({
+                'z@y.com': { username: 'Zoe', username__raw: 'Zoe' }
+            });
+        });
+
+        it('should return null for values that are not primitives', function () {
+            const recipients = [{ address: 'a@foo.com', variables: { items: [1, 2] } }];
+            expect(toRecipientVariables(recipients, ['items'])).to.be.null;
+        });
+    });
+
+    describe('MailgunAdapter#sendBatch()', function () {
+        it('should reject invalid recipients', function (done) {
+            const adapter = new MailgunAdapter(config);
+            const message = 'Invalid options object: recipients must be a non-empty array of { address, variables } objects';
+            const invalid = [undefined, [], [{}], [{ address: 'foo' }], [{ address: 'a@foo.com, b@foo.com' }]];
+            const calls = invalid.map(recipients => {
+                return adapter.sendBatch({ templateName: 'customEmail', recipients }).then(() => null, error => error.message);
+            });
+            Promise.all(calls)
+                .then(messages => {
+                    expect(messages).to.deep.equal(invalid.map(() => message));
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject an unknown template', function (done) {
+            const adapter = new MailgunAdapter(config);
+            adapter.sendBatch({ templateName: 'foo', recipients: [{ address: 'a@foo.com' }] })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error.message).to.equal('Could not find template with name foo');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send chunks of recipients with recipient-variables', function (done) {
+            const adapter = new MailgunAdapter(config);
+            const sendMime = stubTransport(adapter);
+            const recipients = [
+                { address: 'a@foo.com', variables: { username: 'a' } },
+                { address: 'b@foo.com', variables: { username: 'b' } },
+                { address: 'c@foo.com', variables: { username: 'c' } }
+            ];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients, variables: { appName: 'AwesomeApp' }, chunkSize: 2 })
+                .then(results => {
+                    sinon.assert.calledTwice(sendMime);
+
+                    const payload = sendMime.firstCall.args[0];
+                    expect(payload.to).to.equal('a@foo.com, b@foo.com');
+                    expect(JSON.parse(payload['recipient-variables'])).to.deep.equal({
+                        'a@foo.com': { username: 'a', username__raw: 'a' },
+                        'b@foo.com': { username: 'b', username__raw: 'b' }
+                    });
+                    expect(payload.message).to.match(/^To: %recipient%\r\n/);
+                    expect(payload.message).to.match(/Hi %recipient\.username%,/);
+                    expect(payload.message).to.match(/Thanks for using AwesomeApp\./);
+                    expect(sendMime.secondCall.args[0].to).to.equal('c@foo.com');
+
+                    expect(results).to.deep.equal([
+                        { address: 'a@foo.com', status: 'sent', id: '<message-id@example.com>' },
+                        { address: 'b@foo.com', status: 'sent', id: '<message-id@example.com>' },
+                        { address: 'c@foo.com', status: 'sent', id: '<message-id@example.com>' }
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send the recipient-variables of recipients with a display name', function (done) {
+            const adapter = new MailgunAdapter(config);
+            const sendMime = stubTransport(adapter);
+            const recipients = [{ address: 'Zoe <z@y.com>', variables: { username: 'Zoe' } }];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients })
+                .then(results => {
+                    const payload = sendMime.firstCall.args[0];
+                    expect(payload.to).to.equal('Zoe <z@y.com>');
+                    expect(JSON.parse(payload['recipient-variables'])).to.deep.equal({
+                        'z@y.com': { username: 'Zoe', username__raw: 'Zoe' }
+                    });
+                    expect(results[0]).to.deep.include({ address: 'Zoe <z@y.com>', status: 'sent' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send a subject passed to sendBatch() as it is', function (done) {
+            const adapter = new MailgunAdapter(config);
+            const sendMime = stubTransport(adapter);
+            const recipients = [{ address: 'a@foo.com', variables: { username: 'a' } }];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients, subject: 'Hi {{username' })
+                .then(() => {
+                    expect(sendMime.firstCall.args[0].message).to.match(/Subject: Hi {{username/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should render the subject with unescaped recipient-variables', function (done) {
+            const adapter = new MailgunAdapter(config);
+            adapter.templates = Object.assign({}, config.templates, {
+                customEmail: Object.assign({}, config.templates.customEmail, { subject: 'Hi {{username}}, news from {{appName}}' })
+            });
+            const sendMime = stubTransport(adapter);
+            const recipients = [{ address: 'a@foo.com', variables: { username: 'a' } }];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients, variables: { appName: 'AwesomeApp' } })
+                .then(() => {
+                    expect(sendMime.firstCall.args[0].message).to.match(/Subject: Hi %recipient\.username__raw%, news from AwesomeApp/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should generate the plain-text version with unescaped recipient-variables', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, config, {
+                generateText: true,
+                templates: {
+                    htmlOnly: { subject: 'News', pathHtml: config.templates.customEmail.pathHtml }
+                }
+            }));
+            const sendMime = stubTransport(adapter);
+            const recipients = [{ address: 'a@foo.com', variables: { username: 'a' } }];
+
+            adapter.sendBatch({ templateName: 'htmlOnly', recipients, variables: { appName: 'AwesomeApp' } })
+                .then(() => {
+                    const message = sendMime.firstCall.args[0].message;
+                    expect(message).to.match(/Content-Type: text\/plain[\s\S]*Hi %recipient\.username__raw%,/);
+                    expect(message).to.match(/Content-Type: text\/html[\s\S]*Hi %recipient\.username%,/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should report the rendered chunks in dry-run mode', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, config, { dryRun: true }));
+            const sendMime = stubTransport(adapter);
+            const recipients = [{ address: 'a@foo.com', variables: { username: 'a' } }];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients })
+                .then(results => {
+                    sinon.assert.notCalled(sendMime);
+                    expect(results[0].status).to.equal('rendered');
+                    expect(results[0].message.text).to.match(/Hi %recipient\.username%,/);
+                    expect(results[0].message.mime).to.match(/^To: %recipient%\r\n/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should never send more than 1000 recipients per request', function (done) {
+            const adapter = new MailgunAdapter(config);
+            const sendMime = stubTransport(adapter);
+            const recipients = [];
+            for (let i = 0; i < 1001; i++) {
+                recipients.push({ address: `user${i}@foo.com`, variables: { username: `user${i}` } });
+            }
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients, chunkSize: 5000 })
+                .then(results => {
+                    sinon.assert.calledTwice(sendMime);
+                    expect(sendMime.firstCall.args[0].to.split(', ')).to.have.lengthOf(1000);
+                    expect(results).to.have.lengthOf(1001);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should render the template for every recipient if it can not be converted', function (done) {
+            const adapter = new MailgunAdapter(config);
+            adapter.cache = { customEmail: { text: '{{#username}}Hi {{username}}{{/username}}' } };
+            const sendMime = stubTransport(adapter);
+            const recipients = [
+                { address: 'a@foo.com', variables: { username: 'a' } },
+                { address: 'b@foo.com', variables: { username: 'b' } }
+            ];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients })
+                .then(results => {
+                    sinon.assert.calledTwice(sendMime);
+                    expect(sendMime.firstCall.args[0].to).to.equal('a@foo.com');
+                    expect(sendMime.firstCall.args[0]['recipient-variables']).to.be.undefined;
+                    expect(sendMime.firstCall.args[0].message).to.match(/Hi a/);
+                    expect(sendMime.secondCall.args[0].message).to.match(/Hi b/);
+                    expect(results.map(result => result.status)).to.deep.equal(['sent', 'sent']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should render the template for every recipient if it does not use the Mustache engine', function (done) {
+            const engine = {
+                compile: source => source,
+                render: (source, variables) => source.replace('<%= username %>', variables.username)
+            };
+            const customEmail = { subject: 'Hi', text: 'Hi <%= username %>', engine };
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templates: { customEmail } }));
+            const sendMime = stubTransport(adapter);
+            const recipients = [{ address: 'a@foo.com', variables: { username: 'a' } }, { address: 'b@foo.com', variables: { username: 'b' } }];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients })
+                .then(results => {
+                    expect(results.map(result => result.status)).to.deep.equal(['sent', 'sent']);
+                    expect(sendMime.calledTwice).to.be.true;
+                    expect(sendMime.firstCall.args[0].message).to.contain('Hi a');
+                    expect(sendMime.secondCall.args[0].message).to.contain('Hi b');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not send to recipients that lack required variables', function (done) {
+            const customEmail = Object.assign({}, config.templates.customEmail, { requiredVariables: true });
+            const adapter = new MailgunAdapter(Object.assign({}, config, { templates: { customEmail } }));
+            const sendMime = stubTransport(adapter);
+            const recipients = [
+                { address: 'a@foo.com', variables: { username: 'a' } },
+                { address: 'b@foo.com', variables: {} }
+            ];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients, variables: { appName: 'AwesomeApp' } })
+                .then(results => {
+                    expect(results.map(result => result.status)).to.deep.equal(['failed', 'sent']);
+                    expect(results[0].address).to.equal('b@foo.com');
+                    expect(results[0].error.message).to.equal('Missing required variables for template customEmail: username');
+                    expect(sendMime.calledOnce).to.be.true;
+                    expect(sendMime.firstCall.args[0].to).to.equal('a@foo.com');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send the Mailgun options with every chunk', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, config, { mailgunOptions: { tags: 'newsletter' } }));
+            const sendMime = stubTransport(adapter);
+            const recipients = [{ address: 'a@foo.com', variables: { username: 'a' } }];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients, mailgunOptions: { trackingOpens: true } })
+                .then(() => {
+                    const payload = sendMime.firstCall.args[0];
+                    expect(payload['o:tag']).to.deep.equal(['newsletter']);
+                    expect(payload['o:tracking-opens']).to.equal('yes');
+                    expect(payload['recipient-variables']).to.be.a('string');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should report failed recipients', function (done) {
+            const adapter = new MailgunAdapter(config);
+            stubTransport(adapter, (payload, callback) => {
+                const error = new Error('Mailgun is down');
+                error.statusCode = 503;
+                callback(error);
+            });
+            const recipients = [{ address: 'a@foo.com', variables: { username: 'a' } }];
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients })
+                .then(results => {
+                    expect(results[0].address).to.equal('a@foo.com');
+                    expect(results[0].status).to.equal('failed');
+                    expect(results[0].error.status).to.equal(503);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+});
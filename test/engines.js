@@ -0,0 +1,79 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Mustache = require('mustache');
+const { isEngine, mustache } = require('../src/engines');
+
+describe('engines', function () {
+    describe('#isEngine()', function () {
+        it('should check the engine interface', function () {
+            expect(isEngine(mustache)).to.be.true;
+            expect(isEngine({ compile: () => {}, render: () => {} })).to.be.true;
+            expect(isEngine({ compile: () => {} })).to.be.false;
+            expect(isEngine({ compile: () => {}, render: () => {}, variables: [] })).to.be.false;
+            expect(isEngine('mustache')).to.be.false;
+            expect(isEngine(null)).to.be.false;
+        });
+    });
+
+    describe('mustache', function () {
+        it('should render a compiled template with partials', function () {
+            const compiled = mustache.compile('Hi {{username}} {{> footer}}');
+            expect(mustache.render(compiled, { username: '<foo>', appName: 'App' }, { partials: { footer: '{{appName}}' } }))
+                .to.equal('Hi &lt;foo&gt; App');
+        });
+
+        it('should not escape values when escape is false', function () {
+            expect(mustache.render('Hi {{username}}', { username: '<foo>' }, { escape: false })).to.equal('Hi <foo>');
+            expect(mustache.render('Hi {{username}}', { username: '<foo>' }, {})).to.equal('Hi &lt;foo&gt;');
+        });
+
+        it('should leave Mustache.escape alone when escape is false', function () {
+            const escape = Mustache.escape;
+            const variables = {
+                get username() {
+                    expect(Mustache.escape).to.equal(escape);
+                    return '<foo>';
+                }
+            };
+            expect(mustache.render('Hi {{username}} {{> footer}}', variables, { escape: false, partials: { footer: '{{username}}' } }))
+                .to.equal('Hi <foo> <foo>');
+            expect(mustache.render('Hi {{username}}', variables, { escape: false, strict: true })).to.equal('Hi <foo>');
+            expect(Mustache.escape).to.equal(escape);
+        });
+
+        it('should throw for templates that do not compile', function () {
+            expect(() => mustache.compile('Hi {{#username}}')).to.throw('Unclosed section "username"');
+        });
+
+        it('should throw an error with the unresolved variables in strict mode', function () {
+            try {
+                mustache.render('Hi {{username}} {{link}}', { link: 'x' }, { strict: true, escape: false });
+            } catch (error) {
+                expect(error.message).to.equal('Unresolved variables: username');
+                expect(error.variables).to.deep.equal(['username']);
+                expect(mustache.render('Hi {{username}}', { username: '<foo>' }, {})).to.equal('Hi &lt;foo&gt;');
+                return;
+            }
+            throw new Error('Expected render to throw');
+        });
+
+        it('should not keep templates in Mustache\'s global cache', function () {
+            const parse = sinon.spy(Mustache, 'parse');
+            const render = sinon.spy(Mustache, 'render');
+            try {
+                const compiled = mustache.compile('Hi {{username}} {{> footer}}');
+                mustache.render(compiled, { username: 'foo' }, { partials: { footer: 'Bye' } });
+                mustache.render(compiled, { username: 'foo' }, { partials: { footer: 'Bye' }, strict: true });
+                mustache.variables('Hi {{username}}');
+                sinon.assert.notCalled(parse);
+                sinon.assert.notCalled(render);
+            } finally {
+                sinon.restore();
+            }
+        });
+
+        it('should list the variables of a template', function () {
+            expect(mustache.variables('Hi {{username}}{{#items}}{{name}}{{/items}}')).to.deep.equal(['username']);
+        });
+    });
+});
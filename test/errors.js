@@ -0,0 +1,30 @@
+const expect = require('chai').expect;
+const MailgunAdapter = require('../src/MailgunAdapter');
+const errors = require('../src/errors');
+
+describe('errors', function () {
+    const { MailgunAdapterError, ConfigurationError, TemplateError, RenderingError, TransportError, RecipientError } = errors;
+
+    it('should derive every error class from MailgunAdapterError', function () {
+        [ConfigurationError, TemplateError, RenderingError, TransportError, RecipientError].forEach(ErrorClass => {
+            const error = new ErrorClass('Something went wrong');
+            expect(error).to.be.an.instanceof(MailgunAdapterError);
+            expect(error).to.be.an.instanceof(Error);
+            expect(error.name).to.equal(ErrorClass.name);
+            expect(error.message).to.equal('Something went wrong');
+        });
+    });
+
+    it('should copy the details onto the error', function () {
+        const cause = new Error('Bad gateway');
+        const error = new TransportError('Bad gateway', { templateName: 'passwordResetEmail', status: 502, cause });
+        expect(error.templateName).to.equal('passwordResetEmail');
+        expect(error.status).to.equal(502);
+        expect(error.cause).to.equal(cause);
+    });
+
+    it('should be exposed on the MailgunAdapter export', function () {
+        expect(MailgunAdapter.TransportError).to.equal(TransportError);
+        expect(MailgunAdapter.MailgunAdapterError).to.equal(MailgunAdapterError);
+    });
+});
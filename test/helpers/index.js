@@ -0,0 +1,112 @@
+const sinon = require('sinon');
+const MailgunAdapter = require('../../src/MailgunAdapter');
+
+// Local stand-in for the Parse SDK, backed by an array of objects.
+// rows are the attributes, including the className, of the objects that exist already.
+function createParse(rows) {
+    const objects = [];
+
+    class ParseObject {
+        constructor(className, attributes) {
+            this.className = className;
+            this.attributes = attributes || {};
+        }
+
+        get(key) {
+            return this.attributes[key];
+        }
+
+        save(attributes) {
+            Object.assign(this.attributes, attributes);
+            if (objects.indexOf(this) === -1) {
+                objects.push(this);
+            }
+            return Promise.resolve(this);
+        }
+
+        destroy() {
+            objects.splice(objects.indexOf(this), 1);
+            return Promise.resolve();
+        }
+    }
+
+    class Query {
+        constructor(className) {
+            this.className = className;
+            this.constraints = {};
+            this.missing = [];
+            Query.instances.push(this);
+        }
+
+        equalTo(key, value) {
+            this.constraints[key] = value;
+            return this;
+        }
+
+        doesNotExist(key) {
+            this.missing.push(key);
+            return this;
+        }
+
+        first(options) {
+            this.options = options;
+            return Promise.resolve(objects.find(object => {
+                return object.className === this.className &&
+                    Object.keys(this.constraints).every(key => object.get(key) === this.constraints[key]) &&
+                    this.missing.every(key => object.get(key) === undefined || object.get(key) === null);
+            }));
+        }
+    }
+    Query.instances = [];
+
+    (rows || []).forEach(row => {
+        const attributes = Object.assign({}, row);
+        delete attributes.className;
+        objects.push(new ParseObject(row.className, attributes));
+    });
+
+    return { Object: ParseObject, Query, rows: objects };
+}
+
+// Answers like Mailgun does for a queued message
+function replyQueued(payload, callback) {
+    callback(null, { id: '<message-id@example.com>', message: 'Queued. Thank you.' });
+}
+
+// Answers with the payload that was sent, so that tests can inspect the message
+function replyWithPayload(payload, callback) {
+    callback(null, payload);
+}
+
+// Stubs the Mailgun transport of an adapter. reply is either the implementation of
+// sendMime(payload, callback) or a list of outcomes, one for each attempt, where errors fail the attempt.
+function stubTransport(adapter, reply) {
+    let sendMime;
+    if (Array.isArray(reply)) {
+        const outcomes = reply;
+        reply = (payload, callback) => {
+            const outcome = outcomes[sendMime.callCount - 1];
+            if (outcome instanceof Error) {
+                callback(outcome);
+            } else {
+                callback(null, outcome);
+            }
+        };
+    }
+    sendMime = sinon.spy(reply || replyQueued);
+    adapter.mailgun.messages = () => ({ sendMime });
+    return sendMime;
+}
+
+// Creates an adapter from a base configuration and options, with a stubbed Mailgun transport
+function createAdapter(config, options, reply) {
+    const adapter = new MailgunAdapter(Object.assign({}, config, options));
+    return { adapter, sendMime: stubTransport(adapter, reply) };
+}
+
+module.exports = {
+    createParse,
+    replyWithPayload,
+    stubTransport,
+    createAdapter
+};
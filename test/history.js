@@ -0,0 +1,393 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { MemoryStore } = require('../src/outbox');
+const {
+    toMessageId,
+    fromWebhookEvent,
+    HistorySink,
+    CallbackHistorySink,
+    FileHistorySink,
+    ParseHistorySink
+} = require('../src/history');
+const { createParse, createAdapter } = require('./helpers');
+
+const config = {
+    fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+    domain: 'yourmailgundomain.mailgun.org',
+    apiKey: 'secretApiKey',
+    templates: {
+        customEmail: {
+            subject: 'Test custom email template',
+            pathPlainText: path.join(__dirname, 'email-templates/custom_email.txt')
+        },
+        verificationEmail: {
+            subject: 'Verify your email',
+            pathPlainText: path.join(__dirname, 'email-templates/verification_email.txt')
+        }
+    }
+};
+
+describe('history', function () {
+    afterEach(function () {
+        sinon.restore();
+    });
+
+    describe('#toMessageId()', function () {
+        it('should remove the angle brackets of a message ID', function () {
+            expect(toMessageId('<message-id@example.com>')).to.equal('message-id@example.com');
+            expect(toMessageId('message-id@example.com')).to.equal('message-id@example.com');
+            expect(toMessageId(undefined)).to.equal(undefined);
+        });
+    });
+
+    describe('#fromWebhookEvent()', function () {
+        it('should update the status of the email of an event', function () {
+            const timestamp = new Date(1000);
+            expect(fromWebhookEvent({ type: 'delivered', messageId: 'id', description: 'OK', timestamp }))
+                .to.deep.equal({ status: 'delivered', response: 'OK', updatedAt: 1000 });
+            expect(fromWebhookEvent({ type: 'failed', severity: 'permanent', messageId: 'id', reason: 'bounce', timestamp }).status)
+                .to.equal('failed');
+            expect(fromWebhookEvent({ type: 'failed', severity: 'temporary', messageId: 'id', timestamp }).status).to.equal('deferred');
+        });
+
+        it('should ignore events without a message ID', function () {
+            expect(fromWebhookEvent({ type: 'delivered' })).to.equal(null);
+            expect(fromWebhookEvent({ type: 'accepted', messageId: 'id' })).to.equal(null);
+        });
+    });
+
+    describe('HistorySink', function () {
+        it('should reject for every method that is not implemented', function (done) {
+            const sink = new HistorySink();
+            Promise.all(['record', 'update'].map(method => sink[method]().catch(error => error.message)))
+                .then(messages => {
+                    expect(messages).to.deep.equal([
+                        'HistorySink.record() is not implemented',
+                        'HistorySink.update() is not implemented'
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('CallbackHistorySink', function () {
+        it('should pass records and updates to the function', function (done) {
+            const callback = sinon.spy();
+            const sink = new CallbackHistorySink(callback);
+
+            expect(() => new CallbackHistorySink()).to.throw('The CallbackHistorySink requires a function.');
+            sink.record({ id: 'a', status: 'sent' })
+                .then(() => sink.update({ messageId: 'b' }, { status: 'delivered' }))
+                .then(() => {
+                    expect(callback.args).to.deep.equal([
+                        [{ action: 'record', id: 'a', status: 'sent' }],
+                        [{ action: 'update', messageId: 'b', status: 'delivered' }]
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('FileHistorySink', function () {
+        let filePath;
+
+        beforeEach(function () {
+            filePath = path.join(os.tmpdir(), `parse-server-mailgun-history-${process.pid}-${Date.now()}.log`);
+        });
+
+        afterEach(function () {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        });
+
+        it('should require a path', function () {
+            expect(() => new FileHistorySink()).to.throw('The FileHistorySink requires the path of a file.');
+        });
+
+        it('should append a line of JSON for every change', function (done) {
+            const sink = new FileHistorySink(filePath);
+            Promise.all([
+                sink.record({ id: 'a', status: 'sent' }),
+                sink.update({ id: 'a' }, { status: 'delivered' })
+            ])
+                .then(() => {
+                    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+                    expect(lines).to.deep.equal([
+                        '{"action":"record","id":"a","status":"sent"}',
+                        '{"action":"update","id":"a","status":"delivered"}',
+                        ''
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('ParseHistorySink', function () {
+        it('should require the Parse SDK', function () {
+            expect(() => new ParseHistorySink()).to.throw('The ParseHistorySink requires the Parse SDK.');
+        });
+
+        it('should keep the entries in a Parse class', function (done) {
+            const Parse = createParse();
+            const sink = new ParseHistorySink({ Parse });
+            const entry = {
+                id: 'a',
+                templateName: 'verificationEmail',
+                recipient: 'foo@bar.com',
+                userId: 'abc',
+                messageId: 'message-id',
+                status: 'sent',
+                createdAt: 1000,
+                updatedAt: 1000
+            };
+
+            sink.record(entry)
+                .then(() => sink.update({ messageId: 'message-id' }, { status: 'delivered', response: 'OK', updatedAt: 2000 }))
+                .then(() => sink.update({ id: 'missing' }, { status: 'failed' }))
+                .then(() => {
+                    expect(Parse.rows).to.have.lengthOf(1);
+                    expect(Parse.rows[0].className).to.equal('EmailHistory');
+                    expect(Parse.rows[0].attributes).to.deep.equal({
+                        entryId: 'a',
+                        templateName: 'verificationEmail',
+                        recipient: 'foo@bar.com',
+                        userId: 'abc',
+                        messageId: 'message-id',
+                        status: 'delivered',
+                        response: 'OK',
+                        statusChangedAt: new Date(2000)
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('MailgunAdapter', function () {
+        it('should validate the history option', function () {
+            expect(() => createAdapter(config, { history: {} }))
+                .to.throw('MailgunAdapter history must be a function or implement the HistorySink interface.');
+            expect(createAdapter(config, { history: () => {} }).adapter.history).to.be.an.instanceof(CallbackHistorySink);
+        });
+
+        it('should record the emails that Parse Server sends', function (done) {
+            const record = sinon.spy();
+            const { adapter } = createAdapter(config, { history: record });
+            const user = { id: 'abc', get: key => ({ username: 'foo', email: 'foo@bar.com' })[key] };
+
+            adapter.sendVerificationEmail({ link: 'https://foo.com', appName: 'AwesomeApp', user })
+                .then(() => {
+                    sinon.assert.calledOnce(record);
+                    const entry = record.firstCall.args[0];
+                    expect(entry.id).to.be.a('string');
+                    expect(entry.createdAt).to.be.a('number');
+                    expect(entry).to.deep.include({
+                        action: 'record',
+                        templateName: 'verificationEmail',
+                        recipient: 'foo@bar.com',
+                        userId: 'abc',
+                        status: 'sent',
+                        messageId: 'message-id@example.com',
+                        response: 'Queued. Thank you.'
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should record failed emails and still reject', function (done) {
+            const record = sinon.spy();
+            const sendMime = (payload, callback) => callback(Object.assign(new Error('Forbidden'), { statusCode: 401 }));
+            const { adapter } = createAdapter(config, { history: record }, sendMime);
+
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error.message).to.equal('Forbidden');
+                    expect(record.firstCall.args[0]).to.deep.include({ status: 'failed', error: 'Forbidden', recipient: 'foo@bar.com' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should record suppressed emails and emails of sendMail()', function (done) {
+            const record = sinon.spy();
+            const { adapter } = createAdapter(config, { history: record, suppressions: true });
+
+            adapter.suppressions.store.add({ address: 'foo@bar.com', reason: 'bounce' })
+                .then(() => adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com' }))
+                .then(() => adapter.sendMail({ to: 'baz@bar.com', subject: 'Hi', text: 'Hello' }))
+                .then(() => {
+                    expect(record.firstCall.args[0]).to.deep.include({ templateName: 'customEmail', status: 'suppressed' });
+                    expect(record.secondCall.args[0]).to.deep.include({ templateName: undefined, recipient: 'baz@bar.com', status: 'sent' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not record dry runs', function (done) {
+            const record = sinon.spy();
+            const { adapter } = createAdapter(config, { history: record, dryRun: true });
+
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com' })
+                .then(() => {
+                    sinon.assert.notCalled(record);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send the email if the history can not be recorded', function (done) {
+            const warn = sinon.stub(console, 'warn');
+            const { adapter, sendMime } = createAdapter(config, { history: () => Promise.reject(new Error('Disk full')) });
+
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com' })
+                .then(body => {
+                    expect(body.id).to.equal('<message-id@example.com>');
+                    sinon.assert.calledOnce(sendMime);
+                    sinon.assert.calledWith(warn, 'MailgunAdapter: Could not record the email to foo@bar.com: Disk full');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should accept sinks that do not return a promise', function (done) {
+            const warn = sinon.stub(console, 'warn');
+            const sink = {
+                record: sinon.spy(() => undefined),
+                update: sinon.spy(() => {
+                    throw new Error('Read-only');
+                })
+            };
+            const { adapter, sendMime } = createAdapter(config, { history: sink, outbox: { store: new MemoryStore(), autoStart: false } });
+
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com' })
+                .then(entry => {
+                    sinon.assert.calledWith(sink.record, sinon.match({ id: entry.id, status: 'queued' }));
+                    return adapter.outbox.drain();
+                })
+                .then(summary => {
+                    expect(summary.sent).to.equal(1);
+                    sinon.assert.calledOnce(sendMime);
+                    sinon.assert.calledOnce(sink.update);
+                    sinon.assert.calledWith(warn, 'MailgunAdapter: Could not update the email history: Read-only');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not record batches', function (done) {
+            const record = sinon.spy();
+            const { adapter, sendMime } = createAdapter(config, { history: record });
+
+            adapter.sendBatch({ templateName: 'customEmail', recipients: [{ address: 'foo@bar.com' }, { address: 'bar@foo.com' }] })
+                .then(results => {
+                    expect(results.map(result => result.status)).to.deep.equal(['sent', 'sent']);
+                    sinon.assert.calledOnce(sendMime);
+                    sinon.assert.notCalled(record);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should update queued emails when the outbox delivers them', function (done) {
+            const record = sinon.spy();
+            const { adapter } = createAdapter(config, { history: record, outbox: { store: new MemoryStore(), autoStart: false } });
+            let entry;
+
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com' })
+                .then(result => {
+                    entry = result;
+                    expect(record.firstCall.args[0]).to.deep.include({ id: entry.id, status: 'queued' });
+                    return adapter.outbox.drain();
+                })
+                .then(() => {
+                    expect(record.secondCall.args[0]).to.deep.include({
+                        action: 'update',
+                        id: entry.id,
+                        status: 'sent',
+                        messageId: 'message-id@example.com'
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should mark dead-lettered emails as failed', function (done) {
+            const record = sinon.spy();
+            const onDeadLetter = sinon.spy();
+            const sendMime = (payload, callback) => callback(Object.assign(new Error('Forbidden'), { statusCode: 401 }));
+            const outbox = { store: new MemoryStore(), autoStart: false, onDeadLetter };
+            const { adapter } = createAdapter(config, { history: record, outbox }, sendMime);
+
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com' })
+                .then(() => adapter.outbox.drain())
+                .then(summary => {
+                    expect(summary.deadLettered).to.equal(1);
+                    expect(record.secondCall.args[0]).to.deep.include({ action: 'update', status: 'failed', error: 'Forbidden' });
+                    sinon.assert.calledOnce(onDeadLetter);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should record emails that are handed to the scheduler', function (done) {
+            const record = sinon.spy();
+            const { adapter } = createAdapter(config, { history: record, scheduler: { store: new MemoryStore(), autoStart: false } });
+            const sendAt = Date.now() + (7 * 24 * 60 * 60 * 1000);
+
+            adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com', sendAt })
+                .then(() => {
+                    expect(record.firstCall.args[0].status).to.equal('scheduled');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should update the history with webhook events', function (done) {
+            const record = sinon.spy();
+            const { adapter } = createAdapter(config, { history: record });
+            const handler = adapter.createWebhookHandler({ signingKey: 'key-webhook' });
+
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const token = 'abc';
+            const signature = crypto.createHmac('sha256', 'key-webhook').update(`${timestamp}${token}`).digest('hex');
+            const req = {
+                headers: {},
+                body: {
+                    signature: { timestamp, token, signature },
+                    'event-data': {
+                        event: 'delivered',
+                        recipient: 'foo@bar.com',
+                        timestamp: 2,
+                        message: { headers: { 'message-id': 'message-id@example.com' } },
+                        'delivery-status': { message: 'OK' }
+                    }
+                }
+            };
+            const res = { setHeader() {}, end() {} };
+
+            handler(req, res)
+                .then(() => {
+                    expect(res.statusCode).to.equal(200);
+                    expect(record.firstCall.args[0]).to.deep.equal({
+                        action: 'update',
+                        messageId: 'message-id@example.com',
+                        status: 'delivered',
+                        response: 'OK',
+                        updatedAt: 2000
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+    });
+});
@@ -0,0 +1,43 @@
+const expect = require('chai').expect;
+const { decodeEntities, htmlToText } = require('../src/htmlToText');
+
+describe('htmlToText', function () {
+    describe('#decodeEntities()', function () {
+        it('should decode named and numeric references', function () {
+            expect(decodeEntities('Tom &amp; Jerry &#8212; &#x41;&nbsp;&unknown;')).to.equal('Tom & Jerry — A &unknown;');
+        });
+    });
+
+    describe('#htmlToText()', function () {
+        it('should collapse whitespace and separate paragraphs', function () {
+            const html = '<html><head><title>Ignored</title><style>p { color: red; }</style></head>' +
+                '<body><p>Hi <b>foo</b>,<br>thanks   for\n signing up.</p><div>See you soon</div></body></html>';
+            expect(htmlToText(html)).to.equal('Hi foo,\nthanks for signing up.\n\nSee you soon');
+        });
+
+        it('should list links as footnotes', function () {
+            const html = '<p>Please <a href="https://foo.com/?a=1&amp;b=2">confirm</a> your account, ' +
+                'or <a href="https://foo.com/?a=1&amp;b=2">click here</a>. Mail <a href="mailto:help@foo.com">help@foo.com</a> ' +
+                'or visit <a href="https://foo.com">https://foo.com</a>.</p>';
+            const text = 'Please confirm [1] your account, or click here [1]. Mail help@foo.com or visit https://foo.com.\n\n' +
+                '[1] https://foo.com/?a=1&b=2';
+            expect(htmlToText(html)).to.equal(text);
+        });
+
+        it('should format headings', function () {
+            expect(htmlToText('<h1>Welcome</h1><h2>Next steps</h2><h3>Details</h3><p>Text</p>'))
+                .to.equal('Welcome\n=======\n\nNext steps\n----------\n\nDetails\n\nText');
+        });
+
+        it('should format lists', function () {
+            const html = '<p>Steps:</p><ol><li>Sign up</li><li>Confirm<ul><li>by email</li><li>by phone</li></ul></li></ol><p>Done</p>';
+            expect(htmlToText(html)).to.equal('Steps:\n\n1. Sign up\n2. Confirm\n  * by email\n  * by phone\n\nDone');
+        });
+
+        it('should keep preformatted text, table cells and image descriptions', function () {
+            const html = '<img src="logo.png" alt="AwesomeApp"><table><tr><td>Plan</td><td>Pro</td></tr></table>' +
+                '<pre>  code\n  block</pre><hr><p>End</p>';
+            expect(htmlToText(html)).to.equal('AwesomeApp\n\nPlan Pro\n\n  code\n  block\n\n----------\n\nEnd');
+        });
+    });
+});
@@ -0,0 +1,226 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const MailgunAdapter = require('../src/MailgunAdapter');
+const { createParseLoader } = require('../src/loaders');
+const { createParse, replyWithPayload, stubTransport } = require('./helpers');
+
+const rows = [
+    { className: 'EmailTemplate', name: 'welcome', text: 'Welcome {{username}}', html: '<b>Welcome {{username}}</b>' },
+    { className: 'EmailTemplate', name: 'welcome', locale: 'de', text: 'Willkommen {{username}}' },
+    { className: 'MailTemplate', key: 'welcome', body: 'Hello {{username}}' }
+];
+
+describe('loaders', function () {
+    describe('#createParseLoader()', function () {
+        it('should fail without the Parse SDK', function () {
+            expect(() => createParseLoader()).to.throw('The Parse template loader requires the Parse SDK.');
+        });
+
+        it('should load a template from the EmailTemplate class', function (done) {
+            const Parse = createParse(rows);
+            const loader = createParseLoader({ Parse });
+
+            loader('welcome')
+                .then(template => {
+                    expect(template).to.deep.equal({ text: 'Welcome {{username}}', html: '<b>Welcome {{username}}</b>' });
+                    expect(Parse.Query.instances[0].options).to.deep.equal({ useMasterKey: true });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should filter by locale when one is given', function (done) {
+            const loader = createParseLoader({ Parse: createParse(rows) });
+
+            loader('welcome', 'de')
+                .then(template => {
+                    expect(template).to.deep.equal({ text: 'Willkommen {{username}}', html: undefined });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should only load a version without a locale when none is given', function (done) {
+            const localizedRows = [
+                { className: 'EmailTemplate', name: 'welcome', locale: 'de', text: 'Willkommen' },
+                { className: 'EmailTemplate', name: 'welcome', locale: 'fr', text: 'Bienvenue' },
+                { className: 'EmailTemplate', name: 'welcome', text: 'Welcome' },
+                { className: 'EmailTemplate', name: 'goodbye', locale: 'de', text: 'Tschüss' }
+            ];
+            const loader = createParseLoader({ Parse: createParse(localizedRows) });
+
+            Promise.all([loader('welcome'), loader('welcome', 'fr'), loader('goodbye')])
+                .then(templates => {
+                    expect(templates.map(template => template && template.text)).to.deep.equal(['Welcome', 'Bienvenue', null]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should load the versions of the defaultLocale when no locale is given', function (done) {
+            const localizedRows = [
+                { className: 'EmailTemplate', name: 'welcome', locale: 'de', text: 'Willkommen' },
+                { className: 'EmailTemplate', name: 'welcome', locale: 'en', text: 'Welcome' }
+            ];
+            const loader = createParseLoader({ Parse: createParse(localizedRows), defaultLocale: 'en' });
+
+            loader('welcome')
+                .then(template => {
+                    expect(template.text).to.equal('Welcome');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should resolve with null if the template does not exist', function (done) {
+            const loader = createParseLoader({ Parse: createParse(rows) });
+
+            loader('goodbye')
+                .then(template => {
+                    expect(template).to.be.null;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use the configured class and field names', function (done) {
+            const loader = createParseLoader({
+                Parse: createParse(rows),
+                className: 'MailTemplate',
+                nameField: 'key',
+                textField: 'body'
+            });
+
+            loader('welcome')
+                .then(template => {
+                    expect(template.text).to.equal('Hello {{username}}');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use the global Parse object by default', function () {
+            global.Parse = createParse(rows);
+            const loader = createParseLoader();
+            delete global.Parse;
+            expect(loader).to.be.a('function');
+        });
+    });
+
+    describe('MailgunAdapter with template loaders', function () {
+        const options = {
+            apiKey: '.', domain: '.', fromAddress: 'AwesomeApp <noreply@awesomeapp.com>'
+        };
+
+        it('should fail if a loader is not a function', function () {
+            expect(() => new MailgunAdapter(Object.assign({}, options, {
+                loader: 'parse',
+                templates: { welcome: { subject: 'Welcome' } }
+            }))).to.throw('MailgunAdapter template loader is not a function.');
+
+            expect(() => new MailgunAdapter(Object.assign({}, options, {
+                templates: { welcome: { subject: 'Welcome', loader: {} } }
+            }))).to.throw('MailgunAdapter template loader is not a function.');
+        });
+
+        it('should send templates defined as inline strings', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                templates: {
+                    welcome: { subject: 'Welcome', text: 'Welcome {{username}}', html: '<b>Welcome {{username}}</b>' }
+                }
+            }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(payload => {
+                    expect(payload.message).to.match(/Welcome foo/);
+                    expect(payload.message).to.match(/<b>Welcome foo<\/b>/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should load templates through the template loader and cache them', function (done) {
+            const loader = sinon.spy(() => Promise.resolve({ text: 'Welcome {{username}}' }));
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                templates: { welcome: { subject: 'Welcome', loader } }
+            }));
+            stubTransport(adapter, replyWithPayload);
+            const send = () => adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com', variables: { username: 'foo' } });
+
+            send()
+                .then(send)
+                .then(payload => {
+                    sinon.assert.calledOnce(loader);
+                    sinon.assert.calledWith(loader, 'welcome');
+                    expect(payload.message).to.match(/Welcome foo/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use the adapter-level loader for templates without a source', function (done) {
+            const loader = sinon.spy(() => ({ text: 'Loaded {{username}}' }));
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                loader,
+                templates: { welcome: { subject: 'Welcome' } }
+            }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(payload => {
+                    expect(payload.message).to.match(/Loaded foo/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should load templates from a Parse class', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                loader: createParseLoader({ Parse: createParse(rows) }),
+                templates: { welcome: { subject: 'Welcome' } }
+            }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(payload => {
+                    expect(payload.message).to.match(/<b>Welcome foo<\/b>/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a TemplateError if the loader does not find the template', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                loader: () => Promise.resolve(null),
+                templates: { welcome: { subject: 'Welcome' } }
+            }));
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(MailgunAdapter.TemplateError);
+                    expect(error.message).to.equal('Template loader did not return a text template for welcome');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a TemplateError if the loader fails', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                loader: () => Promise.reject(new Error('Connection lost')),
+                templates: { welcome: { subject: 'Welcome' } }
+            }));
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(MailgunAdapter.TemplateError);
+                    expect(error.cause.message).to.equal('Connection lost');
+                    expect(error.templateName).to.equal('welcome');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+});
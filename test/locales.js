@@ -0,0 +1,256 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const path = require('path');
+const MailgunAdapter = require('../src/MailgunAdapter');
+const { ConfigurationError, TemplateError } = require('../src/errors');
+const { getLocaleChain, hasLocalePattern, isLocale, localize, values } = require('../src/locales');
+const { replyWithPayload, stubTransport } = require('./helpers');
+
+const templatesDir = path.join(__dirname, 'email-templates');
+const options = {
+    apiKey: '.', domain: '.', fromAddress: 'AwesomeApp <noreply@awesomeapp.com>'
+};
+
+// Mock Parse.User object with a locale field
+class User {
+    constructor(locale) {
+        this.attributes = { username: 'foo', email: 'foo@bar.com', locale };
+    }
+
+    get(key) {
+        return this.attributes[key];
+    }
+}
+
+describe('locales', function () {
+    describe('#getLocaleChain()', function () {
+        it('should go from the most to the least specific locale', function () {
+            expect(getLocaleChain('de-AT')).to.deep.equal(['de-AT', 'de']);
+            expect(getLocaleChain('zh_Hant_TW')).to.deep.equal(['zh-Hant-TW', 'zh-Hant', 'zh']);
+        });
+
+        it('should end with the default locale', function () {
+            expect(getLocaleChain('de-AT', 'en')).to.deep.equal(['de-AT', 'de', 'en']);
+            expect(getLocaleChain('en-GB', 'en')).to.deep.equal(['en-GB', 'en']);
+            expect(getLocaleChain(undefined, 'en')).to.deep.equal(['en']);
+            expect(getLocaleChain()).to.deep.equal([]);
+        });
+    });
+
+    describe('#localize()', function () {
+        it('should pick the first locale of the chain', function () {
+            const subject = { en: 'Welcome', de: 'Willkommen', default: 'Hi' };
+            expect(localize(subject, ['de-AT', 'de', 'en'])).to.equal('Willkommen');
+            expect(localize(subject, ['fr'])).to.equal('Hi');
+            expect(localize({ en: 'Welcome' }, ['fr'])).to.be.undefined;
+        });
+
+        it('should return settings that are not localized as they are', function () {
+            expect(localize('Welcome', ['de'])).to.equal('Welcome');
+        });
+    });
+
+    describe('#values()', function () {
+        it('should list the values of a setting', function () {
+            expect(values({ en: 'a', de: 'b' })).to.deep.equal(['a', 'b']);
+            expect(values('a')).to.deep.equal(['a']);
+            expect(values(undefined)).to.deep.equal([]);
+        });
+    });
+
+    describe('#isLocale()', function () {
+        it('should accept language tags only', function () {
+            ['en', 'de-AT', 'zh_Hant_TW', 'es-419'].forEach(locale => expect(isLocale(locale)).to.be.true);
+            ['', 'e', '../other', 'x/../de', 'de-AT/..', 'de AT', 42, undefined].forEach(locale => expect(isLocale(locale)).to.be.false);
+        });
+    });
+
+    describe('#hasLocalePattern()', function () {
+        it('should detect the {locale} placeholder', function () {
+            expect(hasLocalePattern('templates/{locale}/welcome.txt')).to.be.true;
+            expect(hasLocalePattern('templates/welcome.txt')).to.be.false;
+            expect(hasLocalePattern({ en: 'templates/{locale}/welcome.txt' })).to.be.false;
+        });
+    });
+
+    describe('MailgunAdapter with localized templates', function () {
+        const templates = {
+            byMap: {
+                subject: { en: 'Thanks', de: 'Danke' },
+                pathPlainText: {
+                    en: path.join(templatesDir, 'en/custom_email.txt'),
+                    de: path.join(templatesDir, 'de/custom_email.txt')
+                }
+            },
+            byPattern: {
+                subject: { default: 'Thanks', de: 'Danke' },
+                pathPlainText: path.join(templatesDir, '{locale}/custom_email.txt')
+            },
+            verificationEmail: {
+                subject: { en: 'Confirm your account', de: 'Konto bestätigen' },
+                pathPlainText: path.join(templatesDir, '{locale}/custom_email.txt')
+            }
+        };
+
+        it('should fail if a localized subject is not a string', function () {
+            expect(() => new MailgunAdapter(Object.assign({}, options, {
+                templates: { byMap: { subject: { en: 1 }, pathPlainText: '.' } }
+            }))).to.throw('MailgunAdapter templates are not properly configured.');
+        });
+
+        it('should fail if the defaultLocale is not a language tag', function () {
+            expect(() => new MailgunAdapter(Object.assign({}, options, { templates, defaultLocale: '../en' })))
+                .to.throw(ConfigurationError, 'MailgunAdapter defaultLocale must be a language tag such as en or en-US.');
+        });
+
+        it('should fail if the localeResolver is not a function', function () {
+            expect(() => new MailgunAdapter(Object.assign({}, options, { templates, localeResolver: 'locale' })))
+                .to.throw('MailgunAdapter localeResolver is not a function.');
+        });
+
+        it('should pick the template and subject for the locale passed to send()', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates, defaultLocale: 'en' }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'byMap', recipient: 'foo@bar.com', variables: { username: 'foo' }, locale: 'de-AT' })
+                .then(payload => {
+                    expect(payload.message).to.match(/Subject: Danke/);
+                    expect(payload.message).to.match(/Hallo foo,/);
+                    expect(adapter.cache[`byMap:${templates.byMap.pathPlainText.de}`]).to.be.ok;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should fall back to the default locale', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates, defaultLocale: 'en' }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'byPattern', recipient: 'foo@bar.com', variables: { username: 'foo' }, locale: 'fr' })
+                .then(payload => {
+                    expect(payload.message).to.match(/Subject: Thanks/);
+                    expect(payload.message).to.match(/Hi foo,/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use the locale of the Parse user for Parse Server emails', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates, defaultLocale: 'en' }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.sendVerificationEmail({ link: 'https://link', appName: 'AwesomeApp', user: new User('de-CH') })
+                .then(payload => {
+                    expect(payload.message).to.match(/Subject: Konto =\?UTF-8\?Q\?best=C3=A4tigen\?=/);
+                    expect(payload.message).to.match(/Hallo foo,/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use a custom localeResolver', function (done) {
+            const localeResolver = sinon.spy(() => 'de');
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates, defaultLocale: 'en', localeResolver }));
+            stubTransport(adapter, replyWithPayload);
+            const user = new User();
+
+            adapter.sendVerificationEmail({ link: 'https://link', appName: 'AwesomeApp', user })
+                .then(payload => {
+                    sinon.assert.calledWith(localeResolver, user);
+                    expect(payload.message).to.match(/Hallo foo,/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a TemplateError if no file exists for the locale', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates }));
+
+            adapter.send({ templateName: 'byPattern', recipient: 'foo@bar.com', locale: 'fr' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(TemplateError);
+                    expect(error.message).to.equal('Could not find a template file for locale fr in template byPattern');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject locales that are not language tags', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates, defaultLocale: 'en' }));
+            const sendMime = stubTransport(adapter, replyWithPayload);
+            const calls = ['x/../de', '../other'].map(locale => {
+                return adapter.send({ templateName: 'byPattern', recipient: 'foo@bar.com', locale }).then(() => null, error => error);
+            });
+            calls.push(adapter.sendVerificationEmail({ link: 'https://link', appName: 'AwesomeApp', user: new User('../de') })
+                .then(() => null, error => error));
+            calls.push(adapter.sendBatch({ templateName: 'byPattern', recipients: [{ address: 'foo@bar.com' }], locale: '../de' })
+                .then(() => null, error => error));
+
+            Promise.all(calls)
+                .then(errors => {
+                    expect(errors.map(error => error instanceof TemplateError)).to.deep.equal([true, true, true, true]);
+                    expect(errors[0].message).to.equal('Invalid locale x/../de for template byPattern');
+                    expect(errors[2].locale).to.equal('../de');
+                    sinon.assert.notCalled(sendMime);
+                    expect(adapter.cache).to.deep.equal({});
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should cache localized files once for all locales that resolve to them', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates, defaultLocale: 'en' }));
+            stubTransport(adapter, replyWithPayload);
+            const send = locale => adapter.send({ templateName: 'byPattern', recipient: 'foo@bar.com', variables: { username: 'foo' }, locale });
+
+            Promise.all(['de-AT', 'de_AT', 'de', 'fr', 'en'].map(send))
+                .then(() => {
+                    expect(Object.keys(adapter.cache).sort()).to.deep.equal([
+                        `byPattern:${path.join(templatesDir, 'de/custom_email.txt')}`,
+                        `byPattern:${path.join(templatesDir, 'en/custom_email.txt')}`
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with a TemplateError if there is no subject for the locale', function (done) {
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates }));
+            adapter.send({ templateName: 'byMap', recipient: 'foo@bar.com', locale: 'fr' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.instanceof(TemplateError);
+                    expect(error.message).to.equal('Could not find a subject for locale fr in template byMap');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should ask the loader for each locale of the chain', function (done) {
+            const loader = sinon.spy((name, locale) => {
+                return locale === 'de' ? { text: 'Hallo {{username}}' } : null;
+            });
+            const adapter = new MailgunAdapter(Object.assign({}, options, {
+                loader,
+                templates: { welcome: { subject: 'Welcome' } }
+            }));
+            stubTransport(adapter, replyWithPayload);
+
+            adapter.send({ templateName: 'welcome', recipient: 'foo@bar.com', variables: { username: 'foo' }, locale: 'de-AT' })
+                .then(payload => {
+                    expect(loader.args.map(args => args[1])).to.deep.equal(['de-AT', 'de']);
+                    expect(payload.message).to.match(/Hallo foo/);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should clear all locales of a template from the cache', function () {
+            const adapter = new MailgunAdapter(Object.assign({}, options, { templates }));
+            adapter.cache = { byMap: {}, 'byMap:de': {}, 'byMap:en': {}, byMapOther: {} };
+            adapter.clearTemplateCache('byMap');
+            expect(adapter.cache).to.deep.equal({ byMapOther: {} });
+        });
+    });
+});
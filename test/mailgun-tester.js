@@ -0,0 +1,287 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const MailgunAdapter = require('../src/MailgunAdapter');
+const { run } = require('../src/mailgun-tester');
+const { loadConfig, createAdapter } = require('../src/mailgun-tester/config');
+
+const templatesDir = path.join(__dirname, 'email-templates');
+
+function createIo() {
+    const io = { out: '', err: '' };
+    io.stdout = { write: text => { io.out += text; } };
+    io.stderr = { write: text => { io.err += text; } };
+    return io;
+}
+
+function writeJson(name, data) {
+    const file = path.join(os.tmpdir(), `mailgun-tester-${process.pid}-${name}`);
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+}
+
+describe('mailgun-tester', function () {
+    let configPath, legacyConfigPath;
+
+    before(function () {
+        configPath = writeJson('config.json', {
+            apiKey: 'key-dummy',
+            domain: 'example.com',
+            fromAddress: 'Team <noreply@example.com>',
+            templates: {
+                welcome: {
+                    subject: 'Welcome {{username}}',
+                    pathPlainText: path.join(templatesDir, 'custom_email.txt')
+                },
+                broken: {
+                    subject: 'Broken',
+                    text: 'Hi {{#username}}'
+                }
+            }
+        });
+        legacyConfigPath = writeJson('legacy.json', {
+            apiKey: 'key-dummy',
+            domain: 'example.com',
+            fromAddress: 'Team <noreply@example.com>',
+            recipient: 'me@example.com',
+            username: 'you',
+            appName: 'YourApp'
+        });
+    });
+
+    after(function () {
+        [configPath, legacyConfigPath].forEach(file => fs.unlinkSync(file));
+    });
+
+    afterEach(function () {
+        sinon.restore();
+    });
+
+    describe('config', function () {
+        it('should use the sample templates for configurations without templates', function () {
+            const config = loadConfig(legacyConfigPath);
+            expect(config.templates).to.have.all.keys('passwordResetEmail', 'verificationEmail', 'customAlert');
+            expect(config.templates.customAlert.variables).to.deep.equal({ username: 'you', appName: 'YourApp' });
+        });
+
+        it('should fail if the configuration file does not exist', function () {
+            expect(() => loadConfig('does-not-exist.json')).to.throw('Could not find the configuration file');
+        });
+
+        it('should create a dry-run adapter without Mailgun settings', function () {
+            const adapter = createAdapter({ templates: { welcome: { subject: 'Hi', text: 'Hi' } }, watchTemplates: true }, true);
+            expect(adapter.dryRun).to.equal(true);
+            expect(adapter.watching).to.equal(false);
+        });
+    });
+
+    describe('#run()', function () {
+        it('should print the usage without a command', function (done) {
+            const io = createIo();
+            run([], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.out).to.contain('Usage: parse-server-mailgun');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should fail for an unknown command', function (done) {
+            const io = createIo();
+            run(['deliver', '--config', configPath], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.err).to.equal('Error: Unknown command deliver, see --help\n');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should fail for a missing configuration file', function (done) {
+            const io = createIo();
+            run(['render', '--config', 'does-not-exist.json'], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.err).to.contain('Could not find the configuration file');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should render a template with inline variables', function (done) {
+            const io = createIo();
+            run(['render', '--config', configPath, '--template', 'welcome', '--variables', '{"username": "Anna"}'], io)
+                .then(code => {
+                    expect(code).to.equal(0);
+                    expect(io.out).to.contain('Subject: Welcome Anna');
+                    expect(io.err).to.equal('');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should read the variables from a file and write the message to a file', function (done) {
+            const io = createIo();
+            const variablesPath = writeJson('variables.json', { username: 'Anna' });
+            const outputPath = path.join(os.tmpdir(), `mailgun-tester-${process.pid}-message.eml`);
+            run(['render', '--config', configPath, '--template', 'welcome', '--variables', variablesPath, '--output', outputPath], io)
+                .then(code => {
+                    expect(code).to.equal(0);
+                    expect(io.out).to.equal(`Wrote the message to ${outputPath}\n`);
+                    expect(fs.readFileSync(outputPath, 'utf8')).to.contain('Subject: Welcome Anna');
+                    fs.unlinkSync(variablesPath);
+                    fs.unlinkSync(outputPath);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should fail for invalid variables', function (done) {
+            const io = createIo();
+            run(['render', '--config', configPath, '--template', 'welcome', '--variables', '{username}'], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.err).to.contain('Invalid JSON for --variables');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should fail for a template that does not render', function (done) {
+            const io = createIo();
+            run(['render', '--config', configPath, '--template', 'broken'], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.err).to.contain('RenderingError');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send the rendered message', function (done) {
+            const io = createIo();
+            const sendMime = sinon.stub(MailgunAdapter.prototype, '_sendMime').resolves({ id: '<1@example.com>' });
+            run(['send', '--config', configPath, '--template', 'welcome', '--to', 'foo@bar.com'], io)
+                .then(code => {
+                    expect(code).to.equal(0);
+                    expect(sendMime.calledOnce).to.be.true;
+                    expect(sendMime.firstCall.args[0]).to.equal('foo@bar.com');
+                    expect(String(sendMime.firstCall.args[1])).to.contain('Subject: Welcome');
+                    expect(io.out).to.equal('Sent to foo@bar.com: <1@example.com>\n');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send the customAlert template to the recipient of a legacy configuration', function (done) {
+            const io = createIo();
+            const sendMime = sinon.stub(MailgunAdapter.prototype, '_sendMime').resolves({});
+            run(['send', '--config', legacyConfigPath], io)
+                .then(code => {
+                    expect(code).to.equal(0);
+                    expect(sendMime.firstCall.args[0]).to.equal('me@example.com');
+                    expect(String(sendMime.firstCall.args[1])).to.contain('Subject: Important notice');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send with the Mailgun options of the configuration', function (done) {
+            const io = createIo();
+            const optionsConfigPath = writeJson('options.json', {
+                apiKey: 'key-dummy',
+                domain: 'example.com',
+                fromAddress: 'Team <noreply@example.com>',
+                mailgunOptions: { testMode: true, tags: 'test' },
+                templates: { welcome: { subject: 'Welcome', text: 'Hi {{username}}' } }
+            });
+            const sendMime = sinon.stub(MailgunAdapter.prototype, '_sendMime').resolves({ id: '<1@example.com>' });
+            run(['send', '--config', optionsConfigPath, '--template', 'welcome', '--to', 'foo@bar.com'], io)
+                .then(code => {
+                    fs.unlinkSync(optionsConfigPath);
+                    expect(code).to.equal(0);
+                    expect(sendMime.firstCall.args[2]).to.deep.include({ 'o:testmode': 'yes', 'o:tag': ['test'] });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not send in a dry run', function (done) {
+            const io = createIo();
+            const sendMime = sinon.stub(MailgunAdapter.prototype, '_sendMime').resolves({});
+            run(['send', '--config', configPath, '--template', 'welcome', '--to', 'foo@bar.com', '--dry-run'], io)
+                .then(code => {
+                    expect(code).to.equal(0);
+                    expect(sendMime.called).to.be.false;
+                    expect(io.out).to.contain('Subject: Welcome');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should fail to send without a recipient', function (done) {
+            const io = createIo();
+            run(['send', '--config', configPath, '--template', 'welcome'], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.err).to.equal('Error: Missing --to\n');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should exit with a non-zero code if sending fails', function (done) {
+            const io = createIo();
+            sinon.stub(MailgunAdapter.prototype, '_sendMime').rejects(new Error('Forbidden'));
+            run(['send', '--config', configPath, '--template', 'welcome', '--to', 'foo@bar.com'], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.err).to.equal('MailgunAdapterError: Forbidden\n');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should validate all templates', function (done) {
+            const io = createIo();
+            run(['validate', '--config', configPath], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.out).to.contain('warning Missing the passwordResetEmail template');
+                    expect(io.out).to.contain('error   Could not compile the text of template broken');
+                    expect(io.out).to.contain('ok      welcome\n');
+                    expect(io.out).to.contain('failed  broken: ');
+                    expect(io.out).to.contain('1 of 2 templates are valid');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should validate a single template', function (done) {
+            const io = createIo();
+            run(['validate', '--config', legacyConfigPath, '--template', 'customAlert'], io)
+                .then(code => {
+                    expect(code).to.equal(0);
+                    expect(io.out).to.equal('ok      customAlert\n1 of 1 templates are valid\n');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should fail to validate an invalid configuration', function (done) {
+            const io = createIo();
+            const invalidConfigPath = writeJson('invalid.json', { templates: {} });
+            run(['validate', '--config', invalidConfigPath], io)
+                .then(code => {
+                    expect(code).to.equal(1);
+                    expect(io.err).to.contain('MailgunAdapter');
+                    fs.unlinkSync(invalidConfigPath);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+});
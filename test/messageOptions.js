@@ -0,0 +1,82 @@
+const expect = require('chai').expect;
+const { MAX_DELIVERY_DELAY, findProblem, mergeMessageOptions, toMailgunParams } = require('../src/messageOptions');
+
+describe('messageOptions', function () {
+    describe('#findProblem()', function () {
+        it('should accept valid options', function () {
+            expect(findProblem(undefined)).to.be.undefined;
+            expect(findProblem({
+                tags: ['password-reset', 'parse'],
+                tracking: true,
+                trackingClicks: 'htmlonly',
+                trackingOpens: false,
+                testMode: true,
+                deliveryTime: new Date(Date.now() + (60 * 60 * 1000)),
+                variables: { userId: '42', plan: { name: 'pro' } }
+            })).to.be.undefined;
+            expect(findProblem({ tags: 'password-reset' })).to.be.undefined;
+        });
+
+        it('should report unknown options and invalid values', function () {
+            expect(findProblem('password-reset')).to.equal('mailgunOptions must be an object');
+            expect(findProblem({ tag: 'a' })).to.equal('unknown mailgunOptions tag');
+            expect(findProblem({ testMode: 'yes' })).to.equal('testMode must be a boolean');
+            expect(findProblem({ trackingClicks: 'always' })).to.equal("trackingClicks must be a boolean or 'htmlonly'");
+            expect(findProblem({ variables: ['a'] })).to.equal('variables must be an object');
+        });
+
+        it('should enforce the limits of Mailgun', function () {
+            expect(findProblem({ tags: ['a', 'b', 'c', 'd'] })).to.equal('a message can have at most 3 tags');
+            expect(findProblem({ tags: ['x'.repeat(129)] })).to.match(/must be a string of 1 to 128 ASCII characters$/);
+            expect(findProblem({ tags: ['Passwort zurücksetzen'] })).to.match(/ASCII characters$/);
+            expect(findProblem({ tags: [''] })).to.match(/ASCII characters$/);
+            expect(findProblem({ variables: { data: 'x'.repeat(5000) } })).to.equal('variables must not be larger than 4096 bytes');
+        });
+
+        it('should check the delivery time', function () {
+            expect(findProblem({ deliveryTime: 'tomorrow' })).to.equal('deliveryTime tomorrow is not a valid date');
+            expect(findProblem({ deliveryTime: Date.now() + MAX_DELIVERY_DELAY + 60000 })).to.match(/is more than 3 days in the future$/);
+        });
+    });
+
+    describe('#mergeMessageOptions()', function () {
+        it('should combine tags and variables, and replace the other options', function () {
+            const merged = mergeMessageOptions(
+                { tags: 'parse', tracking: false, variables: { app: 'a', env: 'prod' } },
+                undefined,
+                { tags: ['password-reset', 'parse'], tracking: true, variables: { app: 'b' } }
+            );
+            expect(merged).to.deep.equal({
+                tags: ['parse', 'password-reset'],
+                tracking: true,
+                variables: { app: 'b', env: 'prod' }
+            });
+            expect(mergeMessageOptions({}, undefined)).to.deep.equal({});
+        });
+    });
+
+    describe('#toMailgunParams()', function () {
+        it('should convert the options into sendMime parameters', function () {
+            const deliveryTime = new Date(Date.UTC(2030, 0, 2, 10, 30));
+            expect(toMailgunParams({
+                tags: ['password-reset'],
+                tracking: true,
+                trackingClicks: 'htmlonly',
+                trackingOpens: false,
+                testMode: true,
+                deliveryTime,
+                variables: { userId: '42', plan: { name: 'pro' } }
+            })).to.deep.equal({
+                'o:tag': ['password-reset'],
+                'o:tracking': 'yes',
+                'o:tracking-clicks': 'htmlonly',
+                'o:tracking-opens': 'no',
+                'o:testmode': 'yes',
+                'o:deliverytime': 'Wed, 02 Jan 2030 10:30:00 GMT',
+                'v:userId': '42',
+                'v:plan': '{"name":"pro"}'
+            });
+            expect(toMailgunParams({ trackingClicks: false })).to.deep.equal({ 'o:tracking-clicks': 'no' });
+        });
+    });
+});
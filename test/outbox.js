@@ -0,0 +1,433 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const MailgunAdapter = require('../src/MailgunAdapter');
+const { OutboxStore, MemoryStore, FileStore, OutboxWorker } = require('../src/outbox');
+const { createAdapter } = require('./helpers');
+
+const config = {
+    fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+    domain: 'yourmailgundomain.mailgun.org',
+    apiKey: 'secretApiKey',
+    templates: {
+        customAlert: {
+            subject: 'Important notice about your account',
+            pathPlainText: path.join(__dirname, 'email-templates/custom_email.txt')
+        }
+    }
+};
+
+function createEntry(id, availableAt) {
+    return { id, to: 'foo@bar.com', message: 'MIME', attempts: 0, createdAt: availableAt, availableAt };
+}
+
+function failWith(status, message) {
+    const error = new Error(message || 'Mailgun error');
+    error.status = status;
+    return error;
+}
+
+describe('outbox', function () {
+    describe('OutboxStore', function () {
+        it('should reject for every method that is not implemented', function (done) {
+            const store = new OutboxStore();
+            store.enqueue({})
+                .catch(error => {
+                    expect(error.message).to.equal('OutboxStore.enqueue() is not implemented');
+                    return store.listDeadLetters();
+                })
+                .catch(error => {
+                    expect(error.message).to.equal('OutboxStore.listDeadLetters() is not implemented');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('MemoryStore', function () {
+        it('should fetch the due entries oldest first', function (done) {
+            const store = new MemoryStore();
+            Promise.all([
+                store.enqueue(createEntry('b', 20)),
+                store.enqueue(createEntry('a', 10)),
+                store.enqueue(createEntry('c', 100))
+            ])
+                .then(() => store.fetchDue(50, 10))
+                .then(entries => {
+                    expect(entries.map(entry => entry.id)).to.deep.equal(['a', 'b']);
+                    return store.fetchDue(50, 1);
+                })
+                .then(entries => {
+                    expect(entries.map(entry => entry.id)).to.deep.equal(['a']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should update, remove and dead-letter entries', function (done) {
+            const store = new MemoryStore();
+            Promise.all([store.enqueue(createEntry('a', 10)), store.enqueue(createEntry('b', 10))])
+                .then(() => store.update(Object.assign(createEntry('a', 1000), { attempts: 1 })))
+                .then(() => store.moveToDeadLetter(createEntry('b', 10)))
+                .then(() => store.fetchDue(2000, 10))
+                .then(entries => {
+                    expect(entries).to.have.lengthOf(1);
+                    expect(entries[0].attempts).to.equal(1);
+                    return store.listDeadLetters();
+                })
+                .then(deadLetters => {
+                    expect(deadLetters.map(entry => entry.id)).to.deep.equal(['b']);
+                    return store.remove('a');
+                })
+                .then(() => store.fetchDue(2000, 10))
+                .then(entries => {
+                    expect(entries).to.be.empty;
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('FileStore', function () {
+        let filePath;
+
+        beforeEach(function () {
+            filePath = path.join(os.tmpdir(), `parse-server-mailgun-outbox-${process.pid}-${Date.now()}.json`);
+        });
+
+        afterEach(function () {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        });
+
+        it('should require a path', function () {
+            expect(() => new FileStore()).to.throw('FileStore requires the path of a JSON file.');
+        });
+
+        it('should persist entries across instances', function (done) {
+            const store = new FileStore(filePath);
+            Promise.all([store.enqueue(createEntry('a', 10)), store.enqueue(createEntry('b', 10))])
+                .then(() => store.moveToDeadLetter(createEntry('b', 10)))
+                .then(() => {
+                    // A new instance simulates a restart of the process
+                    const restarted = new FileStore(filePath);
+                    return Promise.all([restarted.fetchDue(100, 10), restarted.listDeadLetters()]);
+                })
+                .then(results => {
+                    expect(results[0].map(entry => entry.id)).to.deep.equal(['a']);
+                    expect(results[1].map(entry => entry.id)).to.deep.equal(['b']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject if the file contains invalid JSON', function (done) {
+            fs.writeFileSync(filePath, '{');
+            const store = new FileStore(filePath);
+            store.fetchDue(100, 10)
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error).to.be.an.instanceof(SyntaxError);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('OutboxWorker', function () {
+        it('should remove delivered entries', function (done) {
+            const store = new MemoryStore();
+            const send = sinon.spy(() => Promise.resolve());
+            const worker = new OutboxWorker({ store, send });
+
+            store.enqueue(createEntry('a', 0))
+                .then(() => worker.drain())
+                .then(summary => {
+                    expect(summary).to.deep.equal({ sent: 1, retried: 0, deadLettered: 0 });
+                    sinon.assert.calledOnce(send);
+                    expect(store.queue).to.be.empty;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reschedule entries that failed with a transient error', function (done) {
+            const clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] });
+            const store = new MemoryStore();
+            const send = () => Promise.reject(failWith(503, 'Service unavailable'));
+            const worker = new OutboxWorker({ store, send, retry: { baseDelay: 500, jitter: 0 } });
+
+            store.enqueue(createEntry('a', 0))
+                .then(() => worker.drain())
+                .then(summary => {
+                    clock.restore();
+                    expect(summary).to.deep.equal({ sent: 0, retried: 1, deadLettered: 0 });
+                    expect(store.queue[0].attempts).to.equal(1);
+                    expect(store.queue[0].availableAt).to.equal(1500);
+                    expect(store.queue[0].lastError).to.equal('Service unavailable');
+                    done();
+                })
+                .catch(error => {
+                    clock.restore();
+                    done(error);
+                });
+        });
+
+        it('should dead-letter entries after the maximum number of attempts', function (done) {
+            const store = new MemoryStore();
+            const onDeadLetter = sinon.spy();
+            const error = failWith(503);
+            const send = () => Promise.reject(error);
+            const worker = new OutboxWorker({ store, send, onDeadLetter, retry: { maxAttempts: 2 } });
+
+            store.enqueue(Object.assign(createEntry('a', 0), { attempts: 1 }))
+                .then(() => worker.drain())
+                .then(summary => {
+                    expect(summary).to.deep.equal({ sent: 0, retried: 0, deadLettered: 1 });
+                    expect(store.queue).to.be.empty;
+                    expect(store.deadLetters[0].attempts).to.equal(2);
+                    sinon.assert.calledWith(onDeadLetter, sinon.match({ id: 'a' }), error);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should dead-letter entries that failed with a permanent error', function (done) {
+            const store = new MemoryStore();
+            const send = () => Promise.reject(failWith(400, 'Bad request'));
+            const worker = new OutboxWorker({ store, send });
+
+            store.enqueue(createEntry('a', 0))
+                .then(() => worker.drain())
+                .then(summary => {
+                    expect(summary.deadLettered).to.equal(1);
+                    expect(store.deadLetters[0].lastError).to.equal('Bad request');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should share a running drain between concurrent calls', function () {
+            const worker = new OutboxWorker({ store: new MemoryStore(), send: () => Promise.resolve() });
+            expect(worker.drain()).to.equal(worker.drain());
+        });
+
+        it('should poll the store while started', function (done) {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            const worker = new OutboxWorker({ store: new MemoryStore(), send: () => Promise.resolve(), pollInterval: 100 });
+            const drain = sinon.stub(worker, 'drain').resolves({});
+
+            worker.start();
+            worker.start();
+            clock.tick(100);
+            sinon.assert.calledOnce(drain);
+
+            setImmediate(() => {
+                clock.tick(100);
+                sinon.assert.calledTwice(drain);
+                worker.stop();
+                clock.tick(1000);
+                sinon.assert.calledTwice(drain);
+                clock.restore();
+                done();
+            });
+        });
+
+        it('should keep polling when onError fails', function (done) {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            const consoleError = sinon.stub(console, 'error');
+            const onError = sinon.spy(() => {
+                throw new Error('Handler failed');
+            });
+            const worker = new OutboxWorker({ store: new MemoryStore(), send: () => Promise.resolve(), pollInterval: 100, onError });
+            const drain = sinon.stub(worker, 'drain').rejects(new Error('Store down'));
+
+            worker.start();
+            clock.tick(100);
+
+            setImmediate(() => {
+                clock.tick(100);
+                sinon.assert.calledTwice(drain);
+                sinon.assert.calledWith(onError, sinon.match({ message: 'Store down' }));
+                sinon.assert.calledWith(consoleError, sinon.match({ message: 'Handler failed' }));
+                worker.stop();
+                clock.restore();
+                consoleError.restore();
+                done();
+            });
+        });
+
+        it('should keep a single poll loop when restarted during a drain', function (done) {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            const worker = new OutboxWorker({ store: new MemoryStore(), send: () => Promise.resolve(), pollInterval: 100 });
+            let finishDrain;
+            const drain = sinon.stub(worker, 'drain').callsFake(() => new Promise(resolve => {
+                finishDrain = resolve;
+            }));
+
+            worker.start();
+            clock.tick(100);
+            sinon.assert.calledOnce(drain);
+
+            // Restarted while the first poll is still draining
+            worker.stop();
+            worker.start();
+            finishDrain({});
+
+            setImmediate(() => {
+                clock.tick(100);
+                sinon.assert.calledTwice(drain);
+                finishDrain({});
+
+                setImmediate(() => {
+                    clock.tick(100);
+                    sinon.assert.calledThrice(drain);
+                    worker.stop();
+                    clock.restore();
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('MailgunAdapter in outbox mode', function () {
+        it('should fail if the store does not implement the OutboxStore interface', function () {
+            const options = Object.assign({}, config, { outbox: { store: {} } });
+            expect(() => new MailgunAdapter(options))
+                .to.throw('MailgunAdapter outbox store does not implement the OutboxStore interface.');
+        });
+
+        it('should enqueue the rendered message and deliver it when the outbox is drained', function (done) {
+            const store = new MemoryStore();
+            const { adapter, sendMime } = createAdapter(config, { outbox: { store, autoStart: false } });
+
+            adapter.send({ templateName: 'customAlert', recipient: 'foo@bar.com', variables: { username: 'foo' } })
+                .then(entry => {
+                    sinon.assert.notCalled(sendMime);
+                    expect(entry.id).to.be.a('string');
+                    expect(entry.to).to.equal('foo@bar.com');
+                    expect(entry.templateName).to.equal('customAlert');
+                    expect(entry.message).to.match(/Hi foo,/);
+                    expect(store.queue).to.have.lengthOf(1);
+                    return adapter.outbox.drain();
+                })
+                .then(summary => {
+                    expect(summary.sent).to.equal(1);
+                    sinon.assert.calledOnce(sendMime);
+                    expect(sendMime.firstCall.args[0].to).to.equal('foo@bar.com');
+                    expect(sendMime.firstCall.args[0].message).to.match(/Hi foo,/);
+                    expect(store.queue).to.be.empty;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use a MemoryStore and start polling with outbox: true', function () {
+            const start = sinon.stub(OutboxWorker.prototype, 'start');
+            const adapter = new MailgunAdapter(Object.assign({}, config, { outbox: true }));
+            start.restore();
+            expect(adapter.outbox).to.be.an.instanceof(OutboxWorker);
+            expect(adapter.outbox.store).to.be.an.instanceof(MemoryStore);
+            sinon.assert.calledOnce(start);
+        });
+    });
+
+    describe('MailgunAdapter#send() with sendAt', function () {
+        const DAY = 24 * 60 * 60 * 1000;
+        const options = { templateName: 'customAlert', recipient: 'foo@bar.com', variables: { username: 'foo' } };
+
+        afterEach(function () {
+            sinon.restore();
+        });
+
+        it('should use Mailgun\'s scheduled delivery within 3 days', function (done) {
+            const { adapter, sendMime } = createAdapter(config);
+            const sendAt = new Date(Date.now() + DAY);
+
+            adapter.send(Object.assign({ sendAt }, options))
+                .then(() => {
+                    sinon.assert.calledOnce(sendMime);
+                    expect(sendMime.firstCall.args[0]['o:deliverytime']).to.equal(sendAt.toUTCString());
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send right away if sendAt has passed', function (done) {
+            const { adapter, sendMime } = createAdapter(config);
+
+            adapter.send(Object.assign({ sendAt: '2020-01-01T00:00:00Z' }, options))
+                .then(() => {
+                    sinon.assert.calledOnce(sendMime);
+                    expect(sendMime.firstCall.args[0]).not.to.have.property('o:deliverytime');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject an invalid sendAt', function (done) {
+            const { adapter } = createAdapter(config);
+            adapter.send(Object.assign({ sendAt: 'next week' }, options))
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error.message).to.equal('Invalid options object: sendAt must be a Date, a timestamp or a date string');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should require the scheduler to send more than 3 days ahead', function (done) {
+            const { adapter } = createAdapter(config);
+            adapter.send(Object.assign({ sendAt: Date.now() + (10 * DAY) }, options))
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error.message).to.equal('Emails can only be sent more than 3 days ahead with the scheduler option');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should hand messages to Mailgun once they are within 3 days', function (done) {
+            const store = new MemoryStore();
+            const { adapter, sendMime } = createAdapter(config, { scheduler: { store, autoStart: false } });
+            const sendAt = Date.now() + (10 * DAY);
+            let clock;
+
+            adapter.send(Object.assign({ sendAt }, options))
+                .then(entry => {
+                    sinon.assert.notCalled(sendMime);
+                    expect(entry.to).to.equal('foo@bar.com');
+                    expect(entry.availableAt).to.equal(sendAt - (3 * DAY) + (60 * 60 * 1000));
+                    expect(entry.params['o:deliverytime']).to.equal(new Date(sendAt).toUTCString());
+                    return adapter.scheduler.drain();
+                })
+                .then(summary => {
+                    expect(summary.sent).to.equal(0);
+                    clock = sinon.useFakeTimers({ now: sendAt - (2 * DAY), toFake: ['Date'] });
+                    return adapter.scheduler.drain();
+                })
+                .then(summary => {
+                    clock.restore();
+                    expect(summary.sent).to.equal(1);
+                    const payload = sendMime.firstCall.args[0];
+                    expect(payload.to).to.equal('foo@bar.com');
+                    expect(payload['o:deliverytime']).to.equal(new Date(sendAt).toUTCString());
+                    expect(payload.message).to.match(/Hi foo,/);
+                    expect(store.queue).to.be.empty;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should poll the scheduler store every minute by default', function () {
+            sinon.stub(OutboxWorker.prototype, 'start');
+            const { adapter } = createAdapter(config, { scheduler: true });
+            expect(adapter.scheduler.store).to.be.an.instanceof(MemoryStore);
+            expect(adapter.scheduler.pollInterval).to.equal(60000);
+            expect(adapter.outbox).to.equal(null);
+        });
+    });
+});
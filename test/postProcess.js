@@ -0,0 +1,118 @@
+const expect = require('chai').expect;
+const { inlineCss, minifyHtml, parseStylesheet } = require('../src/postProcess');
+
+describe('postProcess', function () {
+    describe('#parseStylesheet()', function () {
+        it('should separate the rules that can be inlined', function () {
+            const css = '/* comment */ p, a:hover { color: red } @media (max-width: 600px) { p { color: green } } td > .x[align="left"] { margin: 0 }';
+            const { rules, remaining } = parseStylesheet(css);
+            expect(rules).to.have.lengthOf(2);
+            expect(rules[0].declarations).to.deep.equal([{ property: 'color', value: 'red', important: false }]);
+            expect(rules[1].selector.specificity).to.deep.equal([0, 2, 1]);
+            expect(remaining).to.equal('a:hover { color: red }\n@media (max-width: 600px) { p { color: green } }');
+        });
+    });
+
+    describe('#inlineCss()', function () {
+        it('should inline the rules of style elements by specificity', function () {
+            const html = '<html><head><style>p { color: red; margin: 0 } .intro { color: blue } div > p { padding: 0 }</style></head>' +
+                '<body><div><p class="intro">Hi</p></div><p>Bye</p></body></html>';
+            expect(inlineCss(html)).to.equal('<html><head></head><body><div>' +
+                '<p class="intro" style="margin: 0; padding: 0; color: blue">Hi</p></div>' +
+                '<p style="color: red; margin: 0">Bye</p></body></html>');
+        });
+
+        it('should let inline styles take precedence unless a rule is important', function () {
+            const html = '<style>p { color: red; margin: 0 !important }</style><p style="color: pink; margin: 1px">Hi</p>';
+            expect(inlineCss(html)).to.equal('<p style="color: pink; margin: 0">Hi</p>');
+        });
+
+        it('should inline a stylesheet and keep the CSS that can not be inlined', function () {
+            const html = '<style>a:hover { color: red }</style><style data-inline="false">p { color: green }</style>' +
+                '<a href="#" class="button">Go</a><img src="logo.png" class="button"/>';
+            expect(inlineCss(html, '.button { color: "white" }')).to.equal('<style>\na:hover { color: red }\n</style>' +
+                '<style data-inline="false">p { color: green }</style>' +
+                '<a href="#" class="button" style="color: &quot;white&quot;">Go</a>' +
+                '<img src="logo.png" class="button" style="color: &quot;white&quot;"/>');
+        });
+
+        it('should close the elements that have no end tag', function () {
+            expect(inlineCss('<style>p p { color: red } p { margin: 0 }</style><p>One<p>Two<div>Three</div>'))
+                .to.equal('<p style="margin: 0">One<p style="margin: 0">Two<div>Three</div>');
+            expect(inlineCss('<style>li li { color: red } ul > li { margin: 0 }</style><ul><li>One<li>Two<ul><li>Nested</ul></ul>'))
+                .to.equal('<ul><li style="margin: 0">One<li style="margin: 0">Two<ul><li style="color: red; margin: 0">Nested</ul></ul>');
+        });
+
+        it('should close the table cells, rows and sections that have no end tag', function () {
+            const html = '<style>td td { color: red } tr > td { padding: 0 } tbody > tr { height: 1px }</style>' +
+                '<table><thead><tr><th>A<tbody><tr><td>1<td>2<tr><td>3</table>';
+            expect(inlineCss(html)).to.equal('<table><thead><tr><th>A<tbody>' +
+                '<tr style="height: 1px"><td style="padding: 0">1<td style="padding: 0">2' +
+                '<tr style="height: 1px"><td style="padding: 0">3</table>');
+        });
+
+        it('should match uppercase tags and attributes', function () {
+            const html = '<STYLE>TD.Title { FONT-WEIGHT: bold } #Main P { margin: 0 }</STYLE>' +
+                '<DIV ID="Main"><TABLE><TR><TD CLASS="Title" STYLE="color: red">Hi</TD></TR></TABLE><P>Bye</P></DIV>';
+            expect(inlineCss(html)).to.equal('<DIV ID="Main"><TABLE><TR>' +
+                '<TD CLASS="Title" STYLE="font-weight: bold; color: red">Hi</TD></TR></TABLE><P style="margin: 0">Bye</P></DIV>');
+        });
+
+        it('should not end a tag at a quoted >', function () {
+            const html = '<style>a { color: red } [title="a > b"] { margin: 0 }</style>' +
+                '<a title="a > b" href=\'/?x>y\'>Go</a><img alt="1 > 0" src="x.png">';
+            expect(inlineCss(html)).to.equal('<a title="a > b" href=\'/?x>y\' style="color: red; margin: 0">Go</a>' +
+                '<img alt="1 > 0" src="x.png">');
+        });
+
+        it('should keep media queries and other at-rules in the style element', function () {
+            const html = '<style media="screen">.x { color: red } ' +
+                '@media only screen and (max-width: 600px) { .x { color: blue !important } .y { display: none } } ' +
+                '@font-face { font-family: "A"; src: url(a.woff) }</style><div class="x y">Hi</div>';
+            expect(inlineCss(html)).to.equal('<style media="screen">\n' +
+                '@media only screen and (max-width: 600px) { .x { color: blue !important } .y { display: none } }\n' +
+                '@font-face { font-family: "A"; src: url(a.woff) }\n</style><div class="x y" style="color: red">Hi</div>');
+        });
+
+        it('should leave conditional comments for Outlook alone', function () {
+            const html = '<style>td { padding: 0 } p { margin: 0 }</style>' +
+                '<!--[if mso]><style>td { padding: 1px }</style><table><tr><td><![endif]-->' +
+                '<p>Hi</p><!--[if mso]></td></tr></table><![endif]-->';
+            expect(inlineCss(html)).to.equal('<!--[if mso]><style>td { padding: 1px }</style><table><tr><td><![endif]-->' +
+                '<p style="margin: 0">Hi</p><!--[if mso]></td></tr></table><![endif]-->');
+        });
+    });
+
+    describe('#minifyHtml()', function () {
+        it('should remove comments and whitespace that is not rendered', function () {
+            const html = '<html>\n  <body>\n    <!-- comment -->\n    <p>Hi   <b>foo</b> <i>bar</i></p>\n' +
+                '    <!--[if mso]><table><![endif]-->\n    <pre>  keep\n  this</pre>\n  </body>\n</html>\n';
+            expect(minifyHtml(html)).to.equal('<html><body><p>Hi <b>foo</b> <i>bar</i></p>' +
+                '<!--[if mso]><table><![endif]--><pre>  keep\n  this</pre></body></html>');
+        });
+
+        it('should remove whitespace around uppercase block elements', function () {
+            const html = '<HTML>\n  <BODY>\n    <P>Hi   <B>foo</B> </P>\n    <TABLE>\n      <TR>\n        <TD>1</TD>\n' +
+                '      </TR>\n    </TABLE>\n  </BODY>\n</HTML>';
+            expect(minifyHtml(html)).to.equal('<HTML><BODY><P>Hi <B>foo</B></P><TABLE><TR><TD>1</TD></TR></TABLE></BODY></HTML>');
+        });
+
+        it('should keep attributes with a quoted > as they are', function () {
+            expect(minifyHtml('<a title="a  >  b" href="#">  Go  </a> <img alt="1 > 0" src="x.png">'))
+                .to.equal('<a title="a  >  b" href="#"> Go </a> <img alt="1 > 0" src="x.png">');
+        });
+
+        it('should collapse the whitespace of style elements with media queries', function () {
+            const html = '<head>\n  <style>\n    .x { color: red }\n    @media (max-width: 600px) {\n      .x { color: blue }\n' +
+                '    }\n  </style>\n</head>';
+            expect(minifyHtml(html)).to.equal('<head><style> .x { color: red } @media (max-width: 600px) { .x { color: blue } } </style></head>');
+        });
+
+        it('should keep conditional comments and remove the whitespace around them', function () {
+            const html = '<body>\n  <!-- layout -->\n  <!--[if mso]>\n  <table><tr><td>\n  <![endif]-->\n  <div>Hi</div>\n' +
+                '  <!--[if !mso]><!-->\n  <p>Not Outlook</p>\n  <!--<![endif]-->\n  <span>a</span> <!-- b --> <span>c</span>\n</body>';
+            expect(minifyHtml(html)).to.equal('<body><!--[if mso]>\n  <table><tr><td>\n  <![endif]--><div>Hi</div>' +
+                '<!--[if !mso]><!--><p>Not Outlook</p><!--<![endif]--><span>a</span> <span>c</span></body>');
+        });
+    });
+});
@@ -0,0 +1,171 @@
+const expect = require('chai').expect;
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const PreviewServer = require('../src/preview-server/PreviewServer');
+const { main } = require('../src/preview-server');
+const { createAdapter } = require('../src/mailgun-tester/config');
+
+const templatesDir = path.join(__dirname, 'email-templates');
+const options = {
+    templates: {
+        passwordResetEmail: {
+            subject: 'Reset your password',
+            pathPlainText: path.join(templatesDir, 'password_reset_email.txt'),
+            pathHtml: path.join(templatesDir, 'password_reset_email.html')
+        },
+        customAlert: {
+            subject: 'Important notice',
+            pathPlainText: path.join(templatesDir, 'custom_email.txt')
+        },
+        broken: {
+            subject: 'Broken',
+            text: 'Hi {{#username}}'
+        }
+    }
+};
+
+function get(address, pathname) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: address.address, port: address.port, path: pathname }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('preview-server', function () {
+    describe('#main()', function () {
+        it('should fail with unexpected arguments', function (done) {
+            main(['adapter.js'])
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(error.message).to.equal('Unexpected argument adapter.js');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('PreviewServer', function () {
+        let server, address;
+
+        beforeEach(function (done) {
+            server = new PreviewServer({
+                adapter: createAdapter(options, true),
+                fixturesPath: path.join(templatesDir, 'preview.json'),
+                watch: false
+            });
+            server.listen(0, '127.0.0.1')
+                .then(result => {
+                    address = result;
+                    done();
+                })
+                .catch(done);
+        });
+
+        afterEach(function (done) {
+            server.close().then(() => done(), done);
+        });
+
+        it('should list the templates', function (done) {
+            get(address, '/')
+                .then(res => {
+                    expect(res.status).to.equal(200);
+                    expect(res.body).to.contain('<a href="/templates/passwordResetEmail">passwordResetEmail</a>');
+                    expect(res.body).to.contain('<a href="/templates/customAlert">customAlert</a>');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should show the html, text and MIME versions rendered with the fixture', function (done) {
+            get(address, '/templates/passwordResetEmail')
+                .then(res => {
+                    expect(res.status).to.equal(200);
+                    expect(res.body).to.contain('Subject: Reset your password');
+                    expect(res.body).to.contain('<iframe src="/templates/passwordResetEmail/html"></iframe>');
+                    expect(res.body).to.contain('https://awesomeapp.com/reset?token=123');
+                    expect(res.body).to.contain('To: foo@bar.com');
+                    return get(address, '/templates/passwordResetEmail/html');
+                })
+                .then(res => {
+                    expect(res.status).to.equal(200);
+                    expect(res.body).to.match(/^<html/);
+                    expect(res.body).to.contain('Hi foo,');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should show rendering errors', function (done) {
+            get(address, '/templates/broken')
+                .then(res => {
+                    expect(res.status).to.equal(500);
+                    expect(res.body).to.contain('RenderingError');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should respond with 404 for unknown templates', function (done) {
+            get(address, '/templates/foo')
+                .then(res => {
+                    expect(res.status).to.equal(404);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should clear the template cache and notify the open pages on reload', function (done) {
+            server.adapter.cache = { customAlert: { text: 'cached' } };
+            http.get({ host: address.address, port: address.port, path: '/events' }, res => {
+                let events = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    events += chunk;
+                    if (events.indexOf(': connected') === 0 && events.indexOf('data: reload') === -1) {
+                        server.reload();
+                    } else if (events.indexOf('data: reload') !== -1) {
+                        expect(server.adapter.cache).to.deep.equal({});
+                        res.destroy();
+                        done();
+                    }
+                });
+            }).on('error', done);
+        });
+    });
+
+    describe('watching files', function () {
+        let dir, server;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parse-server-mailgun-preview-'));
+            fs.writeFileSync(path.join(dir, 'fixtures.json'), '{}');
+        });
+
+        afterEach(function (done) {
+            server.close().then(() => {
+                fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+                fs.rmdirSync(dir);
+                done();
+            }, done);
+        });
+
+        it('should reload when the fixtures change', function (done) {
+            server = new PreviewServer({ adapter: createAdapter(options, true), fixturesPath: path.join(dir, 'fixtures.json') });
+            server.reload = () => done();
+            server.listen(0, '127.0.0.1')
+                .then(() => {
+                    expect(server.watchers.length).to.be.at.least(2);
+                    fs.writeFileSync(path.join(dir, 'fixtures.json'), '{ "customAlert": {} }');
+                })
+                .catch(done);
+        });
+    });
+});
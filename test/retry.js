@@ -0,0 +1,221 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const path = require('path');
+const { TransportError } = require('../src/errors');
+const { DEFAULTS, createRetryPolicy, getDelay, isRetryable } = require('../src/retry');
+const { createAdapter } = require('./helpers');
+
+const config = {
+    fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+    domain: 'yourmailgundomain.mailgun.org',
+    apiKey: 'secretApiKey',
+    templates: {
+        customAlert: {
+            subject: 'Important notice about your account',
+            pathPlainText: path.join(__dirname, 'email-templates/custom_email.txt')
+        }
+    }
+};
+
+// Let pending I/O and promise callbacks run, setImmediate is not faked
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Flushes until the transport has been called the expected number of times
+function waitForCalls(sendMime, callCount) {
+    return flush().then(() => {
+        if (sendMime.callCount < callCount) {
+            return waitForCalls(sendMime, callCount);
+        }
+    });
+}
+
+// Fails like mailgun-js, whose errors only carry the status code of the response
+function failWith(status, message) {
+    const error = new Error(message || 'Mailgun error');
+    error.statusCode = status;
+    return error;
+}
+
+describe('retry', function () {
+    describe('#createRetryPolicy()', function () {
+        it('should return null when retries are disabled', function () {
+            expect(createRetryPolicy(undefined)).to.be.null;
+            expect(createRetryPolicy(false)).to.be.null;
+        });
+
+        it('should return the default policy for true', function () {
+            expect(createRetryPolicy(true)).to.deep.equal(DEFAULTS);
+        });
+
+        it('should merge the options with the defaults', function () {
+            const policy = createRetryPolicy({ maxAttempts: 5, retryableStatusCodes: [503] });
+            expect(policy.maxAttempts).to.equal(5);
+            expect(policy.retryableStatusCodes).to.deep.equal([503]);
+            expect(policy.baseDelay).to.equal(DEFAULTS.baseDelay);
+        });
+
+        it('should fail with invalid options', function () {
+            expect(() => createRetryPolicy({ maxAttempts: 0 })).to.throw('MailgunAdapter retry.maxAttempts must be a positive integer.');
+            expect(() => createRetryPolicy({ baseDelay: -1 })).to.throw('MailgunAdapter retry delays must be non-negative numbers.');
+            expect(() => createRetryPolicy({ jitter: 2 })).to.throw('MailgunAdapter retry.jitter must be a number between 0 and 1.');
+            expect(() => createRetryPolicy({ retryableStatusCodes: 503 })).to.throw('MailgunAdapter retry.retryableStatusCodes must be an array.');
+        });
+    });
+
+    describe('#isRetryable()', function () {
+        const policy = createRetryPolicy(true);
+
+        it('should retry the configured status codes and network errors', function () {
+            expect(isRetryable(new TransportError('', { status: 429 }), policy)).to.be.true;
+            expect(isRetryable(new TransportError('', { status: 503 }), policy)).to.be.true;
+            expect(isRetryable(new TransportError('ECONNRESET'), policy)).to.be.true;
+        });
+
+        it('should not retry other status codes', function () {
+            expect(isRetryable(new TransportError('', { status: 400 }), policy)).to.be.false;
+            expect(isRetryable(new TransportError('', { status: 401 }), policy)).to.be.false;
+        });
+    });
+
+    describe('#getDelay()', function () {
+        it('should double the delay on every attempt up to maxDelay', function () {
+            const policy = createRetryPolicy({ baseDelay: 100, maxDelay: 500, jitter: 0 });
+            expect(getDelay(1, policy)).to.equal(100);
+            expect(getDelay(2, policy)).to.equal(200);
+            expect(getDelay(3, policy)).to.equal(400);
+            expect(getDelay(4, policy)).to.equal(500);
+        });
+
+        it('should randomize the delay within the jitter range', function () {
+            const policy = createRetryPolicy({ baseDelay: 1000, jitter: 0.5 });
+            const random = sinon.stub(Math, 'random');
+            random.returns(0);
+            expect(getDelay(1, policy)).to.equal(500);
+            random.returns(1);
+            expect(getDelay(1, policy)).to.equal(1500);
+            random.restore();
+        });
+    });
+
+    describe('sending with a retry policy', function () {
+        let clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        it('should not retry when no retry policy is configured', function (done) {
+            const { adapter, sendMime } = createAdapter(config, {}, [failWith(503)]);
+
+            adapter.send({ templateName: 'customAlert', recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(sendMime.callCount).to.equal(1);
+                    expect(error.status).to.equal(503);
+                    expect(error.attempts).to.equal(1);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should retry transient failures with exponential backoff', function (done) {
+            const retry = { maxAttempts: 3, baseDelay: 1000, jitter: 0 };
+            const { adapter, sendMime } = createAdapter(config, { retry }, [failWith(503), failWith(429), { id: '<message-id>' }]);
+
+            const promise = adapter.send({ templateName: 'customAlert', recipient: 'foo@bar.com' });
+
+            waitForCalls(sendMime, 1)
+                .then(flush)
+                .then(() => {
+                    clock.tick(999);
+                    return flush();
+                })
+                .then(() => {
+                    expect(sendMime.callCount).to.equal(1);
+                    clock.tick(1);
+                    return waitForCalls(sendMime, 2);
+                })
+                .then(flush)
+                .then(() => {
+                    clock.tick(1999);
+                    return flush();
+                })
+                .then(() => {
+                    expect(sendMime.callCount).to.equal(2);
+                    clock.tick(1);
+                    return promise;
+                })
+                .then(body => {
+                    expect(sendMime.callCount).to.equal(3);
+                    expect(body).to.deep.equal({ id: '<message-id>' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should wait for the computed delay after a throttled request', function (done) {
+            const retry = { baseDelay: 1000, jitter: 0 };
+            const { adapter, sendMime } = createAdapter(config, { retry }, [failWith(429, 'Too many requests'), {}]);
+
+            const promise = adapter.send({ templateName: 'customAlert', recipient: 'foo@bar.com' });
+
+            waitForCalls(sendMime, 1)
+                .then(flush)
+                .then(() => {
+                    clock.tick(999);
+                    return flush();
+                })
+                .then(() => {
+                    expect(sendMime.callCount).to.equal(1);
+                    clock.tick(1);
+                    return promise;
+                })
+                .then(() => {
+                    expect(sendMime.callCount).to.equal(2);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not retry errors with a non-retryable status', function (done) {
+            const { adapter, sendMime } = createAdapter(config, { retry: true }, [failWith(401, 'Forbidden')]);
+
+            adapter.send({ templateName: 'customAlert', recipient: 'foo@bar.com' })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(sendMime.callCount).to.equal(1);
+                    expect(error).to.be.an.instanceof(TransportError);
+                    expect(error.status).to.equal(401);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with the last error after maxAttempts', function (done) {
+            const retry = { maxAttempts: 2, baseDelay: 10, jitter: 0 };
+            const { adapter, sendMime } = createAdapter(config, { retry }, [failWith(500, 'First'), failWith(502, 'Second')]);
+
+            const promise = adapter.send({ templateName: 'customAlert', recipient: 'foo@bar.com' });
+
+            waitForCalls(sendMime, 1)
+                .then(flush)
+                .then(() => {
+                    clock.tick(10);
+                    return promise;
+                })
+                .then(() => done(new Error('Expected promise to reject')))
+                .catch(error => {
+                    expect(sendMime.callCount).to.equal(2);
+                    expect(error.message).to.equal('Second');
+                    expect(error.status).to.equal(502);
+                    expect(error.attempts).to.equal(2);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+});
@@ -0,0 +1,295 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    parseAddresses,
+    fromWebhookEvent,
+    SuppressionStore,
+    MemorySuppressionStore,
+    ParseSuppressionStore,
+    MailgunSuppressionStore
+} = require('../src/suppressions');
+const { createParse, createAdapter } = require('./helpers');
+
+const config = {
+    fromAddress: 'AwesomeApp <noreply@awesomeapp.com>',
+    domain: 'yourmailgundomain.mailgun.org',
+    apiKey: 'secretApiKey',
+    templates: {
+        customEmail: {
+            subject: 'Test custom email template',
+            pathPlainText: path.join(__dirname, 'email-templates/custom_email.txt')
+        },
+        passwordResetEmail: {
+            subject: 'Reset your password',
+            pathPlainText: path.join(__dirname, 'email-templates/password_reset_email.txt'),
+            suppressionReasons: ['bounce']
+        }
+    }
+};
+
+describe('suppressions', function () {
+    afterEach(function () {
+        sinon.restore();
+    });
+
+    describe('#parseAddresses()', function () {
+        it('should extract the addresses of a recipient field in lower case', function () {
+            expect(parseAddresses('Foo <Foo@Bar.com>, baz@bar.com')).to.deep.equal(['foo@bar.com', 'baz@bar.com']);
+            expect(parseAddresses(undefined)).to.deep.equal([]);
+        });
+    });
+
+    describe('#fromWebhookEvent()', function () {
+        it('should suppress the recipients of permanent failures, complaints and unsubscribes', function () {
+            const timestamp = new Date(1000);
+            expect(fromWebhookEvent({ type: 'failed', severity: 'permanent', recipient: 'Foo@bar.com', timestamp }))
+                .to.deep.equal({ address: 'foo@bar.com', reason: 'bounce', createdAt: 1000 });
+            expect(fromWebhookEvent({ type: 'complained', recipient: 'foo@bar.com', timestamp }).reason).to.equal('complaint');
+            expect(fromWebhookEvent({ type: 'unsubscribed', recipient: 'foo@bar.com', timestamp }).reason).to.equal('unsubscribe');
+        });
+
+        it('should ignore temporary failures and other events', function () {
+            expect(fromWebhookEvent({ type: 'failed', severity: 'temporary', recipient: 'foo@bar.com' })).to.equal(null);
+            expect(fromWebhookEvent({ type: 'delivered', recipient: 'foo@bar.com' })).to.equal(null);
+        });
+    });
+
+    describe('SuppressionStore', function () {
+        it('should reject for every method that is not implemented', function (done) {
+            const store = new SuppressionStore();
+            Promise.all(['find', 'add', 'remove'].map(method => store[method]().catch(error => error.message)))
+                .then(messages => {
+                    expect(messages).to.deep.equal([
+                        'SuppressionStore.find() is not implemented',
+                        'SuppressionStore.add() is not implemented',
+                        'SuppressionStore.remove() is not implemented'
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('MemorySuppressionStore', function () {
+        it('should add, find and remove addresses', function (done) {
+            const store = new MemorySuppressionStore();
+            store.add({ address: 'foo@bar.com', reason: 'bounce', createdAt: 1000 })
+                .then(() => store.find('foo@bar.com'))
+                .then(entry => {
+                    expect(entry).to.deep.equal({ address: 'foo@bar.com', reason: 'bounce', createdAt: 1000 });
+                    return store.remove('foo@bar.com');
+                })
+                .then(() => store.find('foo@bar.com'))
+                .then(entry => {
+                    expect(entry).to.equal(null);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('ParseSuppressionStore', function () {
+        it('should require the Parse SDK', function () {
+            expect(() => new ParseSuppressionStore()).to.throw('The ParseSuppressionStore requires the Parse SDK.');
+        });
+
+        it('should keep the entries in a Parse class', function (done) {
+            const Parse = createParse();
+            const store = new ParseSuppressionStore({ Parse });
+            store.add({ address: 'foo@bar.com', reason: 'complaint', createdAt: 1000 })
+                .then(() => store.add({ address: 'foo@bar.com', reason: 'bounce', createdAt: 2000 }))
+                .then(() => {
+                    expect(Parse.rows).to.have.lengthOf(1);
+                    expect(Parse.rows[0].className).to.equal('EmailSuppression');
+                    return store.find('foo@bar.com');
+                })
+                .then(entry => {
+                    expect(entry).to.deep.equal({ address: 'foo@bar.com', reason: 'bounce', createdAt: 2000 });
+                    return store.remove('foo@bar.com');
+                })
+                .then(() => store.find('foo@bar.com'))
+                .then(entry => {
+                    expect(entry).to.equal(null);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('MailgunSuppressionStore', function () {
+        function createStore(lists) {
+            const notFound = Object.assign(new Error('Not found'), { statusCode: 404 });
+            const client = {
+                get: sinon.spy((path, data, callback) => {
+                    const list = path.split('/')[2];
+                    return lists[list] ? callback(null, lists[list]) : callback(notFound);
+                }),
+                post: sinon.spy((path, data, callback) => callback(null, {})),
+                delete: sinon.spy((path, data, callback) => callback(notFound))
+            };
+            return { store: new MailgunSuppressionStore({ domain: 'mg.example.com', mailgun: client }), client };
+        }
+
+        it('should require a domain and an API key', function () {
+            expect(() => new MailgunSuppressionStore({ domain: 'mg.example.com' })).to.throw('requires an API key and a domain');
+        });
+
+        it('should look up the bounces, complaints and unsubscribes lists', function (done) {
+            const { store, client } = createStore({ complaints: { address: 'foo@bar.com', created_at: 'Thu, 01 Jan 1970 00:00:01 UTC' } });
+            store.find('foo@bar.com')
+                .then(entry => {
+                    expect(entry).to.deep.equal({ address: 'foo@bar.com', reason: 'complaint', createdAt: 1000 });
+                    expect(client.get.firstCall.args[0]).to.equal('/mg.example.com/bounces/foo%40bar.com');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should only count unsubscribes from all emails', function (done) {
+            const { store } = createStore({ unsubscribes: { address: 'foo@bar.com', tags: ['newsletter'] } });
+            store.find('foo@bar.com')
+                .then(entry => {
+                    expect(entry).to.equal(null);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should add and remove addresses through the API', function (done) {
+            const { store, client } = createStore({});
+            store.add({ address: 'foo@bar.com', reason: 'unsubscribe' })
+                .then(() => {
+                    sinon.assert.calledWith(client.post, '/mg.example.com/unsubscribes', { address: 'foo@bar.com', tag: '*' });
+                    return store.remove('foo@bar.com');
+                })
+                .then(() => {
+                    expect(client.delete.callCount).to.equal(3);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('MailgunAdapter', function () {
+        it('should validate the suppressions option', function () {
+            expect(() => createAdapter(config, { suppressions: { store: {} } }))
+                .to.throw('MailgunAdapter suppressions store does not implement the SuppressionStore interface.');
+            expect(() => createAdapter(config, { suppressions: { reasons: ['spam'] } })).to.throw('MailgunAdapter suppression reasons');
+            const templates = { customEmail: Object.assign({}, config.templates.customEmail, { suppressionReasons: 'bounce' }) };
+            expect(() => createAdapter(config, { templates })).to.throw('MailgunAdapter suppression reasons');
+            expect(createAdapter(config, { suppressions: true }).adapter.suppressions.store).to.be.an.instanceof(MemorySuppressionStore);
+        });
+
+        it('should not send to a suppressed recipient', function (done) {
+            const store = new MemorySuppressionStore();
+            const { adapter, sendMime } = createAdapter(config, { suppressions: { store } });
+            const loadEmailTemplate = sinon.spy(adapter, '_loadEmailTemplate');
+
+            store.add({ address: 'foo@bar.com', reason: 'complaint', createdAt: 1000 })
+                .then(() => adapter.send({ templateName: 'customEmail', recipient: 'Foo <FOO@bar.com>' }))
+                .then(result => {
+                    expect(result).to.deep.equal({
+                        status: 'suppressed',
+                        suppressed: [{ address: 'foo@bar.com', reason: 'complaint', createdAt: 1000 }]
+                    });
+                    sinon.assert.notCalled(sendMime);
+                    sinon.assert.notCalled(loadEmailTemplate);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should send to the recipients that are not suppressed', function (done) {
+            const store = new MemorySuppressionStore();
+            const { adapter, sendMime } = createAdapter(config, { suppressions: { store } });
+
+            store.add({ address: 'foo@bar.com', reason: 'bounce' })
+                .then(() => adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com, Baz <baz@bar.com>' }))
+                .then(() => {
+                    expect(sendMime.firstCall.args[0].to).to.equal('Baz <baz@bar.com>');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should only check the suppression reasons of the template', function (done) {
+            const store = new MemorySuppressionStore();
+            const { adapter, sendMime } = createAdapter(config, { suppressions: { store } });
+            const user = { get: key => ({ username: 'foo', email: 'foo@bar.com' })[key] };
+
+            store.add({ address: 'foo@bar.com', reason: 'unsubscribe' })
+                .then(() => adapter.sendPasswordResetEmail({ link: 'https://foo.com', appName: 'AwesomeApp', user }))
+                .then(() => {
+                    // Unsubscribing does not stop password reset emails
+                    sinon.assert.calledOnce(sendMime);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not send emails of sendMail() to suppressed recipients', function (done) {
+            const store = new MemorySuppressionStore();
+            const { adapter, sendMime } = createAdapter(config, { suppressions: { store } });
+
+            store.add({ address: 'foo@bar.com', reason: 'bounce' })
+                .then(() => adapter.sendMail({ to: 'foo@bar.com', subject: 'Hi', text: 'Hello' }))
+                .then(result => {
+                    expect(result.status).to.equal('suppressed');
+                    sinon.assert.notCalled(sendMime);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should skip suppressed recipients of a batch', function (done) {
+            const store = new MemorySuppressionStore();
+            const { adapter, sendMime } = createAdapter(config, { suppressions: { store } });
+            const recipients = [{ address: 'a@foo.com', variables: { username: 'a' } }, { address: 'b@foo.com', variables: { username: 'b' } }];
+
+            store.add({ address: 'a@foo.com', reason: 'unsubscribe' })
+                .then(() => adapter.sendBatch({ templateName: 'customEmail', recipients }))
+                .then(results => {
+                    expect(results).to.deep.equal([
+                        { address: 'a@foo.com', status: 'suppressed', reason: 'unsubscribe' },
+                        { address: 'b@foo.com', status: 'sent', id: '<message-id@example.com>' }
+                    ]);
+                    expect(sendMime.firstCall.args[0].to).to.equal('b@foo.com');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should suppress the recipients of webhook events', function (done) {
+            const { adapter, sendMime } = createAdapter(config, { suppressions: true });
+            const onFailed = sinon.spy();
+            const handler = adapter.createWebhookHandler({ signingKey: 'key-webhook', onFailed });
+
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const token = 'abc';
+            const signature = crypto.createHmac('sha256', 'key-webhook').update(`${timestamp}${token}`).digest('hex');
+            const req = {
+                headers: {},
+                body: {
+                    signature: { timestamp, token, signature },
+                    'event-data': { event: 'failed', severity: 'permanent', recipient: 'foo@bar.com', timestamp: 1 }
+                }
+            };
+            const res = { setHeader() {}, end() {} };
+
+            handler(req, res)
+                .then(() => {
+                    expect(res.statusCode).to.equal(200);
+                    sinon.assert.calledOnce(onFailed);
+                    return adapter.send({ templateName: 'customEmail', recipient: 'foo@bar.com' });
+                })
+                .then(result => {
+                    expect(result.suppressed[0]).to.deep.equal({ address: 'foo@bar.com', reason: 'bounce', createdAt: 1000 });
+                    sinon.assert.notCalled(sendMime);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+});
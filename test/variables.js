@@ -0,0 +1,49 @@
+const expect = require('chai').expect;
+const { getTemplateVariables, findMissingVariables, renderStrict } = require('../src/variables');
+
+describe('variables', function () {
+    describe('#getTemplateVariables()', function () {
+        it('should list the variables outside of sections', function () {
+            const template = 'Hi {{username}}, {{{link}}} {{#items}}{{name}}{{/items}}{{^plan}}{{trial}}{{/plan}} {{&username}} {{profile.city}}';
+            expect(getTemplateVariables(template)).to.deep.equal(['username', 'link', 'profile.city']);
+        });
+
+        it('should include the variables of partials', function () {
+            const partials = { footer: '{{appName}} {{> signature}}', signature: '{{team}}' };
+            expect(getTemplateVariables('Hi {{username}} {{> footer}} {{> missing}}', partials))
+                .to.deep.equal(['username', 'appName', 'team']);
+        });
+
+        it('should stop at recursive partials', function () {
+            expect(getTemplateVariables('{{> loop}}', { loop: '{{name}}{{> loop}}' })).to.deep.equal(['name']);
+        });
+
+        it('should return no variables for templates that do not compile', function () {
+            expect(getTemplateVariables('Hi {{#username}}')).to.deep.equal([]);
+        });
+    });
+
+    describe('#findMissingVariables()', function () {
+        it('should list missing, null and empty variables', function () {
+            const view = { username: 'foo', link: '', appName: null, count: 0, profile: { city: 'Berlin' } };
+            expect(findMissingVariables(['username', 'link', 'appName', 'count', 'plan', 'profile.city', 'profile.zip', 'team.name'], view))
+                .to.deep.equal(['link', 'appName', 'plan', 'profile.zip', 'team.name']);
+        });
+    });
+
+    describe('#renderStrict()', function () {
+        it('should render the template and report the unresolved tags', function () {
+            const result = renderStrict('Hi {{username}}{{#items}} {{name}}{{/items}} {{{link}}} {{> footer}}', {
+                username: '<foo>',
+                items: [{ name: 'a' }, {}]
+            }, { footer: '{{appName}}' });
+            expect(result.output).to.equal('Hi &lt;foo&gt; a   ');
+            expect(result.unresolved).to.deep.equal(['name', 'link', 'appName']);
+        });
+
+        it('should resolve variables of enclosing contexts', function () {
+            const result = renderStrict('{{#items}}{{name}} {{appName}}{{/items}}', { appName: 'App', items: [{ name: 'a' }] });
+            expect(result).to.deep.equal({ output: 'a App', unresolved: [] });
+        });
+    });
+});
@@ -0,0 +1,315 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const http = require('http');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const querystring = require('querystring');
+const MailgunAdapter = require('../src/MailgunAdapter');
+const { ConfigurationError } = require('../src/errors');
+const { verifySignature, parseEvent, createWebhookHandler } = require('../src/webhooks');
+const events = require('./webhook-events.json');
+
+const signingKey = 'key-webhook-signing';
+
+function sign(timestamp, token, key) {
+    return crypto.createHmac('sha256', key || signingKey).update(`${timestamp}${token}`).digest('hex');
+}
+
+// Body of a webhook request, as Mailgun sends it
+function createBody(type, key, timestamp) {
+    timestamp = String(timestamp || Math.floor(Date.now() / 1000));
+    const token = crypto.randomBytes(25).toString('hex');
+    return {
+        signature: { timestamp, token, signature: sign(timestamp, token, key) },
+        'event-data': events[type]
+    };
+}
+
+// Request that is read as a stream, like an http.IncomingMessage
+function createRequest(body, contentType) {
+    const req = new Readable({ read() {} });
+    req.headers = { 'content-type': contentType || 'application/json' };
+    req.push(typeof body === 'string' ? body : JSON.stringify(body));
+    req.push(null);
+    return req;
+}
+
+function createResponse() {
+    return {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        end(text) {
+            this.body = text;
+        }
+    };
+}
+
+describe('webhooks', function () {
+    afterEach(function () {
+        sinon.restore();
+    });
+
+    describe('#verifySignature()', function () {
+        it('should verify the HMAC of the timestamp and token', function () {
+            const { signature } = createBody('delivered');
+            expect(verifySignature(signingKey, signature)).to.be.true;
+            expect(verifySignature('another-key', signature)).to.be.false;
+            expect(verifySignature(signingKey, Object.assign({}, signature, { token: 'forged' }))).to.be.false;
+            expect(verifySignature(signingKey, Object.assign({}, signature, { signature: 'abc' }))).to.be.false;
+            expect(verifySignature(signingKey, {})).to.be.false;
+        });
+    });
+
+    describe('#parseEvent()', function () {
+        it('should parse the events of current webhooks', function () {
+            const event = parseEvent({ 'event-data': events.delivered });
+            expect(event).to.deep.include({
+                type: 'delivered',
+                id: 'CPgfbmQMTCKtHW6uIWtuVe',
+                recipient: 'alice@example.com',
+                messageId: '20180319161105.1.C8E7F7CB6F6E4A9C@mg.example.com',
+                tags: ['password-reset'],
+                variables: { userId: '42' }
+            });
+            expect(event.timestamp.toISOString()).to.equal('2018-03-19T15:11:02.908Z');
+            expect(event.data).to.equal(events.delivered);
+
+            expect(parseEvent({ 'event-data': events.failed })).to.deep.include({
+                type: 'failed',
+                severity: 'permanent',
+                reason: 'bounce',
+                description: 'No such user'
+            });
+            expect(parseEvent({ 'event-data': events.clicked }).url).to.equal('https://example.com/reset?token=abc');
+        });
+
+        it('should parse the events of legacy webhooks', function () {
+            const event = parseEvent({
+                event: 'bounced',
+                recipient: 'bob@example.com',
+                timestamp: '1521233195',
+                'Message-Id': '<20130503192659.13651.20287@mg.example.com>',
+                error: '550 No such user',
+                tag: 'password-reset'
+            });
+            expect(event).to.deep.include({
+                type: 'failed',
+                severity: 'permanent',
+                recipient: 'bob@example.com',
+                messageId: '20130503192659.13651.20287@mg.example.com',
+                description: '550 No such user',
+                tags: ['password-reset']
+            });
+            expect(parseEvent({ event: 'opened', recipient: 'alice@example.com', timestamp: '1' }).type).to.equal('opened');
+        });
+
+        it('should return null without an event', function () {
+            expect(parseEvent({ foo: 'bar' })).to.equal(null);
+        });
+    });
+
+    describe('#createWebhookHandler()', function () {
+        it('should require a signing key and functions as callbacks', function () {
+            expect(() => createWebhookHandler()).to.throw(ConfigurationError, 'signingKey');
+            expect(() => createWebhookHandler({ signingKey, onFailed: 'bounce' }))
+                .to.throw(ConfigurationError, 'The webhook handler option onFailed is not a function.');
+            expect(() => createWebhookHandler({ signingKey, maxAge: -1 })).to.throw(ConfigurationError, 'maxAge');
+        });
+
+        it('should pass every type of event to its callback and to onEvent', function (done) {
+            const callbacks = {
+                onDelivered: sinon.spy(),
+                onFailed: sinon.spy(),
+                onComplained: sinon.spy(),
+                onUnsubscribed: sinon.spy(),
+                onOpened: sinon.spy(),
+                onClicked: sinon.spy(),
+                onEvent: sinon.spy()
+            };
+            const handler = createWebhookHandler(Object.assign({ signingKey }, callbacks));
+            const types = ['delivered', 'failed', 'complained', 'unsubscribed', 'opened', 'clicked'];
+
+            Promise.all(types.map(type => {
+                const res = createResponse();
+                return handler(createRequest(createBody(type)), res).then(() => res);
+            }))
+                .then(responses => {
+                    responses.forEach(res => {
+                        expect(res.statusCode).to.equal(200);
+                        expect(res.body).to.equal('OK');
+                    });
+                    types.forEach(type => {
+                        const callback = callbacks[`on${type[0].toUpperCase()}${type.slice(1)}`];
+                        sinon.assert.calledOnce(callback);
+                        expect(callback.firstCall.args[0].type).to.equal(type);
+                    });
+                    expect(callbacks.onEvent.callCount).to.equal(6);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject requests with an invalid signature', function (done) {
+            const onEvent = sinon.spy();
+            const handler = createWebhookHandler({ signingKey, onEvent });
+            const res = createResponse();
+
+            handler(createRequest(createBody('delivered', 'another-key')), res)
+                .then(() => {
+                    expect(res.statusCode).to.equal(401);
+                    expect(res.body).to.equal('Invalid signature');
+                    sinon.assert.notCalled(onEvent);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject expired signatures with maxAge', function (done) {
+            const onEvent = sinon.spy();
+            const handler = createWebhookHandler({ signingKey, onEvent, maxAge: 300 });
+            const res = createResponse();
+            const timestamp = Math.floor(Date.now() / 1000) - 3600;
+
+            handler(createRequest(createBody('delivered', signingKey, timestamp)), res)
+                .then(() => {
+                    expect(res.statusCode).to.equal(401);
+                    expect(res.body).to.equal('Expired signature');
+                    sinon.assert.notCalled(onEvent);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should acknowledge events without a callback', function (done) {
+            const onEvent = sinon.spy();
+            const handler = createWebhookHandler({ signingKey, onEvent });
+            const res = createResponse();
+
+            handler(createRequest(createBody('accepted')), res)
+                .then(() => {
+                    expect(res.statusCode).to.equal(200);
+                    expect(res.body).to.equal('Ignored');
+                    sinon.assert.notCalled(onEvent);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should respond with an error if a callback fails, so that Mailgun retries', function (done) {
+            const onError = sinon.spy();
+            const handler = createWebhookHandler({ signingKey, onFailed: () => Promise.reject(new Error('Database is down')), onError });
+            const res = createResponse();
+
+            handler(createRequest(createBody('failed')), res)
+                .then(() => {
+                    expect(res.statusCode).to.equal(500);
+                    expect(onError.firstCall.args[0].message).to.equal('Database is down');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should respond with an error if onError fails as well', function (done) {
+            const consoleError = sinon.stub(console, 'error');
+            const onError = sinon.spy(() => {
+                throw new Error('Logger is down');
+            });
+            const handler = createWebhookHandler({ signingKey, onFailed: () => Promise.reject(new Error('Database is down')), onError });
+            const res = createResponse();
+
+            handler(createRequest(createBody('failed')), res)
+                .then(() => {
+                    consoleError.restore();
+                    expect(res.statusCode).to.equal(500);
+                    sinon.assert.calledOnce(onError);
+                    sinon.assert.calledWith(consoleError, sinon.match({ message: 'Logger is down' }));
+                    done();
+                })
+                .catch(error => {
+                    consoleError.restore();
+                    done(error);
+                });
+        });
+
+        it('should reject invalid bodies', function (done) {
+            const handler = createWebhookHandler({ signingKey });
+            const invalidJson = createResponse();
+            const notAnObject = createResponse();
+
+            Promise.all([
+                handler(createRequest('{"signature"'), invalidJson),
+                handler(createRequest('null'), notAnObject)
+            ])
+                .then(() => {
+                    expect(invalidJson.statusCode).to.equal(400);
+                    expect(invalidJson.body).to.equal('The body is not valid JSON');
+                    expect(notAnObject.statusCode).to.equal(400);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use a body that was parsed by a middleware', function (done) {
+            const onDelivered = sinon.spy();
+            const handler = createWebhookHandler({ signingKey, onDelivered });
+            const res = createResponse();
+
+            handler({ headers: {}, body: createBody('delivered') }, res)
+                .then(() => {
+                    expect(res.statusCode).to.equal(200);
+                    sinon.assert.calledOnce(onDelivered);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should handle URL-encoded legacy webhooks', function (done) {
+            const onFailed = sinon.spy();
+            const handler = createWebhookHandler({ signingKey, onFailed });
+            const res = createResponse();
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const body = querystring.stringify({
+                event: 'dropped',
+                recipient: 'bob@example.com',
+                reason: 'hardfail',
+                timestamp,
+                token: 'abc',
+                signature: sign(timestamp, 'abc')
+            });
+
+            handler(createRequest(body, 'application/x-www-form-urlencoded'), res)
+                .then(() => {
+                    expect(res.statusCode).to.equal(200);
+                    expect(onFailed.firstCall.args[0]).to.deep.include({ type: 'failed', recipient: 'bob@example.com', reason: 'hardfail' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should serve webhooks with an http server', function (done) {
+            const onDelivered = sinon.spy();
+            const server = http.createServer(MailgunAdapter.createWebhookHandler({ signingKey, onDelivered }));
+            server.listen(0, '127.0.0.1', () => {
+                const request = http.request({
+                    host: '127.0.0.1',
+                    port: server.address().port,
+                    method: 'POST',
+                    path: '/webhooks/mailgun',
+                    headers: { 'Content-Type': 'application/json' }
+                }, response => {
+                    response.resume();
+                    response.on('end', () => {
+                        server.close();
+                        expect(response.statusCode).to.equal(200);
+                        expect(onDelivered.firstCall.args[0].recipient).to.equal('alice@example.com');
+                        done();
+                    });
+                });
+                request.on('error', done);
+                request.end(JSON.stringify(createBody('delivered')));
+            });
+        });
+    });
+});